@@ -0,0 +1,37 @@
+/**
+ * Look of the TV page (THEME, TEXT_SIZE, ACCENT_COLOR, LOGO_URL)
+ * - theme: "dark" (default), "light" or "contrast" (high contrast: white on black, yellow focus)
+ * - textSize: "normal", "large" or "larger", scaling every font on the page for reading across
+ *   a room
+ * - accent: a hex colour for the highlight and focus rings
+ * - logoUrl: an image shown before the channel name (http(s) or a path on this server)
+ *
+ * A screen can pick its own theme and text size with ?theme= and ?text= (see public/tv.js).
+ */
+
+const THEMES = ["dark", "light", "contrast"];
+const TEXT_SIZES = ["normal", "large", "larger"];
+const COLOR_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function oneOf(value, list, name) {
+  const v = String(value || "").trim().toLowerCase();
+  if (!v) return list[0];
+  if (!list.includes(v)) throw new Error(`${name} must be one of ${list.join(", ")}`);
+  return v;
+}
+
+function checkAppearance({ theme, textSize, accent, logoUrl } = {}) {
+  const color = String(accent || "").trim();
+  if (color && !COLOR_RE.test(color)) throw new Error("ACCENT_COLOR must be a hex colour like #4b7cff");
+  const logo = String(logoUrl || "").trim();
+  if (logo && !/^(https?:\/\/|\/)/i.test(logo)) throw new Error("LOGO_URL must be an http(s) URL or a path");
+
+  return {
+    theme: oneOf(theme, THEMES, "THEME"),
+    textSize: oneOf(textSize, TEXT_SIZES, "TEXT_SIZE"),
+    accent: color ? "#" + color.replace(/^#/, "").toLowerCase() : "",
+    logoUrl: logo,
+  };
+}
+
+module.exports = { checkAppearance, THEMES, TEXT_SIZES };
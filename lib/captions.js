@@ -0,0 +1,135 @@
+/**
+ * Captions from podcast transcripts
+ * - Picks the transcript that can become timed captions (WebVTT > SRT > JSON)
+ * - Converts SRT and Podcasting 2.0 JSON transcripts to WebVTT; VTT passes through
+ * - HTML/plain-text transcripts carry no timing and are ignored
+ */
+
+const CAPTION_TYPES = [
+  { format: "vtt", re: /^text\/vtt$/i },
+  { format: "srt", re: /^(application|text)\/(x-)?(srt|subrip)$/i },
+  { format: "json", re: /^application\/json$/i },
+];
+
+function formatOf(type) {
+  const t = String(type || "").split(";")[0].trim();
+  const match = CAPTION_TYPES.find((c) => c.re.test(t));
+  return match ? match.format : "";
+}
+
+/**
+ * Best transcript to turn into captions, or null.
+ * Prefers rel="captions", then the caption formats in the order above.
+ */
+function pickCaptionTranscript(transcripts) {
+  const usable = (transcripts || []).filter((t) => formatOf(t.type));
+  if (!usable.length) return null;
+
+  const rank = (t) =>
+    (t.rel === "captions" ? 0 : 10) + CAPTION_TYPES.findIndex((c) => c.format === formatOf(t.type));
+  return usable.slice().sort((a, b) => rank(a) - rank(b))[0];
+}
+
+function vttTime(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+function escapeCueText(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function cleanLines(text) {
+  return String(text || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n");
+}
+
+function srtToVtt(srt) {
+  const blocks = cleanLines(srt).trim().split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIdx = lines.findIndex((l) => l.includes("-->"));
+    if (timingIdx === -1) continue;
+
+    const timing = lines[timingIdx]
+      .replace(/(\d{1,2}:\d{2}:\d{2})[,.](\d{1,3})/g, (m, hms, ms) => hms + "." + ms.padEnd(3, "0"))
+      // WebVTT wants two-digit hours.
+      .replace(/(^|\s)(\d):(?=\d{2}:)/g, (m, pre, h) => pre + "0" + h + ":");
+    const text = lines
+      .slice(timingIdx + 1)
+      .join("\n")
+      // WebVTT only knows <i>, <b> and <u> of the tags SRT files commonly use.
+      .replace(/<(?!\/?[ibu]>)[^>]*>/gi, "")
+      .trim();
+    if (text) cues.push(`${timing}\n${text}`);
+  }
+
+  return "WEBVTT\n\n" + cues.join("\n\n") + "\n";
+}
+
+// Word-level JSON transcripts become unreadable captions; merge neighbouring
+// segments of the same speaker into lines of a sensible length.
+const MAX_CUE_CHARS = 84;
+const MAX_CUE_SECONDS = 6;
+const MAX_GAP_SECONDS = 1;
+
+function jsonToVtt(doc) {
+  const segments = (doc && Array.isArray(doc.segments) ? doc.segments : [])
+    .map((s) => ({
+      start: Number(s.startTime),
+      end: Number(s.endTime),
+      speaker: String(s.speaker || "").trim(),
+      body: String(s.body || "").trim(),
+    }))
+    .filter((s) => Number.isFinite(s.start) && Number.isFinite(s.end) && s.body)
+    .sort((a, b) => a.start - b.start);
+
+  const cues = [];
+  for (const seg of segments) {
+    const last = cues[cues.length - 1];
+    if (
+      last &&
+      last.speaker === seg.speaker &&
+      seg.start - last.end <= MAX_GAP_SECONDS &&
+      seg.end - last.start <= MAX_CUE_SECONDS &&
+      last.body.length + seg.body.length + 1 <= MAX_CUE_CHARS
+    ) {
+      last.end = seg.end;
+      last.body += /^[,.!?;:]/.test(seg.body) ? seg.body : " " + seg.body;
+    } else {
+      cues.push(Object.assign({}, seg));
+    }
+  }
+
+  const out = cues.map((c) => {
+    const voice = c.speaker ? `<v ${escapeCueText(c.speaker)}>` : "";
+    return `${vttTime(c.start)} --> ${vttTime(c.end)}\n${voice}${escapeCueText(c.body)}`;
+  });
+  return "WEBVTT\n\n" + out.join("\n\n") + "\n";
+}
+
+/**
+ * Converts a fetched transcript body to WebVTT. Throws if the body doesn't look like the format.
+ */
+function toVtt(body, type) {
+  const format = formatOf(type);
+  const text = cleanLines(body);
+
+  if (format === "vtt") {
+    if (!/^WEBVTT/.test(text)) throw new Error("Transcript is not valid WebVTT");
+    return text;
+  }
+  if (format === "srt") return srtToVtt(text);
+  if (format === "json") return jsonToVtt(JSON.parse(text));
+
+  throw new Error(`Unsupported transcript type "${type}"`);
+}
+
+module.exports = { pickCaptionTranscript, toVtt, srtToVtt, jsonToVtt };
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Channel lineup
+ * - A lineup is an ordered list of named channels: { slug, name, rssUrl, mode }
+ * - Loaded from CHANNELS_FILE (JSON) or the CHANNELS env var
+ * - Falls back to a single "main" channel pointing at the default RSS URL (named defaultName, or
+ *   after its feed when that is empty)
+ *
+ * CHANNELS_FILE may contain either an array or a slug → URL map:
+ *   [{ "slug": "news", "name": "Morning News", "rss": "https://example.com/news.xml", "mode": "linear" }]
+ *   { "news": "https://example.com/news.xml", "tech": "https://example.com/tech.xml" }
+ *
+ * CHANNELS is a comma-separated list of slug=url pairs:
+ *   CHANNELS=news=https://example.com/news.xml,tech=https://example.com/tech.xml
+ */
+
+const SLUG_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function normalizeEntry(entry, idx) {
+  const slug = String(entry.slug || "").trim().toLowerCase();
+  const rssUrl = String(entry.rss || entry.rssUrl || entry.url || "").trim();
+
+  if (!SLUG_RE.test(slug)) {
+    throw new Error(`Channel #${idx + 1}: invalid slug "${entry.slug}" (use a-z, 0-9, - and _)`);
+  }
+  if (!rssUrl) {
+    throw new Error(`Channel "${slug}": missing rss URL`);
+  }
+
+  const mode = String(entry.mode || "").trim().toLowerCase();
+  if (mode && mode !== "linear" && mode !== "ondemand") {
+    throw new Error(`Channel "${slug}": mode must be "linear" or "ondemand"`);
+  }
+
+  return { slug, name: String(entry.name || "").trim(), rssUrl, mode };
+}
+
+function parseChannelsEnv(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      // Split on the first "=" only; feed URLs may carry their own query strings.
+      const eq = pair.indexOf("=");
+      if (eq === -1) return { slug: pair, rss: "" };
+      return { slug: pair.slice(0, eq), rss: pair.slice(eq + 1) };
+    });
+}
+
+function readChannelsFile(file) {
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  if (Array.isArray(raw)) return raw;
+  if (raw && typeof raw === "object") {
+    return Object.entries(raw).map(([slug, v]) =>
+      typeof v === "string" ? { slug, rss: v } : Object.assign({ slug }, v)
+    );
+  }
+  throw new Error(`${file}: expected an array or an object of channels`);
+}
+
+/**
+ * Validates a list of channel entries ({ slug, name, rss, mode }) into lineup entries.
+ * Throws on the first invalid entry or duplicate slug.
+ */
+function normalizeLineup(entries) {
+  const lineup = entries.map(normalizeEntry);
+
+  const seen = new Set();
+  for (const ch of lineup) {
+    if (seen.has(ch.slug)) throw new Error(`Duplicate channel slug "${ch.slug}"`);
+    seen.add(ch.slug);
+  }
+  return lineup;
+}
+
+function loadLineup({ file, env, defaultRssUrl, defaultName = "" }) {
+  let entries = [];
+  if (file) entries = readChannelsFile(file);
+  else if (env) entries = parseChannelsEnv(env);
+
+  const lineup = normalizeLineup(entries);
+
+  if (!lineup.length) lineup.push({ slug: "main", name: defaultName, rssUrl: defaultRssUrl, mode: "" });
+  return lineup;
+}
+
+module.exports = { loadLineup, normalizeLineup, parseChannelsEnv };
@@ -0,0 +1,68 @@
+const { createLogger } = require("./logger");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Feed directory
+ * - An ordered list of feeds: { rssUrl, title, htmlUrl, category, addedAt }
+ * - Filled from OPML imports; titles and artwork are looked up live from the feeds themselves
+ * - Kept in memory, optionally persisted to a JSON file (debounced writes)
+ */
+
+const MAX_FEEDS = 500;
+const WRITE_DELAY_MS = 2000;
+
+function createDirectory({ file, log = createLogger().child({ component: "directory" }) } = {}) {
+  let feeds = [];
+  const store = createJsonStore({ file, delayMs: WRITE_DELAY_MS, serialize: () => feeds, pretty: true, log });
+
+  try {
+    const raw = store.read();
+    if (Array.isArray(raw)) feeds = raw.filter((f) => f && f.rssUrl).slice(0, MAX_FEEDS);
+  } catch (err) {
+    log.error("Could not read the directory, starting empty", { err, file });
+  }
+
+  function list() {
+    return feeds.slice();
+  }
+
+  function has(rssUrl) {
+    return feeds.some((f) => f.rssUrl === rssUrl);
+  }
+
+  /**
+   * Adds feeds (skipping URLs already listed), or replaces the whole list.
+   * Returns { added, total, dropped } where dropped counts feeds over the size cap.
+   */
+  function importFeeds(incoming, { replace = false } = {}) {
+    const next = replace ? [] : feeds.slice();
+    const seen = new Set(next.map((f) => f.rssUrl));
+    let added = 0;
+    let dropped = 0;
+
+    for (const f of incoming) {
+      if (seen.has(f.rssUrl)) continue;
+      if (next.length >= MAX_FEEDS) {
+        dropped++;
+        continue;
+      }
+      seen.add(f.rssUrl);
+      next.push({
+        rssUrl: f.rssUrl,
+        title: f.title || "",
+        htmlUrl: f.htmlUrl || "",
+        category: f.category || "",
+        addedAt: Date.now(),
+      });
+      added++;
+    }
+
+    feeds = next;
+    store.scheduleWrite();
+    return { added, total: feeds.length, dropped };
+  }
+
+  return { list, has, importFeeds };
+}
+
+module.exports = { createDirectory };
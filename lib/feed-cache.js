@@ -0,0 +1,247 @@
+const { createLogger } = require("./logger");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Feed cache
+ * - Bounded LRU keyed by feed URL; feeds flagged by isQueryFeed (ad-hoc ?rss= feeds) have their
+ *   own, smaller cap, so they can't crowd out the configured ones
+ * - Concurrent misses for the same feed share one upstream fetch
+ * - Revalidates with If-None-Match / If-Modified-Since
+ * - Stale-while-revalidate: an expired entry is served immediately and refreshed in the background
+ * - Stale-if-error: when upstream fails, the last good copy is served
+ * - Optional JSON snapshot on disk, reloaded at boot so a cold start has something to show
+ * - status() and peek() for one feed, inspect() / purge() for the admin console
+ *
+ * `fetchFeed(rssUrl, { etag, lastModified })` does the actual work and resolves
+ *   { notModified: true } or { feed, etag, lastModified }.
+ * `onLookup(result)` is told how each get() was answered: "hit", "stale" (served, refreshing in
+ * the background) or "miss" (waited for upstream).
+ */
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_DELAY_MS = 5000;
+const MAX_FAILURES = 50;
+
+function createFeedCache({
+  fetchFeed,
+  ttlMs,
+  staleMs = 0,
+  maxEntries = 100,
+  maxQueryEntries = Infinity,
+  isQueryFeed = () => false,
+  snapshotFile = "",
+  onLookup = () => {},
+  log = createLogger().child({ component: "feed-cache" }),
+}) {
+  const entries = new Map(); // rssUrl -> { feed, at, etag, lastModified, lastError, lastErrorCode, lastErrorAt }
+  const inflight = new Map(); // rssUrl -> Promise<entry>
+  // Feeds that never loaded, kept apart so a run of bad URLs can't push good feeds out of the LRU.
+  const failures = new Map(); // rssUrl -> { lastError, lastErrorCode, lastErrorAt }
+  const snapshot = createJsonStore({
+    file: snapshotFile,
+    delayMs: SNAPSHOT_DELAY_MS,
+    serialize: () => ({
+      version: SNAPSHOT_VERSION,
+      entries: Array.from(entries, ([rssUrl, e]) => ({
+        rssUrl,
+        feed: e.feed,
+        at: e.at,
+        etag: e.etag,
+        lastModified: e.lastModified,
+      })).filter((e) => e.feed),
+    }),
+    log,
+  });
+
+  function touch(rssUrl, entry) {
+    entries.delete(rssUrl);
+    entries.set(rssUrl, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    if (isQueryFeed(rssUrl)) {
+      // Least recently used first, like the Map itself.
+      const query = Array.from(entries.keys()).filter(isQueryFeed);
+      query.slice(0, Math.max(0, query.length - maxQueryEntries)).forEach((url) => entries.delete(url));
+    }
+  }
+
+  function loadSnapshot() {
+    try {
+      const raw = snapshot.read();
+      if (!raw || raw.version !== SNAPSHOT_VERSION || !Array.isArray(raw.entries)) return;
+      for (const e of raw.entries.slice(-maxEntries)) {
+        if (!e.rssUrl || !e.feed) continue;
+        entries.set(e.rssUrl, {
+          feed: e.feed,
+          at: Number(e.at) || 0,
+          etag: e.etag || "",
+          lastModified: e.lastModified || "",
+          lastError: "",
+          lastErrorCode: "",
+          lastErrorAt: 0,
+        });
+      }
+      log.info("Snapshot restored", { feeds: entries.size, file: snapshotFile });
+    } catch (err) {
+      log.error("Could not read snapshot", { err, file: snapshotFile });
+    }
+  }
+
+  // One upstream request per feed at a time; everyone else waits on the same promise.
+  function revalidate(rssUrl) {
+    if (inflight.has(rssUrl)) return inflight.get(rssUrl);
+
+    const existing = entries.get(rssUrl);
+    const p = fetchFeed(rssUrl, {
+      etag: existing && existing.feed ? existing.etag : "",
+      lastModified: existing && existing.feed ? existing.lastModified : "",
+    })
+      .then((result) => {
+        const now = Date.now();
+        let entry;
+        if (result.notModified && existing && existing.feed) {
+          entry = Object.assign({}, existing, { at: now, lastError: "", lastErrorCode: "", lastErrorAt: 0 });
+        } else {
+          entry = {
+            feed: result.feed,
+            at: now,
+            etag: result.etag || "",
+            lastModified: result.lastModified || "",
+            lastError: "",
+            lastErrorCode: "",
+            lastErrorAt: 0,
+          };
+        }
+        touch(rssUrl, entry);
+        failures.delete(rssUrl);
+        snapshot.scheduleWrite();
+        return entry;
+      })
+      .catch((err) => {
+        const current = entries.get(rssUrl);
+        const failure = { lastError: err.message || String(err), lastErrorCode: err.code || "", lastErrorAt: Date.now() };
+        if (current) {
+          Object.assign(current, failure);
+        } else {
+          failures.delete(rssUrl);
+          failures.set(rssUrl, failure);
+          if (failures.size > MAX_FAILURES) failures.delete(failures.keys().next().value);
+        }
+        throw err;
+      })
+      .finally(() => inflight.delete(rssUrl));
+
+    inflight.set(rssUrl, p);
+    return p;
+  }
+
+  /**
+   * Returns the parsed feed for `rssUrl`.
+   * `force` skips the freshness check (the upstream request is still conditional and coalesced).
+   */
+  async function get(rssUrl, { force = false } = {}) {
+    const entry = entries.get(rssUrl);
+    const age = entry && entry.feed ? Date.now() - entry.at : Infinity;
+
+    if (entry && entry.feed && !force) {
+      touch(rssUrl, entry);
+      if (age < ttlMs) {
+        onLookup("hit");
+        return entry.feed;
+      }
+
+      if (age < ttlMs + staleMs) {
+        onLookup("stale");
+        revalidate(rssUrl).catch((err) => log.warn("Background refresh failed", { err, url: rssUrl }));
+        return entry.feed;
+      }
+    }
+
+    onLookup("miss");
+    try {
+      return (await revalidate(rssUrl)).feed;
+    } catch (err) {
+      // Stale-if-error: a copy of any age beats an error page.
+      if (entry && entry.feed) {
+        log.warn("Serving stale copy", { err, url: rssUrl });
+        return entry.feed;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * One feed: { fetchedAt, lastError, lastErrorCode, lastErrorAt } (epoch ms, 0 when never),
+   * or null when the cache knows nothing about it. Doesn't count as a use.
+   */
+  function status(rssUrl) {
+    const e = entries.get(rssUrl) || failures.get(rssUrl);
+    if (!e) return null;
+    return {
+      fetchedAt: e.feed ? e.at : 0,
+      lastError: e.lastError || "",
+      lastErrorCode: e.lastErrorCode || "",
+      lastErrorAt: e.lastErrorAt || 0,
+    };
+  }
+
+  /**
+   * The cached copy of `rssUrl`, of any age, as { feed, fresh }, or null when there is none.
+   * Never fetches and doesn't count as a use.
+   */
+  function peek(rssUrl) {
+    const e = entries.get(rssUrl);
+    if (!e || !e.feed) return null;
+    return { feed: e.feed, fresh: Date.now() - e.at < ttlMs };
+  }
+
+  /**
+   * What is cached, most recently used first:
+   *   [{ rssUrl, fetchedAt, ageMs, items, state, lastError, lastErrorAt, refreshing }]
+   * state is "fresh", "stale" (served while refreshing), "expired" or "error" (never loaded).
+   */
+  function inspect() {
+    const now = Date.now();
+    const all = new Map(failures);
+    for (const [rssUrl, e] of entries) {
+      all.delete(rssUrl);
+      all.set(rssUrl, e);
+    }
+    return Array.from(all, ([rssUrl, e]) => {
+      const age = e.feed ? now - e.at : null;
+      let state = "error";
+      if (e.feed) state = age < ttlMs ? "fresh" : age < ttlMs + staleMs ? "stale" : "expired";
+      return {
+        rssUrl,
+        fetchedAt: e.at ? new Date(e.at).toISOString() : null,
+        ageMs: age,
+        items: e.feed && Array.isArray(e.feed.items) ? e.feed.items.length : 0,
+        state,
+        lastError: e.lastError || "",
+        lastErrorAt: e.lastErrorAt ? new Date(e.lastErrorAt).toISOString() : null,
+        refreshing: inflight.has(rssUrl),
+      };
+    }).reverse();
+  }
+
+  // Drops one feed, or every feed without an argument. Returns how many were dropped.
+  function purge(rssUrl) {
+    let count;
+    if (rssUrl === undefined) {
+      count = entries.size + failures.size;
+      entries.clear();
+      failures.clear();
+    } else {
+      count = (entries.delete(rssUrl) ? 1 : 0) + (failures.delete(rssUrl) ? 1 : 0);
+    }
+    if (count) snapshot.scheduleWrite();
+    return count;
+  }
+
+  loadSnapshot();
+
+  return { get, status, peek, inspect, purge };
+}
+
+module.exports = { createFeedCache };
@@ -0,0 +1,278 @@
+/**
+ * Feed formats besides plain RSS
+ * - Atom: <link rel="enclosure"> becomes the enclosure (further ones its alternates), <id> the guid
+ * - Media RSS: media:content inside media:group (YouTube-style channel feeds) joins the item's
+ *   own media:content; renditions are ranked best first (resolution, then bitrate) and the ones
+ *   that aren't audio or video (images, embedded players) are dropped
+ * - JSON Feed 1.0/1.1: audio and video attachments become the enclosure and its alternates
+ * - M3U/M3U8 playlists: one item per entry; an HLS playlist is a single item, the stream itself
+ *
+ * Every format comes out in the shape rss-parser gives for RSS, so the episode normalization in
+ * server.js doesn't need to know where a feed came from.
+ */
+
+// rss-parser customFields the Atom and media:group handling reads.
+const ITEM_FIELDS = [
+  ["link", "atomLinks", { keepArray: true }],
+  ["media:group", "mediaGroups", { keepArray: true }],
+];
+
+const MEDIA_TYPE_RE = /^(audio|video)\/|mpegurl|^application\/dash\+xml$/i;
+const MEDIA_URL_RE = /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|mp4|m4v|webm|mov|m3u8|mpd)(\?|#|$)/i;
+const HLS_TAG_RE = /^#EXT-X-(TARGETDURATION|STREAM-INF|MEDIA-SEQUENCE)\b/i;
+const EXTINF_RE = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/i;
+
+function textOf(node) {
+  if (node == null) return "";
+  if (typeof node === "string" || typeof node === "number") return String(node).trim();
+  return typeof node._ === "string" ? node._.trim() : "";
+}
+
+function attrsOf(node) {
+  return (node && typeof node === "object" && node.$) || {};
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function absoluteUrl(value, base) {
+  const s = typeof value === "string" ? value.trim() : "";
+  if (!s) return "";
+  try {
+    const u = new URL(s, base || undefined);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.toString() : "";
+  } catch {
+    return "";
+  }
+}
+
+// Last path segment without its extension: a title for entries that come without one.
+function nameFromUrl(value) {
+  try {
+    const last = new URL(value).pathname.split("/").filter(Boolean).pop() || "";
+    return decodeURIComponent(last).replace(/\.[a-z0-9]{2,5}$/i, "");
+  } catch {
+    return "";
+  }
+}
+
+function isoDate(value) {
+  const d = new Date(value);
+  return value && !Number.isNaN(d.getTime()) ? d.toISOString() : "";
+}
+
+/**
+ * Whether a URL (with its MIME type and Media RSS medium, when known) is something the TV page
+ * can play rather than a page, an image or an embedded player.
+ */
+function isPlayable(url, type, medium) {
+  return (
+    MEDIA_TYPE_RE.test(type || "") ||
+    medium === "audio" ||
+    medium === "video" ||
+    MEDIA_URL_RE.test(url || "")
+  );
+}
+
+function compareRenditions(a, b) {
+  const x = a.$;
+  const y = b.$;
+  return (
+    toNumber(y.height) - toNumber(x.height) ||
+    toNumber(y.width) - toNumber(x.width) ||
+    toNumber(y.bitrate) - toNumber(x.bitrate) ||
+    toNumber(y.fileSize) - toNumber(x.fileSize)
+  );
+}
+
+/**
+ * An item's playable media:content entries, its own and those in media:group, best first.
+ * Entries without size or bitrate keep their feed order.
+ */
+function rankRenditions(item) {
+  const nodes = (item.mediaContent || []).slice();
+  for (const group of item.mediaGroups || []) {
+    if (group && typeof group === "object") nodes.push(...(group["media:content"] || []));
+  }
+  return nodes
+    .filter((n) => {
+      const a = attrsOf(n);
+      return a.url && isPlayable(a.url, a.type, a.medium);
+    })
+    .sort(compareRenditions);
+}
+
+function groupChild(item, name) {
+  for (const group of item.mediaGroups || []) {
+    if (group && typeof group === "object" && group[name]) return group[name];
+  }
+  return null;
+}
+
+/**
+ * Fills in the fields server.js reads (enclosure, mediaContent, mediaThumbnail, guid,
+ * contentSnippet) for Atom entries and media:group items. Plain RSS items pass unchanged apart
+ * from non-playable media:content being dropped.
+ */
+function normalizeXmlFeed(feed) {
+  for (const item of feed.items || []) {
+    const enclosures = (item.atomLinks || [])
+      .map(attrsOf)
+      .filter((a) => a.rel === "enclosure" && a.href)
+      .map((a) => ({ url: a.href, type: a.type || "", length: a.length || "" }));
+    const renditions = rankRenditions(item);
+
+    if (!(item.enclosure && item.enclosure.url) && enclosures.length) item.enclosure = enclosures.shift();
+    item.mediaContent = enclosures.map((e) => ({ $: { url: e.url, type: e.type } })).concat(renditions);
+    if (!item.mediaThumbnail) item.mediaThumbnail = groupChild(item, "media:thumbnail") || undefined;
+    if (!item.contentSnippet && !item.content) {
+      item.contentSnippet = item.summary || textOf((groupChild(item, "media:description") || [])[0]);
+    }
+    if (!item.guid && typeof item.id === "string") item.guid = item.id;
+
+    delete item.atomLinks;
+    delete item.mediaGroups;
+  }
+  return feed;
+}
+
+/**
+ * JSON Feed (https://jsonfeed.org/version/1.1). Throws when the document isn't one.
+ */
+function parseJsonFeed(text, feedUrl) {
+  const doc = JSON.parse(text);
+  if (!doc || !/^https:\/\/jsonfeed\.org\/version\//.test(String(doc.version || "")) || !Array.isArray(doc.items)) {
+    throw new Error("not a JSON Feed document");
+  }
+  const base = absoluteUrl(doc.feed_url, feedUrl) || feedUrl;
+
+  const items = doc.items
+    .filter((it) => it && typeof it === "object")
+    .map((it) => {
+      const attachments = (Array.isArray(it.attachments) ? it.attachments : [])
+        .map((a) => ({
+          url: absoluteUrl(a && a.url, base),
+          type: String((a && a.mime_type) || ""),
+          length: a && a.size_in_bytes ? String(a.size_in_bytes) : "",
+          duration: toNumber(a && a.duration_in_seconds),
+        }))
+        .filter((a) => a.url && isPlayable(a.url, a.type));
+      const first = attachments.shift();
+      const image = absoluteUrl(it.image || it.banner_image, base);
+      const date = isoDate(it.date_published || it.date_modified);
+
+      return {
+        guid: it.id != null ? String(it.id) : "",
+        title: String(it.title || ""),
+        link: absoluteUrl(it.url || it.external_url, base),
+        isoDate: date || undefined,
+        pubDate: date,
+        content: String(it.content_html || ""),
+        contentSnippet: String(it.summary || it.content_text || ""),
+        enclosure: first ? { url: first.url, type: first.type, length: first.length } : undefined,
+        mediaContent: attachments.map((a) => ({ $: { url: a.url, type: a.type } })),
+        mediaThumbnail: image ? [{ $: { url: image } }] : undefined,
+        duration: first && first.duration ? String(first.duration) : "",
+      };
+    });
+
+  const icon = absoluteUrl(doc.icon || doc.favicon, base);
+  return {
+    title: String(doc.title || ""),
+    description: String(doc.description || ""),
+    link: absoluteUrl(doc.home_page_url, base),
+    feedUrl: base,
+    image: icon ? { url: icon } : undefined,
+    items,
+  };
+}
+
+/**
+ * An M3U/M3U8 playlist. #EXTINF supplies titles, durations and (IPTV-style) tvg-logo images;
+ * relative entries resolve against the playlist's URL. An HLS playlist (#EXT-X- tags) is a
+ * stream rather than a list, so it becomes one item pointing at the playlist itself.
+ */
+function parseM3u(text, playlistUrl) {
+  const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const name = nameFromUrl(playlistUrl) || "Playlist";
+
+  if (lines.some((l) => HLS_TAG_RE.test(l))) {
+    // A VOD playlist (#EXT-X-ENDLIST) has a known length; without one it's live.
+    const ended = lines.some((l) => /^#EXT-X-ENDLIST\b/i.test(l));
+    const seconds = ended
+      ? lines.reduce((sum, l) => sum + (l.match(EXTINF_RE) ? toNumber(l.match(EXTINF_RE)[1]) : 0), 0)
+      : 0;
+    return {
+      title: name,
+      items: [
+        {
+          guid: playlistUrl,
+          title: name,
+          enclosure: { url: playlistUrl, type: "application/vnd.apple.mpegurl" },
+          duration: seconds ? String(Math.round(seconds)) : "",
+        },
+      ],
+    };
+  }
+
+  let title = name;
+  let pending = null;
+  const items = [];
+  for (const line of lines) {
+    if (line[0] === "#") {
+      const inf = line.match(EXTINF_RE);
+      if (inf) {
+        const attrs = {};
+        for (const m of inf[2].matchAll(/([\w-]+)="([^"]*)"/g)) attrs[m[1].toLowerCase()] = m[2];
+        pending = { seconds: toNumber(inf[1]), title: inf[3].trim(), logo: attrs["tvg-logo"] || "" };
+      } else if (/^#PLAYLIST:/i.test(line)) {
+        title = line.slice(10).trim() || title;
+      }
+      continue;
+    }
+
+    const url = absoluteUrl(line, playlistUrl);
+    const entry = pending || {};
+    pending = null;
+    if (!url) continue;
+    const logo = absoluteUrl(entry.logo, playlistUrl);
+    items.push({
+      guid: url,
+      title: entry.title || nameFromUrl(url) || url,
+      enclosure: { url, type: "" },
+      mediaThumbnail: logo ? [{ $: { url: logo } }] : undefined,
+      duration: entry.seconds ? String(Math.round(entry.seconds)) : "",
+    });
+  }
+  return { title, items };
+}
+
+/**
+ * Which parser a fetched feed needs: "json", "m3u" or "xml". The body decides; the content type
+ * only settles playlists that are nothing but URLs.
+ */
+function detectFeedFormat(contentType, text) {
+  const head = String(text).replace(/^\uFEFF/, "").trimStart();
+  if (head[0] === "{") return "json";
+  if (/^#EXT(M3U|INF)/i.test(head) || /mpegurl/i.test(contentType || "")) return "m3u";
+  if (/^https?:\/\//i.test(head)) return "m3u";
+  return "xml";
+}
+
+// Content types a feed may arrive with: XML, JSON, M3U and plain text (common for playlists).
+function isFeedContentType(contentType) {
+  const t = String(contentType || "").split(";")[0].trim().toLowerCase();
+  return /(^|\/|\+)(xml|json)$|^application\/(rss|atom|rdf)$|mpegurl$|^text\/plain$/.test(t);
+}
+
+module.exports = {
+  ITEM_FIELDS,
+  isPlayable,
+  normalizeXmlFeed,
+  parseJsonFeed,
+  parseM3u,
+  detectFeedFormat,
+  isFeedContentType,
+};
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * UI translations for the TV page and the channel guide
+ * - locales/<lang>.json maps each English UI string to its translation; English is the source
+ *   language and has no file, and a string a translation lacks stays English
+ * - Strings may contain {name} placeholders, filled in by translate()
+ * - pick(requested, acceptLanguage) chooses the language for a request: the requested tag
+ *   (?lang=) if we have it, else the default (UI_LANGUAGE) if set, else the first Accept-Language
+ *   entry we have, else English. It returns { lang, locale }: lang names the string table, locale
+ *   is the full tag ("de-AT", "en-GB") for formatting dates and numbers.
+ */
+
+const SOURCE_LANGUAGE = "en";
+const TAG_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function loadLocales(dir) {
+  const tables = new Map();
+  if (!fs.existsSync(dir)) return tables;
+  for (const file of fs.readdirSync(dir)) {
+    const m = file.match(/^([a-z]{2,3})\.json$/);
+    if (!m) continue;
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${file}: expected an object of strings`);
+    tables.set(m[1], raw);
+  }
+  return tables;
+}
+
+// Accept-Language tags, most preferred first.
+function parseAcceptLanguage(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter((e) => TAG_RE.test(e.tag) && e.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map((e) => e.tag);
+}
+
+function createI18n({ dir = path.join(__dirname, "..", "locales"), defaultLanguage = "" } = {}) {
+  const tables = loadLocales(dir);
+  const languages = [SOURCE_LANGUAGE, ...Array.from(tables.keys()).sort()];
+
+  // { lang, locale } for a tag we have a table for, else null. TAG_RE only checks the shape, so
+  // a tag Intl rejects ("en-aa-bb") keeps its language and formats with the bare language tag.
+  function match(tag) {
+    if (!tag || !TAG_RE.test(tag)) return null;
+    const lang = tag.split("-")[0].toLowerCase();
+    if (!languages.includes(lang)) return null;
+    try {
+      return { lang, locale: Intl.getCanonicalLocales(tag)[0] };
+    } catch (err) {
+      return { lang, locale: lang };
+    }
+  }
+
+  if (defaultLanguage && !match(defaultLanguage)) {
+    throw new Error(`UI_LANGUAGE must be one of ${languages.join(", ")}`);
+  }
+
+  function pick(requested, acceptLanguage) {
+    const candidates = [requested, defaultLanguage, ...parseAcceptLanguage(acceptLanguage)];
+    for (const tag of candidates) {
+      const found = match(tag);
+      if (found) return found;
+    }
+    return { lang: SOURCE_LANGUAGE, locale: SOURCE_LANGUAGE };
+  }
+
+  function strings(lang) {
+    return tables.get(lang) || {};
+  }
+
+  function translate(lang, text, vars) {
+    const s = strings(lang)[text] || text;
+    return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : s;
+  }
+
+  return { languages, pick, strings, translate };
+}
+
+module.exports = { createI18n, parseAcceptLanguage };
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("./logger");
+
+/**
+ * JSON file behind an in-memory store (progress, telemetry, directory, settings, feed cache)
+ * - read() returns the parsed file, or undefined when there is no file (yet); parse errors throw
+ * - scheduleWrite() saves what `serialize()` returns at most once per `delayMs`, so a burst of
+ *   updates costs one write
+ * - Writes go to a temp file that is then renamed over the target, so a crash never leaves half
+ *   a JSON document behind; writes never overlap
+ * - Without a `file` nothing is read or written: the store is memory only
+ */
+
+function createJsonStore({ file, delayMs, serialize, pretty = false, log = createLogger().child({ component: "json-store" }) }) {
+  let writeTimer = null;
+  let writing = Promise.resolve();
+
+  function read() {
+    if (!file || !fs.existsSync(file)) return undefined;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  function write() {
+    const tmp = file + ".tmp";
+    return fs.promises
+      .mkdir(path.dirname(file), { recursive: true })
+      .then(() => fs.promises.writeFile(tmp, JSON.stringify(serialize(), null, pretty ? 2 : 0)))
+      .then(() => fs.promises.rename(tmp, file))
+      .catch((err) => log.error("Write failed", { err, file }));
+  }
+
+  function scheduleWrite() {
+    if (!file || writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      writing = writing.then(write);
+    }, delayMs);
+    writeTimer.unref();
+  }
+
+  return { read, scheduleWrite };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Remote control key overrides for the TV page
+ * - The page ships key maps for ordinary keyboards, Tizen, webOS and Android TV (public/tv.js)
+ * - KEYMAP_FILE replaces the keys of single actions, for remotes that send something else
+ *
+ * The file maps action names to lists of keys. Strings match KeyboardEvent.key or .code,
+ * numbers match .keyCode:
+ *   { "back": ["Escape", 10009], "speed": ["KeyS", 403], "captions": [460] }
+ */
+
+const ACTIONS = [
+  "up", "down", "left", "right", "select", "back",
+  "playPause", "play", "pause", "stop", "rewind", "fastForward", "prevEpisode", "nextEpisode",
+  "channelUp", "channelDown", "guide", "search", "captions", "quality", "speed", "fullscreen",
+  "download",
+];
+const PLATFORMS = ["default", "tizen", "webos", "androidtv"];
+
+function loadKeymap(file) {
+  if (!file) return {};
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${file}: expected an object of action → keys`);
+  }
+
+  const keymap = {};
+  for (const [action, keys] of Object.entries(raw)) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`${file}: unknown action "${action}" (known: ${ACTIONS.join(", ")})`);
+    }
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (!list.every((k) => (typeof k === "string" && k) || Number.isInteger(k))) {
+      throw new Error(`${file}: keys of "${action}" must be key names or key codes`);
+    }
+    keymap[action] = list;
+  }
+  return keymap;
+}
+
+function checkPlatform(value) {
+  const platform = String(value || "").trim().toLowerCase();
+  if (platform && !PLATFORMS.includes(platform)) {
+    throw new Error(`TV_PLATFORM must be one of ${PLATFORMS.join(", ")}`);
+  }
+  return platform;
+}
+
+module.exports = { loadKeymap, checkPlatform, ACTIONS, PLATFORMS };
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Kiosk schedule rules for the TV page (KIOSK_RULES_FILE)
+ * - A list of rules; each screen checks them against its own clock every minute and follows
+ *   the first one that matches, or plays normally when none does
+ * - days: "mon-fri", "sat,sun", ... (default every day); from/to: "HH:MM" (default all day,
+ *   a window like 22:00–07:00 runs past midnight and belongs to the day it starts on)
+ * - Then what to do: kind ("audio" or "video" episodes only), channel (a lineup slug to tune
+ *   to) and/or screensaver (true: show the clock instead of playing)
+ *
+ *   [
+ *     { "days": "mon-fri", "from": "09:00", "to": "18:00", "kind": "video" },
+ *     { "days": "sat,sun", "channel": "weekend" },
+ *     { "from": "23:00", "to": "07:00", "screensaver": true }
+ *   ]
+ *
+ * Rules go to the page as { days: [0-6, Sunday = 0], from, to (minutes after midnight), kind,
+ * channel, screensaver }.
+ */
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const KINDS = ["audio", "video"];
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const SLUG_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function parseDays(value, where) {
+  if (value == null || value === "") return [0, 1, 2, 3, 4, 5, 6];
+  const days = new Set();
+  for (const part of String(value).toLowerCase().split(",")) {
+    const [from, to = from] = part.trim().split("-").map((d) => DAYS.indexOf(d.trim().slice(0, 3)));
+    if (from === -1 || to === -1) throw new Error(`${where}: days must look like "mon-fri" or "sat,sun"`);
+    // "fri-mon" wraps around the week.
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+function parseTime(value, fallback, where) {
+  if (value == null || value === "") return fallback;
+  const m = String(value).match(TIME_RE);
+  if (!m) throw new Error(`${where}: times must be HH:MM`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function checkRule(raw, where) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${where}: expected an object`);
+
+  const rule = {
+    days: parseDays(raw.days, where),
+    from: parseTime(raw.from, 0, where),
+    to: parseTime(raw.to, 24 * 60, where),
+    kind: raw.kind ? String(raw.kind).toLowerCase() : "",
+    channel: raw.channel ? String(raw.channel).toLowerCase() : "",
+    screensaver: raw.screensaver === true,
+  };
+  if (rule.kind && !KINDS.includes(rule.kind)) throw new Error(`${where}: kind must be "audio" or "video"`);
+  if (rule.channel && !SLUG_RE.test(rule.channel)) throw new Error(`${where}: channel must be a channel slug`);
+  if (!rule.kind && !rule.channel && !rule.screensaver) {
+    throw new Error(`${where}: a rule needs a kind, a channel or "screensaver": true`);
+  }
+  return rule;
+}
+
+function loadKioskRules(file) {
+  if (!file) return [];
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  if (!Array.isArray(raw)) throw new Error(`${file}: expected a list of rules`);
+  return raw.map((r, i) => checkRule(r, `${file}: rule ${i + 1}`));
+}
+
+module.exports = { loadKioskRules };
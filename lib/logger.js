@@ -0,0 +1,47 @@
+/**
+ * Structured logging
+ * - One JSON object per line on stdout: { time, level, msg, ...fields }
+ * - child(fields) returns a logger that adds the fields to every line (component, request ID)
+ * - An Error passed as the `err` field is flattened to { message, code, status, stack }
+ * - Lines below the logger's level are dropped; "silent" drops everything
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { message: err.message, name: err.name };
+  if (err.code) out.code = err.code;
+  if (err.status) out.status = err.status;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+function createLogger({ level = "info", fields = {}, write = (line) => process.stdout.write(line + "\n") } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(lvl, msg, extra) {
+    if (LEVELS[lvl] < threshold) return;
+    const line = Object.assign({ time: new Date().toISOString(), level: lvl, msg }, fields, extra);
+    if (line.err) line.err = serializeError(line.err);
+    let text;
+    try {
+      text = JSON.stringify(line);
+    } catch {
+      // Circular or otherwise unserializable fields: keep the message at least.
+      text = JSON.stringify({ time: line.time, level: lvl, msg });
+    }
+    write(text);
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (more) => createLogger({ level, fields: Object.assign({}, fields, more), write }),
+  };
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,127 @@
+/**
+ * Metrics in the Prometheus text exposition format (served on /metrics)
+ * - counter(name, help, labelNames) → { inc(labels, n = 1) }
+ * - gauge(name, help, labelNames, collect) → { set(labels, value) }; `collect()`, if given, runs at
+ *   scrape time and returns [{ labels, value }] instead
+ * - histogram(name, help, labelNames, buckets) → { observe(labels, value) }
+ * - render() → the whole registry as text
+ *
+ * Each metric keeps at most `maxSeries` label combinations; later ones are added up under
+ * "other" labels, so a label fed from user input (a host name) can't grow memory without bound.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const DEFAULT_MAX_SERIES = 500;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+function createRegistry({ prefix = "", maxSeries = DEFAULT_MAX_SERIES } = {}) {
+  const metrics = [];
+
+  function define(type, name, help, labelNames, init) {
+    const series = new Map(); // JSON of label values -> state
+    const other = labelNames.map(() => "other");
+
+    function seriesFor(labels = {}) {
+      let values = labelNames.map((n) => (labels[n] == null ? "" : String(labels[n])));
+      let key = JSON.stringify(values);
+      if (!series.has(key) && series.size >= maxSeries) {
+        values = other;
+        key = JSON.stringify(values);
+      }
+      if (!series.has(key)) series.set(key, { values, state: init() });
+      return series.get(key).state;
+    }
+
+    const metric = { type, name: prefix + name, help, labelNames, series, seriesFor };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const m = define("counter", name, help, labelNames, () => ({ value: 0 }));
+    return {
+      inc(labels, n = 1) {
+        m.seriesFor(labels).value += n;
+      },
+    };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const m = define("gauge", name, help, labelNames, () => ({ value: 0 }));
+    m.collect = collect;
+    return {
+      set(labels, value) {
+        m.seriesFor(labels).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const m = define("histogram", name, help, labelNames, () => ({
+      counts: bounds.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    m.bounds = bounds;
+    return {
+      observe(labels, value) {
+        const s = m.seriesFor(labels);
+        bounds.forEach((b, i) => {
+          if (value <= b) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  function renderMetric(m) {
+    const lines = [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`];
+
+    if (m.collect) {
+      for (const { labels, value } of m.collect()) {
+        const values = m.labelNames.map((n) => (labels[n] == null ? "" : labels[n]));
+        lines.push(`${m.name}${formatLabels(m.labelNames, values)} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+
+    for (const { values, state } of m.series.values()) {
+      if (m.type !== "histogram") {
+        lines.push(`${m.name}${formatLabels(m.labelNames, values)} ${formatValue(state.value)}`);
+        continue;
+      }
+      m.bounds.forEach((b, i) => {
+        lines.push(`${m.name}_bucket${formatLabels(m.labelNames, values, `le="${formatValue(b)}"`)} ${state.counts[i]}`);
+      });
+      lines.push(`${m.name}_bucket${formatLabels(m.labelNames, values, 'le="+Inf"')} ${state.count}`);
+      lines.push(`${m.name}_sum${formatLabels(m.labelNames, values)} ${state.sum}`);
+      lines.push(`${m.name}_count${formatLabels(m.labelNames, values)} ${state.count}`);
+    }
+    return lines;
+  }
+
+  function render() {
+    return metrics.flatMap(renderMetric).join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,114 @@
+/**
+ * OPML subscription lists (what podcast apps import and export)
+ * - parseOpml: every <outline> with an xmlUrl, wherever it is nested; folder outlines become categories
+ * - toOpml: OPML 2.0 document for a list of feeds
+ *
+ * OPML is a flat, attribute-only format, so a small tokenizer is enough; no XML library needed.
+ */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(str) {
+  return String(str).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function encodeAttr(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(source))) attrs[m[1]] = decodeEntities(m[2] ?? m[3]);
+  return attrs;
+}
+
+/**
+ * Feeds listed in an OPML document: [{ title, rssUrl, htmlUrl, category }], first occurrence of
+ * each URL wins. Throws if the text isn't OPML at all.
+ */
+function parseOpml(text) {
+  const xml = String(text || "").replace(/<!--[\s\S]*?-->/g, "");
+  if (!/<opml[\s>]/i.test(xml)) throw new Error("Not an OPML document");
+
+  const feeds = [];
+  const seen = new Set();
+  const folders = []; // titles of the open outlines without xmlUrl
+  const tag = /<outline\b((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|<\/outline\s*>/gi;
+  let m;
+
+  while ((m = tag.exec(xml))) {
+    if (m[1] === undefined) {
+      folders.pop();
+      continue;
+    }
+
+    const attrs = parseAttrs(m[1]);
+    const title = (attrs.title || attrs.text || "").trim();
+    const rssUrl = (attrs.xmlUrl || attrs.xmlurl || "").trim();
+
+    if (rssUrl && !seen.has(rssUrl)) {
+      seen.add(rssUrl);
+      feeds.push({
+        title,
+        rssUrl,
+        htmlUrl: (attrs.htmlUrl || "").trim(),
+        category: folders.filter(Boolean).join(" / "),
+      });
+    }
+    if (!m[2]) folders.push(rssUrl ? "" : title);
+  }
+
+  return feeds;
+}
+
+function feedOutline(f, indent) {
+  const name = encodeAttr(f.title || f.rssUrl);
+  const html = f.htmlUrl ? ` htmlUrl="${encodeAttr(f.htmlUrl)}"` : "";
+  return `${indent}<outline type="rss" text="${name}" title="${name}" xmlUrl="${encodeAttr(f.rssUrl)}"${html} />`;
+}
+
+/**
+ * OPML 2.0 for [{ title, rssUrl, htmlUrl, category }]. Feeds with a category are grouped
+ * under a folder outline of that name, like podcast apps do.
+ */
+function toOpml({ title, feeds }) {
+  const lines = [];
+  const folders = new Map();
+  for (const f of feeds) {
+    if (!f.category) lines.push(feedOutline(f, "    "));
+    else folders.set(f.category, (folders.get(f.category) || []).concat(f));
+  }
+  for (const [category, list] of folders) {
+    lines.push(`    <outline text="${encodeAttr(category)}">`);
+    lines.push(...list.map((f) => feedOutline(f, "      ")));
+    lines.push("    </outline>");
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${encodeAttr(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+    ...lines,
+    "  </body>",
+    "</opml>",
+    "",
+  ].join("\n");
+}
+
+module.exports = { parseOpml, toOpml };
@@ -0,0 +1,136 @@
+/**
+ * Output feeds: what /feed.xml and /feed.json publish (see "Output feeds" in server.js)
+ * - toRss: RSS 2.0 with the iTunes and podcast namespaces, so podcast apps can subscribe
+ * - toJsonFeed: JSON Feed 1.1
+ *
+ * Both take the same description of the channel and its items:
+ *   channel: { title, description, homeUrl, feedUrl, imageUrl, language, author, category, medium }
+ *   item:    { guid, title, link, date, description, mediaUrl, mediaType, mediaLength, durationSeconds,
+ *              imageUrl, episodeType, season, episodeNumber, chapters, transcripts, source: { title, url } }
+ * where date is an ISO string (or "" when the source item had none).
+ */
+
+const JSON_FEED_VERSION = "https://jsonfeed.org/version/1.1";
+
+function encodeXml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters are not allowed anywhere in XML 1.0.
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+function rfc822(iso) {
+  const t = Date.parse(iso);
+  return Number.isNaN(t) ? "" : new Date(t).toUTCString();
+}
+
+function element(name, value, attrs = "") {
+  return value === "" || value == null ? "" : `<${name}${attrs}>${encodeXml(value)}</${name}>`;
+}
+
+function rssItem(item) {
+  const lines = [
+    element("title", item.title),
+    element("itunes:title", item.title),
+    `<guid isPermaLink="false">${encodeXml(item.guid)}</guid>`,
+    element("link", item.link),
+    element("pubDate", rfc822(item.date)),
+    element("description", item.description),
+    `<enclosure url="${encodeXml(item.mediaUrl)}" length="${Number(item.mediaLength) || 0}" type="${encodeXml(
+      item.mediaType || "application/octet-stream"
+    )}" />`,
+    item.durationSeconds ? element("itunes:duration", Math.round(item.durationSeconds)) : "",
+    item.imageUrl ? `<itunes:image href="${encodeXml(item.imageUrl)}" />` : "",
+    element("itunes:episodeType", item.episodeType || "full"),
+    item.season != null ? element("itunes:season", item.season) : "",
+    item.episodeNumber != null ? element("itunes:episode", item.episodeNumber) : "",
+    item.chapters
+      ? `<podcast:chapters url="${encodeXml(item.chapters.url)}" type="${encodeXml(
+          item.chapters.type || "application/json+chapters"
+        )}" />`
+      : "",
+    ...(item.transcripts || []).map(
+      (t) =>
+        `<podcast:transcript url="${encodeXml(t.url)}" type="${encodeXml(t.type)}"` +
+        (t.language ? ` language="${encodeXml(t.language)}"` : "") +
+        (t.rel ? ` rel="${encodeXml(t.rel)}"` : "") +
+        " />"
+    ),
+    item.source ? element("source", item.source.title, ` url="${encodeXml(item.source.url)}"`) : "",
+  ];
+  return ["    <item>", ...lines.filter(Boolean).map((l) => "      " + l), "    </item>"].join("\n");
+}
+
+function toRss(channel, items) {
+  const head = [
+    element("title", channel.title),
+    element("link", channel.homeUrl),
+    element("description", channel.description || channel.title),
+    element("language", channel.language || "en"),
+    element("generator", "rss-tv-channel"),
+    element("lastBuildDate", new Date().toUTCString()),
+    `<atom:link href="${encodeXml(channel.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    element("itunes:author", channel.author || channel.title),
+    element("itunes:summary", channel.description || channel.title),
+    channel.imageUrl ? `<itunes:image href="${encodeXml(channel.imageUrl)}" />` : "",
+    channel.imageUrl
+      ? `<image><url>${encodeXml(channel.imageUrl)}</url>${element("title", channel.title)}${element(
+          "link",
+          channel.homeUrl
+        )}</image>`
+      : "",
+    `<itunes:category text="${encodeXml(channel.category || "TV & Film")}" />`,
+    element("itunes:explicit", "false"),
+    element("itunes:type", "episodic"),
+    element("podcast:medium", channel.medium || "podcast"),
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    ...head.filter(Boolean).map((l) => "    " + l),
+    ...items.map(rssItem),
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+function toJsonFeed(channel, items) {
+  const feed = {
+    version: JSON_FEED_VERSION,
+    title: channel.title,
+    home_page_url: channel.homeUrl,
+    feed_url: channel.feedUrl,
+    description: channel.description || undefined,
+    icon: channel.imageUrl || undefined,
+    language: channel.language || undefined,
+    authors: [{ name: channel.author || channel.title }],
+    items: items.map((item) => ({
+      id: item.guid,
+      url: item.link || undefined,
+      title: item.title,
+      content_text: item.description || "",
+      date_published: item.date || undefined,
+      image: item.imageUrl || undefined,
+      attachments: [
+        {
+          url: item.mediaUrl,
+          mime_type: item.mediaType || "application/octet-stream",
+          size_in_bytes: Number(item.mediaLength) || undefined,
+          duration_in_seconds: item.durationSeconds || undefined,
+        },
+      ],
+      // Custom extensions start with an underscore (JSON Feed 1.1, "Extensions").
+      _source: item.source ? { title: item.source.title, feed_url: item.source.url } : undefined,
+    })),
+  };
+  return JSON.stringify(feed, null, 2);
+}
+
+module.exports = { toRss, toJsonFeed };
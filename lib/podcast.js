@@ -0,0 +1,133 @@
+/**
+ * Podcasting 2.0 (podcast: namespace) + iTunes episode metadata
+ * - rss-parser customFields for chapters, transcripts, persons, seasons, episode numbers and
+ *   alternate enclosures
+ * - Normalizes parsed items into plain, JSON-friendly fields
+ * - Normalizes JSON chapter files (application/json+chapters)
+ *
+ * rss-parser returns an element either as a string (no attributes) or as { _: text, $: attrs }.
+ * Without keepArray it also reduces { _, $ } to the text, so elements whose attributes matter
+ * (podcast:season's name, podcast:episode's display) are kept as arrays.
+ */
+
+const ITEM_FIELDS = [
+  ["podcast:chapters", "podcastChapters"],
+  ["podcast:transcript", "podcastTranscripts", { keepArray: true }],
+  ["podcast:person", "podcastPersons", { keepArray: true }],
+  ["podcast:season", "podcastSeason", { keepArray: true }],
+  ["podcast:episode", "podcastEpisode", { keepArray: true }],
+  ["podcast:alternateEnclosure", "podcastAlternateEnclosures", { keepArray: true }],
+];
+
+const FEED_FIELDS = [["podcast:person", "podcastPersons", { keepArray: true }]];
+
+function textOf(node) {
+  if (node == null) return "";
+  if (typeof node === "string" || typeof node === "number") return String(node).trim();
+  return typeof node._ === "string" ? node._.trim() : "";
+}
+
+// Feeds cached (or snapshotted) before a field was kept as an array still hold the bare node.
+function firstOf(nodes) {
+  return Array.isArray(nodes) ? nodes[0] : nodes;
+}
+
+function attrsOf(node) {
+  return (node && typeof node === "object" && node.$) || {};
+}
+
+function toNumber(value) {
+  const s = value == null ? "" : String(value).trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizePersons(nodes) {
+  return (nodes || [])
+    .map((node) => {
+      const a = attrsOf(node);
+      return {
+        name: textOf(node),
+        // Spec defaults: role "host", group "cast".
+        role: String(a.role || "host").toLowerCase(),
+        group: String(a.group || "cast").toLowerCase(),
+        img: a.img || "",
+        href: a.href || "",
+      };
+    })
+    .filter((p) => p.name);
+}
+
+/**
+ * Podcast metadata for one item. Episode-level persons replace the channel's, per the spec.
+ */
+function pickPodcastFields(item, feed) {
+  const itunes = item.itunes || {};
+
+  const seasonNode = firstOf(item.podcastSeason);
+  const episodeNode = firstOf(item.podcastEpisode);
+  const chaptersAttrs = attrsOf(item.podcastChapters);
+
+  const itemPersons = normalizePersons(item.podcastPersons);
+  const persons = itemPersons.length ? itemPersons : normalizePersons(feed && feed.podcastPersons);
+
+  return {
+    season: toNumber(textOf(seasonNode)) ?? toNumber(itunes.season),
+    seasonName: attrsOf(seasonNode).name || "",
+    episodeNumber: toNumber(textOf(episodeNode)) ?? toNumber(itunes.episode),
+    episodeLabel: attrsOf(episodeNode).display || "",
+    episodeType: String(itunes.episodeType || "full").toLowerCase(), // full|trailer|bonus
+    persons,
+    chapters: chaptersAttrs.url ? { url: chaptersAttrs.url, type: chaptersAttrs.type || "" } : null,
+    transcripts: (item.podcastTranscripts || [])
+      .map((node) => {
+        const a = attrsOf(node);
+        return { url: a.url || "", type: a.type || "", language: a.language || "", rel: a.rel || "" };
+      })
+      .filter((t) => t.url),
+  };
+}
+
+/**
+ * podcast:alternateEnclosure entries as [{ url, type, title, bitrate }], one per http(s) source,
+ * in feed order. (Other source URIs, such as ipfs://, can't be played by a browser.)
+ */
+function normalizeAlternateEnclosures(nodes) {
+  const out = [];
+  for (const node of nodes || []) {
+    const a = attrsOf(node);
+    const sources = (node && node["podcast:source"]) || [];
+    for (const source of Array.isArray(sources) ? sources : [sources]) {
+      const uri = String(attrsOf(source).uri || "").trim();
+      if (!/^https?:\/\//i.test(uri)) continue;
+      out.push({
+        url: uri,
+        type: attrsOf(source).contentType || a.type || "",
+        title: a.title || "",
+        bitrate: toNumber(a.bitrate),
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Normalizes a JSON chapters document into [{ startTime, endTime, title, img, url }],
+ * sorted by start time. Chapters flagged toc:false are silent artwork changes and are skipped.
+ */
+function normalizeChapters(doc) {
+  const list = doc && Array.isArray(doc.chapters) ? doc.chapters : [];
+  return list
+    .filter((c) => c && Number.isFinite(Number(c.startTime)) && c.toc !== false)
+    .map((c) => ({
+      startTime: Number(c.startTime),
+      endTime: Number.isFinite(Number(c.endTime)) ? Number(c.endTime) : null,
+      title: String(c.title || "").trim(),
+      img: c.img || "",
+      url: c.url || "",
+    }))
+    .sort((a, b) => a.startTime - b.startTime);
+}
+
+module.exports = { ITEM_FIELDS, FEED_FIELDS, pickPodcastFields, normalizeChapters, normalizeAlternateEnclosures };
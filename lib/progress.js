@@ -0,0 +1,80 @@
+const { createLogger } = require("./logger");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Server-side playback progress
+ * - Per viewer, per episode: { position, duration, watched, at }
+ * - Kept in memory, optionally persisted to a JSON file (debounced writes)
+ * - Bounded: only the most recently updated entries per viewer are kept, and past `maxViewers`
+ *   the viewer whose last update is the oldest is dropped
+ */
+
+const MAX_ENTRIES_PER_VIEWER = 500;
+const DEFAULT_MAX_VIEWERS = 1000;
+const WRITE_DELAY_MS = 2000;
+
+function lastUpdate(entries) {
+  let at = 0;
+  for (const e of entries.values()) at = Math.max(at, Number(e && e.at) || 0);
+  return at;
+}
+
+function createProgressStore({
+  file,
+  maxViewers = DEFAULT_MAX_VIEWERS,
+  log = createLogger().child({ component: "progress" }),
+} = {}) {
+  const viewers = new Map(); // viewer -> Map(episodeId -> entry), least recently updated first
+  const store = createJsonStore({
+    file,
+    delayMs: WRITE_DELAY_MS,
+    serialize: () => {
+      const out = {};
+      for (const [viewer, entries] of viewers) out[viewer] = Object.fromEntries(entries);
+      return out;
+    },
+    log,
+  });
+
+  function evict() {
+    while (viewers.size > maxViewers) viewers.delete(viewers.keys().next().value);
+  }
+
+  try {
+    Object.entries(store.read() || {})
+      .map(([viewer, entries]) => [viewer, new Map(Object.entries(entries || {}))])
+      .sort((a, b) => lastUpdate(a[1]) - lastUpdate(b[1]))
+      .forEach(([viewer, entries]) => viewers.set(viewer, entries));
+    evict();
+  } catch (err) {
+    log.error("Could not read progress, starting empty", { err, file });
+  }
+
+  function get(viewer) {
+    const entries = viewers.get(viewer);
+    return entries ? Object.fromEntries(entries) : {};
+  }
+
+  function put(viewer, episodeId, { position, duration, watched }) {
+    // Re-insert viewer and episode so both Maps' order doubles as "least recently updated first".
+    const entries = viewers.get(viewer) || new Map();
+    viewers.delete(viewer);
+    viewers.set(viewer, entries);
+    evict();
+
+    entries.delete(episodeId);
+    const entry = { position, duration, watched: !!watched, at: Date.now() };
+    entries.set(episodeId, entry);
+
+    while (entries.size > MAX_ENTRIES_PER_VIEWER) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    store.scheduleWrite();
+    return entry;
+  }
+
+  return { get, put };
+}
+
+module.exports = { createProgressStore };
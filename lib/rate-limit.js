@@ -0,0 +1,59 @@
+/**
+ * Rate limiting
+ * - Fixed-window counters: at most `max` hits per key per `windowMs`
+ * - The counters live in a store, so several server instances can share them
+ *
+ * A store is any object with
+ *   hit(key, windowMs) → Promise<{ count, resetAt }>
+ * that adds one hit to the key's current window and returns the hits so far and when the
+ * window ends (epoch ms). createMemoryStore() is the built-in, per-process one; a shared store
+ * (Redis INCR + PEXPIRE, for instance) only has to implement hit().
+ */
+
+const DEFAULT_MAX_KEYS = 10000;
+
+function createMemoryStore({ maxKeys = DEFAULT_MAX_KEYS } = {}) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drops finished windows, then the oldest ones if there are still too many keys.
+  function sweep(now) {
+    for (const [key, w] of windows) {
+      if (w.resetAt <= now) windows.delete(key);
+    }
+    while (windows.size > maxKeys) windows.delete(windows.keys().next().value);
+  }
+
+  async function hit(key, windowMs) {
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.delete(key);
+      windows.set(key, w);
+      if (windows.size > maxKeys) sweep(now);
+    }
+    w.count++;
+    return { count: w.count, resetAt: w.resetAt };
+  }
+
+  return { hit };
+}
+
+/**
+ * check(key) → { ok, remaining, retryAfterMs }. With max <= 0 every check passes.
+ */
+function createRateLimiter({ store, windowMs, max }) {
+  async function check(key) {
+    if (!(max > 0)) return { ok: true, remaining: Infinity, retryAfterMs: 0 };
+    const { count, resetAt } = await store.hit(key, windowMs);
+    return {
+      ok: count <= max,
+      remaining: Math.max(0, max - count),
+      retryAfterMs: count <= max ? 0 : Math.max(0, resetAt - Date.now()),
+    };
+  }
+
+  return { check };
+}
+
+module.exports = { createMemoryStore, createRateLimiter };
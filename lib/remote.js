@@ -0,0 +1,80 @@
+/**
+ * Remote control hub (REMOTE_CONTROL=1)
+ * - TV screens subscribe under a name (?screen=lobby) and receive commands as Server-Sent Events
+ * - The /remote page sends a command to every open connection of a screen
+ * - Screens report what they are playing ({ channel, title, paused, ... }), shown on /remote
+ *
+ * Kept in memory only: screens come back by reconnecting. At most `maxScreens` names are kept,
+ * each with at most `maxClients` connections. Screens without a connection make room for new
+ * names; when every screen is connected, new names are refused.
+ */
+
+const DEFAULT_MAX_SCREENS = 100;
+const DEFAULT_MAX_CLIENTS = 5;
+
+function createRemoteHub({ maxScreens = DEFAULT_MAX_SCREENS, maxClients = DEFAULT_MAX_CLIENTS } = {}) {
+  const screens = new Map(); // name -> { clients: Set<{ send }>, state, seenAt }
+
+  // Drops screens without a connection, oldest first, until a new name fits.
+  function makeRoom() {
+    for (const [name, s] of screens) {
+      if (screens.size < maxScreens) return;
+      if (!s.clients.size) screens.delete(name);
+    }
+  }
+
+  // Whether one more connection fits, so callers can refuse before opening a stream.
+  function canSubscribe(name) {
+    const screen = screens.get(name);
+    if (screen) return screen.clients.size < maxClients;
+    makeRoom();
+    return screens.size < maxScreens;
+  }
+
+  /**
+   * Adds a connection (anything with send(event, data)) to a screen. Returns the function that
+   * removes it again, or null when the screen or the hub is full.
+   */
+  function subscribe(name, client) {
+    if (!canSubscribe(name)) return null;
+    let screen = screens.get(name);
+    if (!screen) {
+      screen = { clients: new Set(), state: null, seenAt: 0 };
+      screens.set(name, screen);
+    }
+    screen.seenAt = Date.now();
+    screen.clients.add(client);
+    return () => screen.clients.delete(client);
+  }
+
+  // Sends a command to every connection of the screen; returns how many there were.
+  function send(name, command) {
+    const screen = screens.get(name);
+    if (!screen) return 0;
+    for (const client of screen.clients) client.send("command", command);
+    return screen.clients.size;
+  }
+
+  // Records what a screen reports; false when no screen of that name has subscribed.
+  function setState(name, state) {
+    const screen = screens.get(name);
+    if (!screen) return false;
+    screen.state = state;
+    screen.seenAt = Date.now();
+    return true;
+  }
+
+  // [{ name, connections, state, seenAt }], most recently seen first.
+  function list() {
+    return Array.from(screens, ([name, s]) => ({
+      name,
+      connections: s.clients.size,
+      state: s.state,
+      seenAt: new Date(s.seenAt).toISOString(),
+    })).sort((a, b) => (a.seenAt < b.seenAt ? 1 : -1));
+  }
+
+  return { canSubscribe, subscribe, send, setState, list };
+}
+
+module.exports = { createRemoteHub };
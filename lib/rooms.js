@@ -0,0 +1,99 @@
+const crypto = require("crypto");
+
+/**
+ * Watch-party rooms (WATCH_PARTY=1)
+ * - Screens join a room by name and receive its events over Server-Sent Events
+ * - The first screen in a room hosts it; when the host leaves, the longest-connected viewer
+ *   takes over
+ * - The host reports what it plays ({ episodeId, feedQuery, position, playing, rate }); the hub
+ *   stamps it with the server time (`at`, epoch ms) and passes it on to the other viewers
+ * - In memory only: a room goes away with its last viewer
+ *
+ * Events sent to a viewer: "hello" { viewerId, host, state, viewers, serverTime } on joining,
+ * "state" { state, serverTime }, "viewers" { count } and "host" {} when it becomes the host.
+ */
+
+const DEFAULT_MAX_ROOMS = 200;
+const DEFAULT_MAX_VIEWERS = 100;
+
+function createRoomHub({ maxRooms = DEFAULT_MAX_ROOMS, maxViewers = DEFAULT_MAX_VIEWERS } = {}) {
+  const rooms = new Map(); // name -> { viewers: Map<viewerId, { send }>, hostId, state }
+
+  function broadcast(room, event, data, exceptId) {
+    for (const [id, viewer] of room.viewers) {
+      if (id !== exceptId) viewer.send(event, data);
+    }
+  }
+
+  // Whether one more viewer fits, so callers can refuse before opening a stream.
+  function canJoin(name) {
+    const room = rooms.get(name);
+    return room ? room.viewers.size < maxViewers : rooms.size < maxRooms;
+  }
+
+  /**
+   * Adds a viewer (anything with send(event, data)) to a room, creating the room if needed.
+   * Returns { viewerId, leave() }, or null when the room or the hub is full.
+   */
+  function join(name, viewer) {
+    if (!canJoin(name)) return null;
+    let room = rooms.get(name);
+    if (!room) {
+      room = { viewers: new Map(), hostId: null, state: null };
+      rooms.set(name, room);
+    }
+
+    const viewerId = crypto.randomUUID();
+    room.viewers.set(viewerId, viewer);
+    if (!room.hostId) room.hostId = viewerId;
+
+    viewer.send("hello", {
+      viewerId,
+      host: room.hostId === viewerId,
+      state: room.state,
+      viewers: room.viewers.size,
+      serverTime: Date.now(),
+    });
+    broadcast(room, "viewers", { count: room.viewers.size }, viewerId);
+    return { viewerId, leave: () => leave(name, viewerId) };
+  }
+
+  function leave(name, viewerId) {
+    const room = rooms.get(name);
+    if (!room || !room.viewers.delete(viewerId)) return;
+    if (!room.viewers.size) {
+      rooms.delete(name);
+      return;
+    }
+    if (room.hostId === viewerId) {
+      // Map order is join order: the longest-connected viewer takes over.
+      room.hostId = room.viewers.keys().next().value;
+      room.viewers.get(room.hostId).send("host", {});
+    }
+    broadcast(room, "viewers", { count: room.viewers.size });
+  }
+
+  /**
+   * Sets the room's playback state on behalf of `viewerId`: "ok", "not_host" or "no_room".
+   */
+  function update(name, viewerId, state) {
+    const room = rooms.get(name);
+    if (!room || !room.viewers.has(viewerId)) return "no_room";
+    if (room.hostId !== viewerId) return "not_host";
+    const now = Date.now();
+    room.state = Object.assign({}, state, { at: now });
+    broadcast(room, "state", { state: room.state, serverTime: now }, viewerId);
+    return "ok";
+  }
+
+  // { rooms, viewers } for metrics.
+  function size() {
+    let viewers = 0;
+    for (const room of rooms.values()) viewers += room.viewers.size;
+    return { rooms: rooms.size, viewers };
+  }
+
+  return { canJoin, join, update, size };
+}
+
+module.exports = { createRoomHub };
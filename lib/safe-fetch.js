@@ -0,0 +1,260 @@
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+const zlib = require("zlib");
+
+/**
+ * Hardened outbound fetcher for user-supplied URLs
+ * - Resolves hostnames itself and refuses private, loopback, link-local, CGNAT and other
+ *   non-public addresses (IPv4-mapped IPv6 included)
+ * - Pins the connection to the addresses it checked, so DNS rebinding can't swap them
+ * - Follows redirects manually and re-validates every hop
+ * - Caps response size (after decompression) and total time
+ * - Optionally restricts the response content type
+ * - safeStream: same checks, but hands back the response body as a stream (media proxying)
+ */
+
+class FetchError extends Error {
+  constructor(message, code, extra) {
+    super(message);
+    this.name = "FetchError";
+    this.code = code; // BLOCKED_ADDRESS | BLOCKED_URL | DNS | TIMEOUT | TOO_LARGE | TOO_MANY_REDIRECTS | HTTP_STATUS | BAD_CONTENT_TYPE | NETWORK
+    Object.assign(this, extra);
+  }
+}
+
+// Everything that is not a globally routable unicast address.
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // CGNAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (cloud metadata lives here)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // TEST-NET-1
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // TEST-NET-2
+  ["203.0.113.0", 24], // TEST-NET-3
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+].forEach(([addr, prefix]) => blocked.addSubnet(addr, prefix, "ipv4"));
+[
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["64:ff9b::", 96], // NAT64 (can embed any IPv4 address)
+  ["100::", 64], // discard-only
+  ["2001:db8::", 32], // documentation
+  ["2002::", 16], // 6to4 (can embed any IPv4 address)
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["fec0::", 10], // site-local (deprecated)
+  ["ff00::", 8], // multicast
+].forEach(([addr, prefix]) => blocked.addSubnet(addr, prefix, "ipv6"));
+
+/**
+ * True if `address` (an IP literal, optionally in [brackets]) must not be fetched.
+ * IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked against the IPv4 ranges.
+ */
+function isPrivateAddress(address) {
+  const ip = String(address || "").replace(/^\[|\]$/g, "");
+  const version = net.isIP(ip);
+  if (!version) return false;
+  return blocked.check(ip, version === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup replacement for http(s).request: checks every resolved address and hands
+// the socket exactly those addresses, so the check and the connection can't disagree.
+function guardedLookup(allowPrivate) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { all: true, verbatim: true }, (err, addresses) => {
+      if (err) return callback(new FetchError(`Could not resolve ${hostname}`, "DNS", { cause: err }));
+      if (!addresses.length) return callback(new FetchError(`No addresses for ${hostname}`, "DNS"));
+
+      if (!allowPrivate && addresses.some((a) => isPrivateAddress(a.address))) {
+        return callback(new FetchError(`${hostname} resolves to a non-public address`, "BLOCKED_ADDRESS"));
+      }
+
+      if (options && options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+const FEED_CONTENT_TYPE_RE = /(^|\/|\+)xml$|^application\/(rss|atom|rdf)$/;
+
+// Default content-type check for feeds: anything XML-ish.
+function isXmlContentType(contentType) {
+  const t = String(contentType || "").split(";")[0].trim().toLowerCase();
+  return FEED_CONTENT_TYPE_RE.test(t);
+}
+
+function decoderFor(encoding) {
+  switch (String(encoding || "").toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.createGunzip();
+    case "deflate":
+      return zlib.createInflate();
+    case "br":
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+function requestOnce(url, { allowPrivate, headers, maxBytes, signal, stream: asStream }) {
+  return new Promise((resolve, reject) => {
+    const lib = url.protocol === "https:" ? https : http;
+    const req = lib.request(
+      url,
+      {
+        method: "GET",
+        headers: Object.assign({ "accept-encoding": "gzip, deflate, br" }, headers),
+        lookup: guardedLookup(allowPrivate),
+        signal,
+      },
+      (res) => {
+        const status = res.statusCode || 0;
+        // Redirects, 304 and errors: the caller only needs the status and headers.
+        if (status >= 300) {
+          res.resume();
+          return resolve({ status, headers: res.headers, body: Buffer.alloc(0) });
+        }
+
+        // Streaming callers get the raw (still encoded) body and enforce their own limits.
+        if (asStream) return resolve({ status, headers: res.headers, body: null, stream: res });
+
+        const declared = Number(res.headers["content-length"]);
+        if (declared && declared > maxBytes && !res.headers["content-encoding"]) {
+          res.destroy();
+          return reject(new FetchError(`Response larger than ${maxBytes} bytes`, "TOO_LARGE"));
+        }
+
+        const decoder = decoderFor(res.headers["content-encoding"]);
+        const stream = decoder ? res.pipe(decoder) : res;
+        const chunks = [];
+        let size = 0;
+
+        stream.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > maxBytes) {
+            res.destroy();
+            if (decoder) decoder.destroy();
+            reject(new FetchError(`Response larger than ${maxBytes} bytes`, "TOO_LARGE"));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        stream.on("end", () => resolve({ status, headers: res.headers, body: Buffer.concat(chunks) }));
+        const fail = (err) => {
+          if (signal.aborted) return reject(new FetchError("Request timed out", "TIMEOUT"));
+          reject(new FetchError("Error reading response", "NETWORK", { cause: err }));
+        };
+        stream.on("error", fail);
+        if (decoder) res.on("error", fail);
+      }
+    );
+
+    req.on("error", (err) => {
+      if (err instanceof FetchError) return reject(err);
+      if (err.name === "AbortError") return reject(new FetchError("Request timed out", "TIMEOUT"));
+      reject(new FetchError(`Request failed: ${err.message}`, "NETWORK", { cause: err }));
+    });
+    req.end();
+  });
+}
+
+/**
+ * GET `inputUrl` with the guardrails above.
+ *
+ * Options:
+ *   allowPrivate   skip the address checks (for operator-configured URLs only)
+ *   validateUrl    (url) => { ok, reason }, run on the first URL and on every redirect hop
+ *   accept         (contentType) => boolean; default isXmlContentType, pass null to accept anything
+ *   headers        extra request headers (e.g. If-None-Match)
+ *   maxBytes       body cap after decompression (default 5 MB)
+ *   timeoutMs      cap for the whole exchange including redirects (default 15 s)
+ *   maxRedirects   default 5
+ *
+ * Resolves { url, status, headers, body } for 2xx and 304 responses; rejects with FetchError otherwise.
+ */
+function safeFetch(inputUrl, options = {}) {
+  return request(inputUrl, options, false);
+}
+
+/**
+ * Like safeFetch, but resolves { url, status, headers, stream } as soon as the response headers
+ * arrive; `timeoutMs` covers only that part. The caller must consume or destroy `stream`
+ * (null for 304). The body is passed through undecoded, so callers usually send
+ * `accept-encoding: identity`. `maxBytes` does not apply.
+ */
+function safeStream(inputUrl, options = {}) {
+  return request(inputUrl, options, true);
+}
+
+async function request(inputUrl, options, stream) {
+  const {
+    allowPrivate = false,
+    validateUrl = null,
+    accept = isXmlContentType,
+    headers = {},
+    maxBytes = 5 * 1024 * 1024,
+    timeoutMs = 15000,
+    maxRedirects = 5,
+  } = options;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let url = new URL(inputUrl);
+
+    for (let hop = 0; ; hop++) {
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new FetchError("Only http/https URLs are allowed", "BLOCKED_URL");
+      }
+      if (validateUrl) {
+        const v = validateUrl(url.toString());
+        if (!v.ok) throw new FetchError(v.reason, "BLOCKED_URL");
+      }
+      // IP literals never reach the lookup hook, so check them here.
+      if (!allowPrivate && isPrivateAddress(url.hostname)) {
+        throw new FetchError("Private IP addresses are not allowed", "BLOCKED_ADDRESS");
+      }
+
+      const res = await requestOnce(url, { allowPrivate, headers, maxBytes, signal: controller.signal, stream });
+
+      if (res.status >= 300 && res.status < 400 && res.status !== 304) {
+        const location = res.headers.location;
+        if (!location) throw new FetchError(`Redirect (${res.status}) without Location`, "HTTP_STATUS", { status: res.status });
+        if (hop >= maxRedirects) throw new FetchError("Too many redirects", "TOO_MANY_REDIRECTS");
+        url = new URL(location, url);
+        continue;
+      }
+
+      if (res.status >= 400) {
+        throw new FetchError(`Upstream responded ${res.status}`, "HTTP_STATUS", { status: res.status });
+      }
+
+      if (res.status !== 304 && accept && !accept(res.headers["content-type"])) {
+        if (res.stream) res.stream.destroy();
+        throw new FetchError(`Unexpected content type "${res.headers["content-type"] || ""}"`, "BAD_CONTENT_TYPE");
+      }
+
+      if (stream) return { url: url.toString(), status: res.status, headers: res.headers, stream: res.stream || null };
+      return { url: url.toString(), status: res.status, headers: res.headers, body: res.body };
+    }
+  } catch (err) {
+    if (err instanceof FetchError) throw err;
+    if (err && err.name === "AbortError") throw new FetchError("Request timed out", "TIMEOUT");
+    throw new FetchError(err.message || "Request failed", "NETWORK", { cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { safeFetch, safeStream, FetchError, isPrivateAddress, isXmlContentType };
@@ -0,0 +1,82 @@
+/**
+ * Linear ("live TV") schedule
+ * - Loops a feed's episodes back to back, anchored to a fixed epoch
+ * - Every screen computing the schedule for the same feed and epoch sees the same
+ *   episode at the same offset, without any shared state
+ * - Episodes without a known duration are left out of the loop
+ */
+
+/**
+ * Parses itunes:duration values into whole seconds.
+ * Accepts "3723", "62:03", "01:02:03", "01:02:03.500" and ISO 8601 "PT1H2M3S".
+ * Returns 0 when the value is missing or unreadable.
+ */
+function parseDuration(value) {
+  if (value == null) return 0;
+  const s = String(value).trim();
+  if (!s) return 0;
+
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s));
+
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(s)) {
+    return Math.round(s.split(":").reduce((acc, part) => acc * 60 + Number(part), 0));
+  }
+
+  const iso = s.match(/^PT(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+  if (iso && (iso[1] || iso[2] || iso[3])) {
+    const [, h = 0, m = 0, sec = 0] = iso;
+    return Math.round(Number(h) * 3600 + Number(m) * 60 + Number(sec));
+  }
+
+  return 0;
+}
+
+/**
+ * Builds the looping schedule around `nowMs`.
+ * `episodes` are normalized episodes (needs id, title, durationSeconds), in play order.
+ * Returns null when no episode has a duration.
+ */
+function buildSchedule(episodes, { epochMs, nowMs, upNext = 5 }) {
+  const slots = episodes.filter((e) => e.durationSeconds > 0);
+  if (!slots.length) return null;
+
+  const cycleMs = slots.reduce((acc, e) => acc + e.durationSeconds * 1000, 0);
+  const elapsed = (((nowMs - epochMs) % cycleMs) + cycleMs) % cycleMs;
+
+  // Walk from the start of the current loop to the slot that covers `nowMs`.
+  let startsAt = nowMs - elapsed;
+  let idx = 0;
+  while (startsAt + slots[idx].durationSeconds * 1000 <= nowMs) {
+    startsAt += slots[idx].durationSeconds * 1000;
+    idx++;
+  }
+
+  const entries = [];
+  for (let k = 0; k <= upNext; k++) {
+    const ep = slots[(idx + k) % slots.length];
+    const endsAt = startsAt + ep.durationSeconds * 1000;
+    entries.push({
+      episodeId: ep.id,
+      title: ep.title,
+      kind: ep.kind,
+      imageUrl: ep.imageUrl,
+      durationSeconds: ep.durationSeconds,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: new Date(endsAt).toISOString(),
+    });
+    startsAt = endsAt;
+  }
+
+  const nowPlaying = entries[0];
+  nowPlaying.offsetSeconds = (nowMs - Date.parse(nowPlaying.startsAt)) / 1000;
+
+  return {
+    now: new Date(nowMs).toISOString(),
+    epoch: new Date(epochMs).toISOString(),
+    cycleSeconds: cycleMs / 1000,
+    nowPlaying,
+    upNext: entries.slice(1),
+  };
+}
+
+module.exports = { parseDuration, buildSchedule };
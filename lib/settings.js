@@ -0,0 +1,42 @@
+const { createLogger } = require("./logger");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Runtime settings (what /admin edits)
+ * - A flat object of overrides, e.g. { channels: [...], allowlist: [...], epLimit: 50 }
+ * - A key that is absent means "use the environment configuration"; updating a key to null removes it
+ * - Kept in memory, persisted to a JSON file (debounced writes); validation is up to the caller
+ */
+
+const WRITE_DELAY_MS = 500;
+
+function createSettingsStore({ file, log = createLogger().child({ component: "settings" }) } = {}) {
+  let values = {};
+  const store = createJsonStore({ file, delayMs: WRITE_DELAY_MS, serialize: () => values, pretty: true, log });
+
+  try {
+    const raw = store.read();
+    if (raw && typeof raw === "object" && !Array.isArray(raw)) values = raw;
+  } catch (err) {
+    log.error("Could not read settings, using the environment configuration", { err, file });
+  }
+
+  function get() {
+    return JSON.parse(JSON.stringify(values));
+  }
+
+  function update(patch) {
+    const next = Object.assign({}, values);
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) delete next[key];
+      else if (value !== undefined) next[key] = value;
+    }
+    values = next;
+    store.scheduleWrite();
+    return get();
+  }
+
+  return { get, update };
+}
+
+module.exports = { createSettingsStore };
@@ -0,0 +1,96 @@
+const sanitizeHtml = require("sanitize-html");
+
+/**
+ * Show notes for the episode pages (/episode/:id)
+ * - HTML notes keep their text formatting, lists, links and images; scripts, styles, embeds,
+ *   forms and event handlers are removed, and links open in a new tab without a referrer
+ * - Relative links and images resolve against the episode's own page
+ * - Plain-text notes become paragraphs, with bare URLs turned into links
+ */
+
+const URL_RE = /\bhttps?:\/\/[^\s<>"]+[^\s<>".,;:!?)\]'"]/g;
+const TAG_RE = /<(p|br|a|ul|ol|li|div|span|strong|b|em|i|h[1-6]|img|blockquote|table)\b[^>]*>/i;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function resolveUrl(value, base) {
+  try {
+    return new URL(value, base || undefined).toString();
+  } catch {
+    return value;
+  }
+}
+
+function sanitizeNotes(html, baseUrl) {
+  return sanitizeHtml(html, {
+    allowedTags: [
+      "p", "br", "hr", "a", "ul", "ol", "li", "strong", "b", "em", "i", "u", "s", "sub", "sup",
+      "blockquote", "code", "pre", "h3", "h4", "h5", "h6", "img", "figure", "figcaption",
+      "table", "thead", "tbody", "tr", "th", "td",
+    ],
+    // target, rel and loading are set by the transforms below.
+    allowedAttributes: { a: ["href", "title", "target", "rel"], img: ["src", "alt", "width", "height", "loading"] },
+    allowedSchemes: ["http", "https", "mailto"],
+    allowProtocolRelative: false,
+    transformTags: {
+      // The page title is the h1; headings in the notes sit below it.
+      h1: "h3",
+      h2: "h3",
+      div: "p",
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: Object.assign({}, attribs, attribs.href ? { href: resolveUrl(attribs.href, baseUrl) } : {}, {
+          target: "_blank",
+          rel: "noopener noreferrer nofollow ugc",
+        }),
+      }),
+      img: (tagName, attribs) => ({
+        tagName,
+        attribs: Object.assign({}, attribs, { src: resolveUrl(attribs.src || "", baseUrl), loading: "lazy" }),
+      }),
+    },
+    // Empty paragraphs, which some feeds use for spacing (frame.tag is the tag before transformTags).
+    exclusiveFilter: (frame) => (frame.tag === "p" || frame.tag === "div") && !frame.text.trim() && !frame.mediaChildren.length,
+  });
+}
+
+function linkify(text) {
+  let out = "";
+  let last = 0;
+  for (const m of text.matchAll(URL_RE)) {
+    const url = escapeHtml(m[0]);
+    out += escapeHtml(text.slice(last, m.index));
+    out += `<a href="${url}" target="_blank" rel="noopener noreferrer nofollow ugc">${url}</a>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(text.slice(last));
+}
+
+function plainTextNotes(text) {
+  return String(text)
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => `<p>${p.split("\n").map(linkify).join("<br>")}</p>`)
+    .join("\n");
+}
+
+/**
+ * Safe HTML for an episode's show notes. `notes` is the feed's full description (HTML or plain
+ * text); `baseUrl` is the episode's page, for relative links.
+ */
+function renderShowNotes(notes, baseUrl) {
+  const s = String(notes || "").trim();
+  if (!s) return "";
+  return TAG_RE.test(s) ? sanitizeNotes(s, baseUrl) : plainTextNotes(s);
+}
+
+module.exports = { renderShowNotes };
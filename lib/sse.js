@@ -0,0 +1,46 @@
+/**
+ * Server-Sent Events
+ * - openEventStream(req, res) answers with an event stream and returns { send(event, data), close() }
+ * - A comment line every `heartbeatMs` keeps proxies from dropping an idle connection
+ * - "no-transform" keeps compression() from buffering the stream
+ * - onClose runs once, whether the client left or close() was called
+ */
+
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+function openEventStream(req, res, { heartbeatMs = DEFAULT_HEARTBEAT_MS, onClose } = {}) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  // Browsers reconnect by themselves; ask them to wait a few seconds first.
+  res.write("retry: 5000\n\n");
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+  }
+
+  function send(event, data) {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    if (closed) return;
+    finish();
+    res.end();
+  }
+
+  req.on("close", finish);
+  return { send, close };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,137 @@
+const { createLogger } = require("./logger");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Playback telemetry (TELEMETRY=1)
+ * - Beacons from TV screens are folded into counters as they arrive; no raw events, viewers
+ *   or addresses are kept
+ * - Per episode: { episodeId, title, channel, host, plays, resumes, pauses, completions,
+ *   errors, watchedSeconds, lastAt }; per media host: { host, plays, errors }
+ * - Kept in memory, optionally persisted to a JSON file (debounced writes)
+ * - Bounded: only the most recently active episodes and hosts are kept
+ */
+
+const MAX_EPISODES = 2000;
+const MAX_HOSTS = 200;
+const WRITE_DELAY_MS = 5000;
+
+// Event type -> per-episode counter it bumps.
+const COUNTERS = { play: "plays", resume: "resumes", pause: "pauses", ended: "completions", error: "errors" };
+
+function newEpisode(episodeId) {
+  return {
+    episodeId,
+    title: "",
+    channel: "",
+    host: "",
+    plays: 0,
+    resumes: 0,
+    pauses: 0,
+    completions: 0,
+    errors: 0,
+    watchedSeconds: 0,
+    lastAt: 0,
+  };
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+function createTelemetryStore({ file, log = createLogger().child({ component: "telemetry" }) } = {}) {
+  const episodes = new Map(); // episodeId -> counters
+  const hosts = new Map(); // host -> { plays, errors }
+  let since = Date.now();
+  const store = createJsonStore({
+    file,
+    delayMs: WRITE_DELAY_MS,
+    serialize: () => ({ since, episodes: Array.from(episodes.values()), hosts: Array.from(hosts.values()) }),
+    log,
+  });
+
+  try {
+    const raw = store.read();
+    if (raw) {
+      for (const e of raw.episodes || []) if (e && e.episodeId) episodes.set(e.episodeId, e);
+      for (const h of raw.hosts || []) if (h && h.host) hosts.set(h.host, h);
+      since = Number(raw.since) || since;
+    }
+  } catch (err) {
+    log.error("Could not read telemetry, starting empty", { err, file });
+  }
+
+  // Map order doubles as "least recently active first", like the progress store.
+  function bump(map, key, init, max) {
+    const entry = map.get(key) || init();
+    map.delete(key);
+    map.set(key, entry);
+    while (map.size > max) map.delete(map.keys().next().value);
+    return entry;
+  }
+
+  /**
+   * Adds one validated event: { type, episodeId, title, channel, host, watchedSeconds }
+   * where type is play, resume, pause, ended, error or progress (time watched only).
+   */
+  function record({ type, episodeId, title, channel, host, watchedSeconds }) {
+    const ep = bump(episodes, episodeId, () => newEpisode(episodeId), MAX_EPISODES);
+    if (title) ep.title = title;
+    if (channel) ep.channel = channel;
+    if (host) ep.host = host;
+    if (COUNTERS[type]) ep[COUNTERS[type]]++;
+    ep.watchedSeconds += watchedSeconds || 0;
+    ep.lastAt = Date.now();
+
+    if (host && (type === "play" || type === "error")) {
+      const h = bump(hosts, host, () => ({ host, plays: 0, errors: 0 }), MAX_HOSTS);
+      if (type === "play") h.plays++;
+      else h.errors++;
+    }
+    store.scheduleWrite();
+  }
+
+  /**
+   * The report behind /api/stats.json: totals, the `limit` most played episodes with their
+   * completion rate (completions per play), and every media host with its failure rate
+   * (errors per attempt, an attempt being a play or an error).
+   */
+  function stats({ limit = 20 } = {}) {
+    const all = Array.from(episodes.values());
+    const sum = (key) => all.reduce((n, e) => n + e[key], 0);
+    const totals = {
+      plays: sum("plays"),
+      completions: sum("completions"),
+      errors: sum("errors"),
+      watchedSeconds: Math.round(sum("watchedSeconds")),
+      episodes: all.length,
+    };
+    totals.completionRate = ratio(totals.completions, totals.plays);
+
+    const top = all
+      .filter((e) => e.plays > 0)
+      .sort((a, b) => b.plays - a.plays || b.watchedSeconds - a.watchedSeconds)
+      .slice(0, limit)
+      .map((e) => Object.assign({}, e, {
+        watchedSeconds: Math.round(e.watchedSeconds),
+        completionRate: ratio(e.completions, e.plays),
+        lastAt: new Date(e.lastAt).toISOString(),
+      }));
+
+    const byHost = Array.from(hosts.values())
+      .map((h) => Object.assign({}, h, { failureRate: ratio(h.errors, h.plays + h.errors) }))
+      .sort((a, b) => b.failureRate - a.failureRate || b.plays + b.errors - (a.plays + a.errors));
+
+    return { since: new Date(since).toISOString(), totals, episodes: top, hosts: byHost };
+  }
+
+  function reset() {
+    episodes.clear();
+    hosts.clear();
+    since = Date.now();
+    store.scheduleWrite();
+  }
+
+  return { record, stats, reset };
+}
+
+module.exports = { createTelemetryStore };
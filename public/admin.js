@@ -0,0 +1,237 @@
+/**
+ * Admin console for /admin
+ * - Asks for ADMIN_TOKEN once per browser tab and sends it with every /api/admin call
+ * - Edits the channel lineup (add, remove, reorder), the ?rss= allowlist and EP_LIMIT
+ * - Lists the feed cache, refreshes and purges feeds
+ */
+
+const TOKEN_KEY = 'rsstv:adminToken';
+const MODES = [['', 'Default'], ['ondemand', 'On demand'], ['linear', 'Linear']];
+
+let channels = []; // the lineup being edited: [{ slug, name, rssUrl, mode }]
+
+function esc(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function fmtAge(ms) {
+  if (ms == null) return '—';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return s + 's';
+  if (s < 3600) return Math.round(s / 60) + 'm';
+  if (s < 86400) return (s / 3600).toFixed(1) + 'h';
+  return (s / 86400).toFixed(1) + 'd';
+}
+
+function fmtTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+function setStatus(id, text, bad) {
+  const el = document.getElementById(id);
+  el.textContent = text;
+  el.classList.toggle('bad', !!bad);
+}
+
+// Calls the admin API; a 401 drops the token and shows the sign-in form again.
+async function api(method, url, body) {
+  const headers = { Authorization: 'Bearer ' + (sessionStorage.getItem(TOKEN_KEY) || '') };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const r = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const data = await r.json().catch(() => ({}));
+  if (r.status === 401) {
+    signOut('Wrong token');
+    throw new Error(data.error || 'Unauthorized');
+  }
+  if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+  return data;
+}
+
+// -------- Channels --------
+function renderChannels() {
+  document.getElementById('channels').innerHTML = channels.map((ch, i) =>
+    '<tr data-i="' + i + '">' +
+      '<td>' + (i + 1) + '</td>' +
+      '<td><input data-field="slug" value="' + esc(ch.slug) + '" size="12" /></td>' +
+      '<td><input data-field="name" value="' + esc(ch.name) + '" size="18" /></td>' +
+      '<td><input class="wide" data-field="rssUrl" type="url" value="' + esc(ch.rssUrl) + '" /></td>' +
+      '<td><select data-field="mode">' + MODES.map((m) =>
+        '<option value="' + m[0] + '"' + (m[0] === (ch.mode || '') ? ' selected' : '') + '>' + m[1] + '</option>'
+      ).join('') + '</select></td>' +
+      '<td>' +
+        '<button type="button" data-move="-1" aria-label="Move up"' + (i === 0 ? ' disabled' : '') + '>↑</button> ' +
+        '<button type="button" data-move="1" aria-label="Move down"' + (i === channels.length - 1 ? ' disabled' : '') + '>↓</button> ' +
+        '<button type="button" data-remove aria-label="Remove"' + (channels.length === 1 ? ' disabled' : '') + '>✕</button>' +
+      '</td>' +
+    '</tr>'
+  ).join('');
+}
+
+document.getElementById('channels').addEventListener('input', (e) => {
+  const row = e.target.closest('tr');
+  if (row && e.target.dataset.field) channels[Number(row.dataset.i)][e.target.dataset.field] = e.target.value.trim();
+});
+
+document.getElementById('channels').addEventListener('click', (e) => {
+  const btn = e.target.closest('button');
+  if (!btn) return;
+  const i = Number(btn.closest('tr').dataset.i);
+  if (btn.dataset.move) {
+    const j = i + Number(btn.dataset.move);
+    const moved = channels.splice(i, 1)[0];
+    channels.splice(j, 0, moved);
+  } else if (btn.hasAttribute('data-remove')) {
+    channels.splice(i, 1);
+  }
+  renderChannels();
+});
+
+document.getElementById('addChannel').addEventListener('click', () => {
+  channels.push({ slug: '', name: '', rssUrl: '', mode: '' });
+  renderChannels();
+  const inputs = document.querySelectorAll('#channels input[data-field="slug"]');
+  inputs[inputs.length - 1].focus();
+});
+
+async function saveSettings(patch, statusId) {
+  setStatus(statusId, 'Saving…');
+  try {
+    showSettings(await api('PUT', '/api/admin/settings', patch));
+    setStatus(statusId, 'Saved');
+    loadCache();
+  } catch (e) {
+    setStatus(statusId, e.message, true);
+  }
+}
+
+document.getElementById('saveChannels').addEventListener('click', () => {
+  saveSettings({ channels: channels.map((ch) => ({ slug: ch.slug, name: ch.name, rss: ch.rssUrl, mode: ch.mode })) }, 'channelStatus');
+});
+
+document.getElementById('resetChannels').addEventListener('click', () => {
+  if (confirm('Replace the lineup with the one from the environment?')) saveSettings({ channels: null }, 'channelStatus');
+});
+
+// -------- Settings --------
+function showSettings(data) {
+  channels = data.channels.map((ch) => Object.assign({}, ch));
+  renderChannels();
+  document.getElementById('allowlist').value = data.allowlist.join('\n');
+  document.getElementById('epLimit').value = data.epLimit;
+  if (!data.persisted) setStatus('settingsStatus', 'SETTINGS_FILE is empty: changes last until the server restarts');
+}
+
+document.getElementById('saveSettings').addEventListener('click', () => {
+  saveSettings({
+    allowlist: document.getElementById('allowlist').value.split(/\s+/).filter(Boolean),
+    epLimit: Number(document.getElementById('epLimit').value),
+  }, 'settingsStatus');
+});
+
+document.getElementById('resetSettings').addEventListener('click', () => {
+  saveSettings({ allowlist: null, epLimit: null }, 'settingsStatus');
+});
+
+// -------- Feed cache --------
+function renderCache(data) {
+  document.getElementById('cacheNote').textContent =
+    data.feeds.length + ' of ' + data.maxFeeds + ' · fresh for ' + fmtAge(data.ttlMs) + ', then served stale for ' + fmtAge(data.staleMs);
+  document.getElementById('cache').innerHTML = data.feeds.map((f) =>
+    '<tr>' +
+      '<td class="url" title="' + esc(f.rssUrl) + '">' + esc(f.rssUrl) + '</td>' +
+      '<td>' + esc(f.channels.join(', ')) + '</td>' +
+      '<td>' + esc(fmtTime(f.fetchedAt)) + '</td>' +
+      '<td>' + fmtAge(f.ageMs) + '</td>' +
+      '<td>' + f.items + '</td>' +
+      '<td class="state-' + f.state + '">' + f.state + (f.refreshing ? ' (refreshing)' : '') + '</td>' +
+      '<td class="err" title="' + esc(fmtTime(f.lastErrorAt)) + '">' + esc(f.lastError) + '</td>' +
+      '<td>' +
+        '<button type="button" data-refresh="' + esc(f.rssUrl) + '">Refresh</button> ' +
+        '<button type="button" data-purge="' + esc(f.rssUrl) + '">Purge</button>' +
+      '</td>' +
+    '</tr>'
+  ).join('') || '<tr><td colspan="8" class="status">Nothing cached yet</td></tr>';
+}
+
+async function loadCache() {
+  try {
+    renderCache(await api('GET', '/api/admin/cache'));
+  } catch (e) {
+    setStatus('cacheStatus', e.message, true);
+  }
+}
+
+async function refresh(rss) {
+  setStatus('cacheStatus', 'Refreshing…');
+  try {
+    const data = await api('POST', '/api/admin/refresh', rss ? { rss } : {});
+    const failed = data.feeds.filter((f) => f.lastError);
+    setStatus('cacheStatus', failed.length ? failed.length + ' feed(s) failed to refresh' : 'Refreshed', failed.length > 0);
+  } catch (e) {
+    setStatus('cacheStatus', e.message, true);
+  }
+  loadCache();
+}
+
+async function purge(rss) {
+  try {
+    const data = await api('DELETE', '/api/admin/cache' + (rss ? '?rss=' + encodeURIComponent(rss) : ''));
+    setStatus('cacheStatus', 'Purged ' + data.purged + ' feed(s)');
+  } catch (e) {
+    setStatus('cacheStatus', e.message, true);
+  }
+  loadCache();
+}
+
+document.getElementById('cache').addEventListener('click', (e) => {
+  const btn = e.target.closest('button');
+  if (!btn) return;
+  if (btn.dataset.refresh) refresh(btn.dataset.refresh);
+  else if (btn.dataset.purge) purge(btn.dataset.purge);
+});
+
+document.getElementById('refreshAll').addEventListener('click', () => refresh(''));
+document.getElementById('purgeAll').addEventListener('click', () => {
+  if (confirm('Drop every cached feed? They are fetched again on next use.')) purge('');
+});
+document.getElementById('reloadCache').addEventListener('click', loadCache);
+
+// -------- Sign in --------
+function signOut(message) {
+  sessionStorage.removeItem(TOKEN_KEY);
+  document.getElementById('console').hidden = true;
+  document.getElementById('login').hidden = false;
+  document.getElementById('loginStatus').textContent = message || '';
+  document.getElementById('token').focus();
+}
+
+async function start() {
+  try {
+    showSettings(await api('GET', '/api/admin/settings'));
+  } catch (e) {
+    document.getElementById('login').hidden = false;
+    document.getElementById('loginStatus').textContent = e.message;
+    return;
+  }
+  document.getElementById('login').hidden = true;
+  document.getElementById('console').hidden = false;
+  loadCache();
+}
+
+document.getElementById('loginForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, document.getElementById('token').value);
+  document.getElementById('token').value = '';
+  start();
+});
+
+document.getElementById('logout').addEventListener('click', () => signOut(''));
+
+if (sessionStorage.getItem(TOKEN_KEY)) start();
+else signOut('');
@@ -0,0 +1,131 @@
+/**
+ * Phone remote for /remote (REMOTE_CONTROL=1)
+ * - Lists the screens that have connected (TV pages opened with ?screen=NAME) and what they play
+ * - Sends play, skip, seek, mute and channel commands to the chosen screen
+ * - Asks for REMOTE_TOKEN when the server wants one, once per browser tab
+ */
+
+const TOKEN_KEY = 'rsstv:remoteToken';
+const SCREEN_KEY = 'rsstv:remoteScreen';
+const RELOAD_MS = 5000;
+
+const screenSelect = document.getElementById('screen');
+
+let screens = [];
+
+function esc(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function setStatus(text, bad) {
+  const el = document.getElementById('status');
+  el.textContent = text;
+  el.classList.toggle('bad', !!bad);
+}
+
+// Calls the remote API; a 401 asks for the token.
+async function api(method, url, body) {
+  const headers = { Authorization: 'Bearer ' + (sessionStorage.getItem(TOKEN_KEY) || '') };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const r = await fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const data = await r.json().catch(() => ({}));
+  if (r.status === 401) {
+    sessionStorage.removeItem(TOKEN_KEY);
+    document.getElementById('login').hidden = false;
+    document.getElementById('token').focus();
+  }
+  if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+  return data;
+}
+
+function currentScreen() {
+  return screens.find((s) => s.name === screenSelect.value) || null;
+}
+
+function renderNow() {
+  const s = currentScreen();
+  const st = s && s.state;
+  document.getElementById('now').innerHTML = !s
+    ? 'Open the TV page with <code>?screen=NAME</code> to control it from here.'
+    : !s.connections
+      ? 'Not connected'
+      : st
+        ? esc(st.channelName) + (st.title ? ' · <b>' + esc(st.title) + '</b>' : '') +
+          (st.paused ? ' (paused)' : '') + (st.muted ? ' 🔇' : '')
+        : 'Connected';
+  const current = st ? st.channel : '';
+  document.querySelectorAll('#channels button').forEach((btn) => {
+    btn.classList.toggle('current', btn.dataset.channel === current);
+  });
+}
+
+function renderScreens() {
+  const chosen = screenSelect.value || localStorage.getItem(SCREEN_KEY) || '';
+  screenSelect.innerHTML = screens.map((s) =>
+    '<option value="' + esc(s.name) + '">' + esc(s.name) + (s.connections ? '' : ' (offline)') + '</option>'
+  ).join('') || '<option value="">No screens yet</option>';
+  if (screens.some((s) => s.name === chosen)) screenSelect.value = chosen;
+  renderNow();
+}
+
+function renderChannels(channels) {
+  document.getElementById('channels').innerHTML = channels.map((ch) =>
+    '<button type="button" data-channel="' + esc(ch.slug) + '">' + esc(ch.name) + '</button>'
+  ).join('');
+}
+
+async function load() {
+  try {
+    const data = await api('GET', '/api/remote/screens');
+    screens = data.screens;
+    if (!document.getElementById('channels').children.length) renderChannels(data.channels);
+    renderScreens();
+  } catch (e) {
+    setStatus(e.message, true);
+  }
+}
+
+async function send(command, value) {
+  const screen = screenSelect.value;
+  if (!screen) return setStatus('Pick a screen first', true);
+  try {
+    await api('POST', '/api/remote/command', { screen, command, value });
+    setStatus('');
+    // Give the screen a moment to report its new state.
+    setTimeout(load, 800);
+  } catch (e) {
+    setStatus(e.message, true);
+  }
+}
+
+document.getElementById('pad').addEventListener('click', (e) => {
+  const btn = e.target.closest('button');
+  if (btn) send(btn.dataset.command);
+});
+
+document.getElementById('channels').addEventListener('click', (e) => {
+  const btn = e.target.closest('button');
+  if (btn) send('channel', btn.dataset.channel);
+});
+
+screenSelect.addEventListener('change', () => {
+  localStorage.setItem(SCREEN_KEY, screenSelect.value);
+  renderNow();
+});
+
+document.getElementById('loginForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, document.getElementById('token').value);
+  document.getElementById('token').value = '';
+  document.getElementById('login').hidden = true;
+  load();
+});
+
+load();
+setInterval(load, RELOAD_MS);
@@ -0,0 +1,92 @@
+/**
+ * Stats page for /stats (TELEMETRY=1)
+ * - Shows /api/stats.json: totals, most played episodes with completion rates, and failure
+ *   rates per media host
+ * - Reloads every minute, so it can stay up on a screen
+ */
+
+const RELOAD_MS = 60 * 1000;
+
+function esc(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function fmtDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.round((seconds % 3600) / 60);
+  return h ? h + 'h ' + m + 'm' : m + 'm';
+}
+
+function fmtPercent(rate) {
+  return Math.round(rate * 100) + '%';
+}
+
+// A percentage with a small bar, so the table reads at a glance.
+function rateCell(rate, className) {
+  return '<td class="num ' + (className || '') + '">' + fmtPercent(rate) +
+    '<span class="bar" style="width:' + Math.round(rate * 60) + 'px"></span></td>';
+}
+
+function renderTotals(t) {
+  const cards = [
+    [t.plays, 'plays'],
+    [fmtPercent(t.completionRate), 'completed'],
+    [fmtDuration(t.watchedSeconds), 'watched'],
+    [t.errors, 'playback errors'],
+    [t.episodes, 'episodes seen'],
+  ];
+  document.getElementById('totals').innerHTML = cards.map((c) =>
+    '<div class="total"><b>' + esc(c[0]) + '</b><span>' + esc(c[1]) + '</span></div>'
+  ).join('');
+}
+
+function renderEpisodes(list) {
+  document.getElementById('episodes').innerHTML = list.map((e, i) =>
+    '<tr>' +
+      '<td>' + (i + 1) + '</td>' +
+      '<td>' + esc(e.title || e.episodeId) + '</td>' +
+      '<td>' + esc(e.channel) + '</td>' +
+      '<td class="num">' + e.plays + '</td>' +
+      rateCell(e.completionRate, 'good') +
+      '<td class="num">' + fmtDuration(e.watchedSeconds) + '</td>' +
+      '<td class="num' + (e.errors ? ' bad' : '') + '">' + e.errors + '</td>' +
+      '<td>' + esc(new Date(e.lastAt).toLocaleString()) + '</td>' +
+    '</tr>'
+  ).join('') || '<tr><td colspan="8" class="status">Nothing played yet</td></tr>';
+}
+
+function renderHosts(list) {
+  document.getElementById('hosts').innerHTML = list.map((h) =>
+    '<tr>' +
+      '<td>' + esc(h.host) + '</td>' +
+      '<td class="num">' + h.plays + '</td>' +
+      '<td class="num">' + h.errors + '</td>' +
+      rateCell(h.failureRate, h.failureRate > 0 ? 'bad' : '') +
+    '</tr>'
+  ).join('') || '<tr><td colspan="4" class="status">No media hosts yet</td></tr>';
+}
+
+async function load() {
+  const status = document.getElementById('status');
+  try {
+    const r = await fetch('/api/stats.json?limit=50');
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    document.getElementById('since').textContent = 'since ' + new Date(data.since).toLocaleString();
+    renderTotals(data.totals);
+    renderEpisodes(data.episodes);
+    renderHosts(data.hosts);
+    status.textContent = 'Updated ' + new Date().toLocaleTimeString();
+  } catch (e) {
+    status.textContent = e.message;
+  }
+}
+
+load();
+setInterval(load, RELOAD_MS);
@@ -0,0 +1,117 @@
+/**
+ * Service worker for the TV page (OFFLINE=1, registered by tv.js as /sw.js)
+ * - The page shell (HTML, script, styles, players) and the last API answers (config, episodes,
+ *   chapters, captions) come from the network first, and from the cache when it is unreachable;
+ *   API answers from the cache carry "X-Offline-Copy: 1"
+ * - Episodes downloaded for offline use ("rsstv-media") and the prefetched next episode
+ *   ("rsstv-prefetch") are played from the cache, with Range support so seeking works; tv.js
+ *   fills both caches
+ */
+
+const VERSION = 'v1';
+const SHELL_CACHE = 'rsstv-shell-' + VERSION;
+const API_CACHE = 'rsstv-api';
+const MEDIA_CACHES = ['rsstv-media', 'rsstv-prefetch'];
+const SHELL = ['/', '/static/tv.js', '/static/tv.css'];
+const API_PATHS = [/^\/api\/config\.json$/, /^\/api\/episodes\.json$/, /^\/api\/chapters\//, /^\/api\/captions\//];
+const MAX_API_ENTRIES = 100;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops the shells of older versions; downloads are kept.
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.indexOf('rsstv-shell-') === 0 && key !== SHELL_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Keeps the newest `max` entries; Cache.keys() lists them oldest first.
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) await cache.delete(keys[i]);
+}
+
+function markOffline(res) {
+  const headers = new Headers(res.headers);
+  headers.set('X-Offline-Copy', '1');
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
+
+// `key` stores every answer under one URL (the TV page is the same for every path).
+async function networkFirst(request, cacheName, { key, maxEntries, mark } = {}) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      cache.put(key || request, res.clone())
+        .then(() => maxEntries && trim(cache, maxEntries))
+        .catch(() => {});
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(key || request);
+    if (!hit) throw err;
+    return mark ? markOffline(hit) : hit;
+  }
+}
+
+// Answers a Range request from a whole cached file.
+async function rangeResponse(request, res) {
+  const m = /^bytes=(\d+)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!m) return res;
+  const blob = await res.blob();
+  const start = Number(m[1]);
+  const end = m[2] ? Math.min(Number(m[2]), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': 'bytes */' + blob.size } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': res.headers.get('Content-Type') || blob.type,
+      'Content-Range': 'bytes ' + start + '-' + end + '/' + blob.size,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes',
+    },
+  });
+}
+
+async function fromMediaCache(request) {
+  for (const name of MEDIA_CACHES) {
+    const hit = await (await caches.open(name)).match(request.url);
+    if (hit) return rangeResponse(request, hit);
+  }
+  return fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const local = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    // Only the TV page itself; the guide, admin and other pages are left alone.
+    if (url.pathname === '/' || url.pathname.indexOf('/channel/') === 0) {
+      event.respondWith(networkFirst(request, SHELL_CACHE, { key: '/' }));
+    }
+    return;
+  }
+  if (local && (url.pathname.indexOf('/static/') === 0 || url.pathname.indexOf('/vendor/') === 0)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (local && API_PATHS.some((re) => re.test(url.pathname))) {
+    event.respondWith(networkFirst(request, API_CACHE, { maxEntries: MAX_API_ENTRIES, mark: true }));
+  } else if (request.destination === 'audio' || request.destination === 'video') {
+    event.respondWith(fromMediaCache(request));
+  }
+});
@@ -0,0 +1,2355 @@
+/**
+ * TV client for / and /channel/:slug
+ * - Works out which feed to show from the URL, then loads it from /api/episodes.json a page at a time
+ * - Remote/keyboard navigation (spatial focus, media keys, per-platform key maps) and Media Session
+ * - Resume, chapters, captions, playback speed, HLS/DASH, linear schedule
+ * - Fallback sources and error cards, kiosk mode, commands from the phone remote (/remote)
+ * - Watch parties: screens in the same ?room= follow the host's episode and position
+ * - Offline: service worker (public/sw.js), episode downloads and next-episode prefetch
+ *
+ * Plain browser JavaScript with no build step, so older TV browsers can run it as is.
+ */
+
+// Filled in by boot() from /api/config.json and /api/episodes.json.
+let episodes = [];
+let lineup = []; // channel slugs in lineup order
+let channelIndex = -1; // -1 when playing an ad-hoc ?rss= feed; channel up/down then enters the lineup
+let linear = false;
+let feedQuery = ''; // points /api/schedule.json, chapters and captions at the same feed
+let progressSync = false;
+let totalEpisodes = 0;
+let nextOffset = null; // offset of the next page of episodes, null once everything is loaded
+
+const channelTitle = document.getElementById('channelTitle');
+const playlist = document.getElementById('playlist');
+const epTitle = document.getElementById('epTitle');
+const epDesc = document.getElementById('epDesc');
+const epMeta = document.getElementById('epMeta');
+const epPeople = document.getElementById('epPeople');
+const chapterList = document.getElementById('chapterList');
+
+const videoEl = document.getElementById('videoEl');
+const audioEl = document.getElementById('audioEl');
+const audioRow = document.getElementById('audioRow');
+
+const posterBg = document.getElementById('posterBg');
+const artImg = document.getElementById('artImg');
+const artWrap = document.getElementById('artWrap');
+const captionOverlay = document.getElementById('captionOverlay');
+const toast = document.getElementById('toast');
+const qualityMenu = document.getElementById('qualityMenu');
+
+let currentIndex = 0; // focused row; -1 is the "Continue watching" row
+let playingIndex = -1; // row of the playing episode in the current list, -1 if it isn't listed
+let playing = null; // the episode loaded in the player
+let continueIndex = -1;
+
+// Playback progress, keyed by the episode's stable id: { position, duration, watched, at }
+const PROGRESS_KEY = 'rsstv:progress';
+const MAX_PROGRESS_ENTRIES = 500;
+const WATCHED_RATIO = 0.95;
+
+const params = new URLSearchParams(location.search);
+if (params.get('viewer')) localStorage.setItem('rsstv:viewer', params.get('viewer'));
+let viewer = ''; // set by boot() when progress sync is on
+
+let progress = {};
+try { progress = JSON.parse(localStorage.getItem(PROGRESS_KEY)) || {}; } catch (e) {}
+
+function esc(s) {
+  if (!s) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function fmtTime(sec) {
+  sec = Math.max(0, Math.floor(sec || 0));
+  const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60), s = sec % 60;
+  const mm = h ? String(m).padStart(2, '0') : String(m);
+  return (h ? h + ':' : '') + mm + ':' + String(s).padStart(2, '0');
+}
+
+// The API sends ISO dates; feeds without a parseable date keep their raw pubDate.
+function fmtDate(value) {
+  const d = new Date(value);
+  if (!value || isNaN(d)) return value || '';
+  try {
+    return d.toLocaleDateString(locale, { year: 'numeric', month: 'short', day: '2-digit' });
+  } catch (e) {
+    return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: '2-digit' });
+  }
+}
+
+function rowId(i) {
+  return i === -1 ? 'ep-continue' : 'ep-' + i;
+}
+
+function focusRow(i) {
+  currentIndex = i;
+  const el = document.getElementById(rowId(i));
+  if (el) { el.focus(); el.scrollIntoView({ behavior: 'smooth', block: 'nearest' }); }
+  if (i >= episodes.length - 5) loadMore();
+}
+
+function setActive(i) {
+  document.querySelectorAll('.ep').forEach(el => el.classList.remove('active'));
+  const btn = document.getElementById('ep-' + i);
+  if (btn) btn.classList.add('active');
+}
+
+function percentWatched(ep) {
+  const p = progress[ep.id];
+  if (!p) return 0;
+  if (p.watched && !p.position) return 100;
+  const d = p.duration || ep.durationSeconds;
+  return d ? Math.min(100, Math.round((p.position / d) * 100)) : 0;
+}
+
+function progressMarkup(ep) {
+  const pct = percentWatched(ep);
+  return pct ? '<div class="progress"><span style="width:' + pct + '%"></span></div>' : '';
+}
+
+function watchedMarkup(ep) {
+  return progress[ep.id] && progress[ep.id].watched ? '<span class="pill watched">✓ ' + t('Watched') + '</span>' : '';
+}
+
+// Most recently played episode that was started but not finished.
+function findContinueIndex() {
+  if (linear || filterActive()) return -1;
+  let best = -1, bestAt = 0;
+  episodes.forEach((ep, i) => {
+    const p = progress[ep.id];
+    if (p && !p.watched && p.position > 0 && p.at > bestAt) { best = i; bestAt = p.at; }
+  });
+  return best;
+}
+
+function continueMarkup() {
+  if (continueIndex === -1) return '';
+  const ep = episodes[continueIndex];
+  const p = progress[ep.id];
+  const d = p.duration || ep.durationSeconds;
+  const left = d ? t('{time} left', { time: fmtTime(d - p.position) }) : t('Resume at {time}', { time: fmtTime(p.position) });
+  const thumb = ep.thumbUrl ? '<img src="' + esc(ep.thumbUrl) + '" loading="lazy" alt=""/>' : '<div class="placeholder">▶</div>';
+
+  return (
+    '<button class="ep continue" id="ep-continue" type="button" onclick="selectIndex(-1)">' +
+      '<div class="thumb">' + thumb + progressMarkup(ep) + '</div>' +
+      '<div class="info">' +
+        '<div class="label">' + t('Continue watching') + '</div>' +
+        '<div class="t">' + esc(ep.title) + '</div>' +
+        '<div class="d"><span>' + esc(left) + '</span></div>' +
+      '</div>' +
+    '</button>'
+  );
+}
+
+function episodeLabel(ep) {
+  if (ep.episodeLabel) return ep.episodeLabel;
+  const parts = [];
+  if (ep.season != null) parts.push('S' + ep.season);
+  if (ep.episodeNumber != null) parts.push('E' + ep.episodeNumber);
+  return parts.join(' · ');
+}
+
+function seasonHeader(ep) {
+  const title = ep.season == null ? t('Other episodes') : (ep.seasonName || t('Season {n}', { n: ep.season }));
+  return '<div class="season">' + esc(title) + '</div>';
+}
+
+function renderPlaylist() {
+  continueIndex = findContinueIndex();
+  // Group consecutive episodes of the same season under a header (only if the feed has seasons).
+  const hasSeasons = episodes.some((ep) => ep.season != null);
+  let lastSeason;
+
+  const empty = !episodes.length && filterActive() ? '<div class="empty">' + t('No episodes match') + '</div>' : '';
+  playlist.innerHTML = filterMarkup() + continueMarkup() + empty + episodes.map((ep, i) => {
+    const thumb = ep.thumbUrl
+      ? '<img src="' + esc(ep.thumbUrl) + '" loading="lazy" alt=""/>'
+      : '<div class="placeholder">' + (totalEpisodes - i) + '</div>';
+
+    const dur = ep.durationSeconds ? '<span class="pill">' + esc(fmtDuration(ep.durationSeconds)) + '</span>'
+      : ep.duration ? '<span class="pill">' + esc(ep.duration) + '</span>' : '';
+    const kind = '<span class="pill">' + (ep.kind === 'video' ? t('Video') : t('Audio')) + '</span>' +
+      (ep.live ? '<span class="pill">' + t('LIVE') + '</span>' : '');
+    const cc = ep.hasCaptions ? '<span class="pill">CC</span>' : '';
+    const dl = '<span id="dl-' + i + '">' + downloadMarkup(ep) + '</span>';
+    const label = episodeLabel(ep) ? '<span class="pill">' + esc(episodeLabel(ep)) + '</span>' : '';
+    const type = ep.episodeType && ep.episodeType !== 'full'
+      ? '<span class="pill">' + (ep.episodeType === 'trailer' ? t('Trailer') : t('Bonus')) + '</span>'
+      : '';
+
+    const header = hasSeasons && (i === 0 || ep.season !== lastSeason) ? seasonHeader(ep) : '';
+    lastSeason = ep.season;
+
+    return header + (
+      '<button class="ep" id="ep-' + i + '" type="button" onclick="selectIndex(' + i + ')">' +
+        '<div class="thumb" id="thumb-' + i + '">' + thumb + progressMarkup(ep) + '</div>' +
+        '<div class="info">' +
+          '<div class="t">' + esc(ep.title) + '</div>' +
+          '<div class="d"><span>' + esc(fmtDate(ep.date)) + '</span>' + label + type + kind + dur + cc + dl + '<span id="watched-' + i + '">' + watchedMarkup(ep) + '</span></div>' +
+        '</div>' +
+      '</button>'
+    );
+  }).join('');
+}
+
+function showPeople(ep) {
+  const names = (role) => (ep.persons || []).filter((p) => p.role === role).map((p) => p.name).join(', ');
+  const hosts = names('host');
+  const guests = names('guest');
+  epPeople.textContent = [
+    hosts ? t('Hosts: {names}', { names: hosts }) : '',
+    guests ? t('Guests: {names}', { names: guests }) : '',
+  ].filter(Boolean).join(' • ');
+}
+
+// Chapters of the playing episode: [{ startTime, title, img }]
+let chapters = [];
+let activeChapter = -1;
+
+async function loadChapters(ep) {
+  chapters = [];
+  renderChapters();
+  if (!ep.chapters) return;
+
+  try {
+    const r = await fetch('/api/chapters/' + encodeURIComponent(ep.id) + '.json?' + feedQuery);
+    if (!r.ok) return;
+    const data = await r.json();
+    // Ignore late answers for an episode we already moved away from.
+    if (!playing || playing.id !== ep.id) return;
+    chapters = data.chapters || [];
+    renderChapters();
+  } catch (e) {}
+}
+
+function renderChapters() {
+  activeChapter = -1;
+  chapterList.innerHTML = chapters.map((c, i) =>
+    '<button class="chapter" id="ch-' + i + '" type="button" onclick="seekChapter(' + i + ')">' +
+      fmtTime(c.startTime) + ' ' + esc(c.title || t('Chapter {n}', { n: i + 1 })) +
+    '</button>'
+  ).join('');
+  highlightChapter();
+}
+
+function chapterAt(t) {
+  let idx = -1;
+  chapters.forEach((c, i) => { if (c.startTime <= t + 0.25) idx = i; });
+  return idx;
+}
+
+function highlightChapter() {
+  const idx = chapterAt(activeMedia().currentTime || 0);
+  if (idx === activeChapter) return;
+  activeChapter = idx;
+
+  document.querySelectorAll('.chapter').forEach((el) => el.classList.remove('active'));
+  const el = document.getElementById('ch-' + idx);
+  if (el) {
+    el.classList.add('active');
+    el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }
+
+  // Chapter artwork replaces the episode artwork while the chapter plays (audio only).
+  const ep = playing;
+  if (ep && ep.kind !== 'video') showArtwork((chapters[idx] && chapters[idx].img) || ep.imageUrl);
+}
+
+function seekChapter(i) {
+  if (linear || !chapters[i]) return;
+  const el = activeMedia();
+  el.currentTime = chapters[i].startTime;
+  el.play().catch(() => {});
+}
+
+// Back: to the start of this chapter (or the previous one if we are right at its start). Forward: next chapter.
+// Returns the chapter it went to.
+function stepChapter(dir) {
+  const t = activeMedia().currentTime || 0;
+  const cur = chapterAt(t);
+  let target;
+  if (dir < 0) target = cur >= 0 && t - chapters[cur].startTime > 3 ? cur : cur - 1;
+  else target = cur + 1;
+  target = Math.max(0, Math.min(target, chapters.length - 1));
+  seekChapter(target);
+  return target;
+}
+
+let toastTimer = null;
+function flash(msg, ms) {
+  toast.textContent = msg;
+  toast.classList.add('show');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.remove('show'), ms || 1500);
+}
+
+// Captions: on by default whenever an episode has them; "C" toggles (remembered per screen).
+let captionsOn = localStorage.getItem('rsstv:captions') !== '0';
+
+function attachCaptions(ep) {
+  [videoEl, audioEl].forEach((el) => el.querySelectorAll('track').forEach((t) => t.remove()));
+  captionOverlay.innerHTML = '';
+  if (!ep.hasCaptions) return;
+
+  const track = document.createElement('track');
+  track.kind = 'captions';
+  track.label = t('Captions');
+  track.default = true;
+  track.src = '/api/captions/' + encodeURIComponent(ep.id) + '.vtt?' + feedQuery;
+  activeMedia().appendChild(track);
+  applyCaptionMode();
+}
+
+function applyCaptionMode() {
+  const el = activeMedia();
+  const tt = el.textTracks && el.textTracks[0];
+  captionOverlay.innerHTML = '';
+  if (!tt) return;
+
+  // Video draws its own cues. Audio has nothing to draw on, so cues go over the artwork instead.
+  tt.mode = !captionsOn ? 'disabled' : el === videoEl ? 'showing' : 'hidden';
+  tt.oncuechange = () => {
+    if (el !== audioEl || !captionsOn) return;
+    captionOverlay.innerHTML = Array.from(tt.activeCues || []).map((cue) => {
+      const text = cue.text.replace(/<v\s+([^>]+)>/g, '$1: ').replace(/<[^>]+>/g, '');
+      return '<span>' + esc(text).replace(/\n/g, '<br>') + '</span>';
+    }).join('<br>');
+  };
+}
+
+function toggleCaptions() {
+  captionsOn = !captionsOn;
+  localStorage.setItem('rsstv:captions', captionsOn ? '1' : '0');
+  applyCaptionMode();
+  const ep = playing;
+  flash(t(ep && !ep.hasCaptions ? 'No captions for this episode' : captionsOn ? 'Captions on' : 'Captions off'));
+}
+
+function showArtwork(url) {
+  const u = url || '';
+  posterBg.style.backgroundImage = u ? ('url("' + esc(u) + '")') : 'none';
+  artImg.src = u || '';
+  artWrap.style.display = u ? 'flex' : 'none';
+}
+
+// -------- Language and appearance --------
+// UI strings are written in English and looked up in the table from /api/i18n.json, so anything
+// a translation lacks shows in English. The server picks the language from ?lang= (remembered)
+// or Accept-Language; `locale` formats dates and durations the same way.
+let strings = {};
+let locale; // undefined until loaded: the browser's own
+
+const langParam = params.get('lang');
+if (langParam) localStorage.setItem('rsstv:lang', langParam);
+else if (langParam === '') localStorage.removeItem('rsstv:lang');
+
+// t('Speed {speed}×', { speed: 2 }) → the translation with its placeholders filled in.
+function t(text, vars) {
+  const s = strings[text] || text;
+  return vars ? s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m)) : s;
+}
+
+function loadStrings() {
+  const lang = localStorage.getItem('rsstv:lang');
+  return fetch('/api/i18n.json' + (lang ? '?lang=' + encodeURIComponent(lang) : ''))
+    .then((r) => r.json())
+    .then((data) => {
+      strings = data.strings || {};
+      locale = data.locale || undefined;
+      document.documentElement.lang = data.lang || 'en';
+      translatePage();
+    })
+    .catch(() => {}); // English it is
+}
+
+// The static text of tv.html: [data-i18n] elements and every aria-label.
+function translatePage() {
+  document.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = t(el.textContent.trim()); });
+  document.querySelectorAll('[aria-label]').forEach((el) => el.setAttribute('aria-label', t(el.getAttribute('aria-label'))));
+}
+
+// The guide is rendered by the server, so it needs this screen's ?lang= too.
+function guideUrl() {
+  const lang = localStorage.getItem('rsstv:lang');
+  return '/guide' + (lang ? '?lang=' + encodeURIComponent(lang) : '');
+}
+
+// "1 hr 5 min" in the UI language; h:mm:ss on browsers whose Intl can't format units.
+function fmtDuration(sec) {
+  sec = Math.round(sec || 0);
+  const h = Math.floor(sec / 3600), m = Math.floor((sec % 3600) / 60);
+  const parts = h ? { hours: h, minutes: m } : m ? { minutes: m } : { seconds: sec };
+  try {
+    if (typeof Intl.DurationFormat === 'function') return new Intl.DurationFormat(locale, { style: 'short' }).format(parts);
+    const units = { hours: 'hour', minutes: 'minute', seconds: 'second' };
+    return Object.keys(parts)
+      .filter((k) => parts[k] || Object.keys(parts).length === 1)
+      .map((k) => new Intl.NumberFormat(locale, { style: 'unit', unit: units[k], unitDisplay: 'short' }).format(parts[k]))
+      .join(' ');
+  } catch (e) {
+    return fmtTime(sec);
+  }
+}
+
+// Theme and text size come from ?theme= / ?text= (remembered per screen) or the server's
+// THEME / TEXT_SIZE; the accent colour, logo and channel name from ?accent=, ?logo=, ?name= or
+// ACCENT_COLOR, LOGO_URL and the lineup.
+const THEMES = ['dark', 'light', 'contrast'];
+const TEXT_SIZES = ['normal', 'large', 'larger'];
+['theme', 'text'].forEach((name) => {
+  if (params.has(name)) localStorage.setItem('rsstv:' + name, params.get(name));
+});
+
+// '#4b7cff', '4b7cff' or '#48f' → [r, g, b], or null.
+function parseColor(value) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value || '');
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function applyAppearance(appearance) {
+  const a = appearance || {};
+  const root = document.documentElement;
+  const pick = (list, values) => values.find((v) => list.indexOf(v) !== -1) || list[0];
+  root.setAttribute('data-theme', pick(THEMES, [localStorage.getItem('rsstv:theme'), a.theme]));
+  root.setAttribute('data-text', pick(TEXT_SIZES, [localStorage.getItem('rsstv:text'), a.textSize]));
+
+  const rgb = parseColor(params.get('accent')) || parseColor(a.accent);
+  if (rgb) {
+    root.style.setProperty('--highlight', 'rgb(' + rgb.join(',') + ')');
+    root.style.setProperty('--focus', 'rgba(' + rgb.join(',') + ',.6)');
+  }
+
+  const logo = params.get('logo') || a.logoUrl || '';
+  const logoEl = document.getElementById('channelLogo');
+  logoEl.hidden = !/^(https?:\/\/|\/)/i.test(logo);
+  if (!logoEl.hidden) logoEl.src = logo;
+}
+applyAppearance(null); // this screen's own choices right away, the server's once config arrives
+
+// -------- Adaptive streaming (HLS/DASH) --------
+// Safari and some TVs play HLS natively; everywhere else hls.js / dash.js take over,
+// loaded from this server on first use.
+let stream = null; // { type: 'hls'|'dash', player }
+let sourceToken = 0;
+const scripts = {};
+
+function loadScript(src) {
+  if (!scripts[src]) {
+    scripts[src] = new Promise((resolve, reject) => {
+      const el = document.createElement('script');
+      el.src = src;
+      el.onload = resolve;
+      el.onerror = () => { delete scripts[src]; reject(new Error('Could not load ' + src)); };
+      document.head.appendChild(el);
+    });
+  }
+  return scripts[src];
+}
+
+function destroyStream() {
+  if (!stream) return;
+  try { stream.type === 'hls' ? stream.player.destroy() : stream.player.reset(); } catch (e) {}
+  stream = null;
+}
+
+// -------- Telemetry --------
+// With TELEMETRY=1 on the server, play, pause, ended and error events go to /api/events with the
+// time watched, for the server's own /stats page. Without it, only failures are reported (/metrics).
+const MEDIA_ERROR_CODES = { 1: 'aborted', 2: 'network', 3: 'decode', 4: 'not_supported' };
+
+let telemetry = false; // set by boot() from /api/config.json
+let watchedSeconds = 0; // time watched since the last event
+let lastMediaTime = null; // currentTime at the last timeupdate; null after a seek
+let playSent = false; // whether "play" went out for the loaded episode
+let reportedEpisode = null; // the episode events are about, until the next one starts playing
+
+// Fire and forget; sendBeacon survives the page closing.
+function beacon(url, data) {
+  const body = JSON.stringify(data);
+  if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+  fetch(url, { method: 'POST', body, keepalive: true }).catch(() => {});
+}
+
+function mediaHost(ep) {
+  try { return new URL(ep.mediaUrl, location.href).hostname; } catch (e) { return ''; }
+}
+
+function sendEvent(type, extra, ep) {
+  ep = ep || reportedEpisode || playing;
+  if (!telemetry || !ep) return;
+  beacon('/api/events', Object.assign({
+    type,
+    episodeId: ep.id,
+    title: ep.title || '',
+    channel: channelName,
+    host: mediaHost(ep),
+    watchedSeconds: Math.round(watchedSeconds),
+  }, extra));
+  watchedSeconds = 0;
+}
+
+function flushWatched() {
+  if (watchedSeconds >= 1) sendEvent('progress');
+}
+
+function reportPlaybackError(code) {
+  if (!playing) return;
+  if (telemetry) return sendEvent('error', { code }, playing);
+  beacon('/api/playback-errors', { code, host: mediaHost(playing), episodeId: playing.id });
+}
+
+// Adds up playing time from timeupdate; seeks and jumps don't count.
+function countWatched(el) {
+  const t = el.currentTime;
+  if (lastMediaTime !== null && !el.paused) {
+    const delta = t - lastMediaTime;
+    if (delta > 0 && delta < 5) watchedSeconds += delta;
+  }
+  lastMediaTime = t;
+  if (watchedSeconds >= 60) sendEvent('progress');
+}
+
+function trackPlay(el) {
+  lastMediaTime = el.currentTime;
+  if (playSent) return sendEvent('resume');
+  playSent = true;
+  reportedEpisode = playing;
+  sendEvent('play');
+}
+
+async function setSource(el, ep) {
+  const token = ++sourceToken;
+
+  if (ep.streamFormat === 'hls' && !el.canPlayType('application/vnd.apple.mpegurl')) {
+    await loadScript('/vendor/hls.min.js');
+    if (token !== sourceToken) return false;
+    if (window.Hls && Hls.isSupported()) {
+      const hls = new Hls({ capLevelToPlayerSize: true });
+      let recoveries = 0;
+      hls.on(Hls.Events.ERROR, (evt, data) => {
+        if (!data.fatal) return;
+        // hls.js can recover from most network/media hiccups on its own, but not from a dead stream.
+        const network = data.type === Hls.ErrorTypes.NETWORK_ERROR;
+        if (recoveries++ < 2 && network) hls.startLoad();
+        else if (recoveries <= 2 && data.type === Hls.ErrorTypes.MEDIA_ERROR) hls.recoverMediaError();
+        else handlePlaybackError(network ? 'network' : 'stream');
+      });
+      hls.loadSource(ep.mediaUrl);
+      hls.attachMedia(el);
+      stream = { type: 'hls', player: hls };
+      return true;
+    }
+  }
+
+  if (ep.streamFormat === 'dash' && !el.canPlayType('application/dash+xml')) {
+    await loadScript('/vendor/dash.mediaplayer.min.js');
+    if (token !== sourceToken) return false;
+    if (window.dashjs) {
+      const player = dashjs.MediaPlayer().create();
+      player.initialize(el, ep.mediaUrl, false);
+      player.on(dashjs.MediaPlayer.events.ERROR, () => handlePlaybackError('stream'));
+      stream = { type: 'dash', player };
+      return true;
+    }
+  }
+
+  el.src = ep.mediaUrl;
+  return true;
+}
+
+// Quality levels of the current stream as [{ label, value }], value -1 meaning automatic.
+function qualityOptions() {
+  if (!stream) return [];
+  const fmt = (height, bitrate) => [height ? height + 'p' : '', Math.round(bitrate / 1000) + ' kbps'].filter(Boolean).join(' · ');
+
+  if (stream.type === 'hls') {
+    const levels = stream.player.levels || [];
+    return [{ label: t('Auto'), value: -1 }].concat(
+      levels.map((l, i) => ({ label: fmt(l.height, l.bitrate), value: i, bitrate: l.bitrate }))
+        .sort((a, b) => b.bitrate - a.bitrate)
+    );
+  }
+
+  const type = playing.kind === 'video' ? 'video' : 'audio';
+  const list = stream.player.getBitrateInfoListFor(type) || [];
+  return [{ label: t('Auto'), value: -1 }].concat(
+    list.map((b) => ({ label: fmt(b.height, b.bitrate), value: b.qualityIndex, bitrate: b.bitrate }))
+      .sort((a, b) => b.bitrate - a.bitrate)
+  );
+}
+
+function currentQuality() {
+  if (!stream) return -1;
+  if (stream.type === 'hls') return stream.player.autoLevelEnabled ? -1 : stream.player.currentLevel;
+  const type = playing.kind === 'video' ? 'video' : 'audio';
+  const auto = stream.player.getSettings().streaming.abr.autoSwitchBitrate[type];
+  return auto ? -1 : stream.player.getQualityFor(type);
+}
+
+function setQuality(value) {
+  if (!stream) return;
+  if (stream.type === 'hls') {
+    stream.player.currentLevel = value;
+    return;
+  }
+  const type = playing.kind === 'video' ? 'video' : 'audio';
+  stream.player.updateSettings({ streaming: { abr: { autoSwitchBitrate: { [type]: value === -1 } } } });
+  if (value !== -1) stream.player.setQualityFor(type, value, true);
+}
+
+// On-screen quality menu: Q opens it, ↑↓ + ENTER pick, Q/ESC/Back close.
+let menuIndex = 0;
+
+function openQualityMenu() {
+  const options = qualityOptions();
+  if (options.length <= 1) {
+    flash(t(stream ? 'Only one quality available' : 'Quality is chosen by the player'));
+    return;
+  }
+  const current = currentQuality();
+  qualityMenu.innerHTML = '<div class="menuTitle">' + t('Quality') + '</div>' + options.map((o, i) =>
+    '<button class="menuItem' + (o.value === current ? ' selected' : '') + '" id="q-' + i + '" type="button" data-value="' + o.value + '">' + esc(o.label) + '</button>'
+  ).join('');
+  qualityMenu.querySelectorAll('.menuItem').forEach((btn) => {
+    btn.addEventListener('click', () => chooseQuality(Number(btn.dataset.value)));
+  });
+  qualityMenu.style.display = 'block';
+  menuIndex = Math.max(0, options.findIndex((o) => o.value === current));
+  document.getElementById('q-' + menuIndex).focus();
+}
+
+function closeQualityMenu() {
+  qualityMenu.style.display = 'none';
+  focusRow(currentIndex);
+}
+
+function chooseQuality(value) {
+  setQuality(value);
+  closeQualityMenu();
+  flash(t('Quality: {level}', { level: qualityOptions().find((o) => o.value === value).label }));
+}
+
+function qualityMenuKey(e, action) {
+  const items = qualityMenu.querySelectorAll('.menuItem');
+  if (action === 'down' || action === 'up') {
+    menuIndex = Math.max(0, Math.min(items.length - 1, menuIndex + (action === 'down' ? 1 : -1)));
+    items[menuIndex].focus();
+  } else if (action === 'select') {
+    chooseQuality(Number(items[menuIndex].dataset.value));
+  } else if (action === 'back' || action === 'quality') {
+    closeQualityMenu();
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
+function stopAll() {
+  sourceToken++;
+  destroyStream();
+  try { videoEl.pause(); } catch(e) {}
+  try { audioEl.pause(); } catch(e) {}
+  videoEl.removeAttribute('src');
+  audioEl.removeAttribute('src');
+  videoEl.load();
+  audioEl.load();
+}
+
+function activeMedia() {
+  return videoEl.style.display === 'block' ? videoEl : audioEl;
+}
+
+function storeProgress() {
+  const ids = Object.keys(progress);
+  if (ids.length > MAX_PROGRESS_ENTRIES) {
+    ids.sort((a, b) => progress[a].at - progress[b].at)
+      .slice(0, ids.length - MAX_PROGRESS_ENTRIES)
+      .forEach((id) => { delete progress[id]; });
+  }
+  try { localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress)); } catch (e) {}
+}
+
+// Saves the position of the episode that is playing. Linear mode is live TV: nothing to resume.
+function recordProgress(finished) {
+  if (linear || !playing) return;
+  const ep = playing;
+  if (ep.live) return;
+  const el = activeMedia();
+  const position = el.currentTime || 0;
+  // A freshly loaded source reports 0; never let that overwrite a saved position.
+  if (!position && !finished) return;
+
+  const duration = Number.isFinite(el.duration) ? el.duration : ep.durationSeconds;
+  const done = finished || (duration > 0 && position / duration >= WATCHED_RATIO);
+  const prev = progress[ep.id];
+  const entry = {
+    position: done ? 0 : position,
+    duration: duration || 0,
+    watched: done || !!(prev && prev.watched),
+    at: Date.now(),
+  };
+
+  progress[ep.id] = entry;
+  storeProgress();
+
+  const thumb = document.getElementById('thumb-' + playingIndex);
+  if (thumb) {
+    const bar = thumb.querySelector('.progress');
+    if (bar) bar.remove();
+    thumb.insertAdjacentHTML('beforeend', progressMarkup(ep));
+  }
+  const w = document.getElementById('watched-' + playingIndex);
+  if (w) w.innerHTML = watchedMarkup(ep);
+
+  if (viewer) {
+    fetch('/api/progress', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ viewer, episodeId: ep.id, position: entry.position, duration: entry.duration, watched: entry.watched }),
+      keepalive: true,
+    }).catch(() => {});
+  }
+}
+
+// Where to pick an episode back up; unfinished episodes only.
+function resumePosition(ep) {
+  const p = progress[ep.id];
+  if (!p || !p.position || p.position < 5) return 0;
+  const d = p.duration || ep.durationSeconds;
+  if (d && p.position > d - 5) return 0;
+  return p.position;
+}
+
+// Merges the viewer's server-side progress; the most recent update of each episode wins.
+async function syncProgress() {
+  try {
+    const r = await fetch('/api/progress?viewer=' + encodeURIComponent(viewer));
+    if (!r.ok) return;
+    const remote = (await r.json()).progress || {};
+    Object.keys(remote).forEach((id) => {
+      if (!progress[id] || remote[id].at > progress[id].at) progress[id] = remote[id];
+    });
+    storeProgress();
+    renderPlaylist();
+    if (playingIndex >= 0) setActive(playingIndex);
+  } catch (e) {}
+}
+
+// Starts playback at `startAt` seconds once the media knows its duration.
+function seekWhenReady(el, startAt) {
+  if (!startAt) return;
+  el.addEventListener('loadedmetadata', () => { el.currentTime = startAt; }, { once: true });
+}
+
+function playIndex(i, startAt) {
+  if (i < 0 || i >= episodes.length) return;
+
+  recordProgress(false);
+  flushWatched();
+  playSent = false;
+  lastMediaTime = null;
+
+  currentIndex = i;
+  const ep = episodes[i];
+  if (startAt === undefined && !linear && !ep.live) startAt = resumePosition(ep);
+
+  setActive(i);
+
+  // Follow the playing row, unless the viewer is using the player controls or chapters.
+  const btn = document.getElementById('ep-' + i);
+  const active = document.activeElement;
+  if (btn && (!active || active === document.body || inPlaylist(active))) {
+    btn.focus();
+    btn.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  epTitle.textContent = ep.title || t('Untitled Episode');
+  epDesc.textContent = ep.description || '';
+  epMeta.textContent = [fmtDate(ep.date), ep.mediaType, !linear && startAt ? t('Resuming at {time}', { time: fmtTime(startAt) }) : '']
+    .filter(Boolean).join(' • ');
+
+  showArtwork(ep.imageUrl);
+  showPeople(ep);
+
+  stopAll();
+  playingIndex = i;
+  playing = ep;
+  loadChapters(ep);
+
+  const el = showPlayer(ep.kind);
+  if (ep.kind === 'video') videoEl.poster = ep.imageUrl || "";
+
+  hideErrorCard();
+  sourceIndex = 0;
+  sourceStart = ep.live ? 0 : startAt || 0;
+  attachCaptions(ep);
+  applySpeed();
+  updateTimeline();
+  updateMediaSession(ep);
+  startSource(el, ep, ep.live ? 0 : startAt);
+}
+
+// Shows the video or the audio player and returns it.
+function showPlayer(kind) {
+  const video = kind === 'video';
+  videoEl.style.display = video ? 'block' : 'none';
+  audioRow.style.display = video ? 'none' : 'block';
+  audioEl.style.display = video ? 'none' : 'block';
+  updateCastButton();
+  return video ? videoEl : audioEl;
+}
+
+// Loads one source of the playing episode into `el` and starts it at `startAt`.
+function startSource(el, src, startAt) {
+  const attempt = ++sourceAttempt;
+  seekWhenReady(el, startAt);
+  setSource(el, src)
+    .then((attached) => { if (attached) return el.play().catch((err) => playRejected(err, attempt)); })
+    .catch(() => flash(t('Could not load the stream player')));
+}
+
+function playRejected(err, attempt) {
+  if (err && err.name === 'NotAllowedError') return autoplayBlocked();
+  // The error event usually says the same; handlePlaybackError counts each attempt once.
+  if (err && err.name === 'NotSupportedError' && attempt === sourceAttempt) handlePlaybackError('not_supported');
+}
+
+function autoplayBlocked() {
+  if (linear) epMeta.textContent = t('LIVE') + ' • ' + t('Press ENTER to tune in');
+}
+
+// -------- Error recovery --------
+// A source that fails is replaced by the episode's next one (ep.sources: media:content and
+// podcast:alternateEnclosure files) at the same position. With none left, an error card counts
+// down and skips to the next episode. Feed errors get a card explaining the server's cause.
+const errorCard = document.getElementById('errorCard');
+const errorTitle = document.getElementById('errorTitle');
+const errorText = document.getElementById('errorText');
+const errorCountdown = document.getElementById('errorCountdown');
+const errorActions = document.getElementById('errorActions');
+
+const SKIP_COUNTDOWN = 10; // seconds before skipping an episode that can't be played
+const RETRY_COUNTDOWN = 60; // seconds before loading a failing feed again
+const MAX_FAILED_IN_A_ROW = 5; // then stop skipping: the problem is not the episode
+const MEDIA_ERROR_TEXT = {
+  aborted: 'Loading the episode was interrupted.',
+  network: 'The media server could not be reached.',
+  decode: 'The file is damaged or uses an encoding this TV can\'t decode.',
+  not_supported: 'This TV can\'t play this file, or the file is gone.',
+  stream: 'The stream stopped working.',
+  other: 'Something went wrong while playing.',
+};
+// Causes reported by /api/episodes.json (see feedErrorResponse in server.js).
+const CAUSE_HINTS = {
+  blocked: 'This feed address is not allowed.',
+  dns: 'The feed\'s server name could not be found.',
+  timeout: 'The feed\'s server took too long to answer.',
+  upstream_status: 'The feed\'s server returned an error.',
+  too_large: 'The feed is too large.',
+  invalid_feed: 'The address does not point to an RSS, Atom or JSON feed or an M3U playlist.',
+  no_playable_items: 'The feed has no audio or video episodes.',
+  network: 'The feed\'s server could not be reached.',
+};
+const TRANSIENT_CAUSES = ['dns', 'timeout', 'upstream_status', 'network', 'internal'];
+
+let sourceIndex = 0; // 0 plays ep.mediaUrl, N plays ep.sources[N - 1]
+let sourceStart = 0; // where the episode was started, for the next source
+let sourceAttempt = 0; // bumped per source, so each failure is handled once
+let handledAttempt = 0;
+let failedInARow = 0; // reset as soon as anything plays
+let errorTimer = null;
+
+// opts: { title, text, actions: [{ label, run }], countdown, countdownLabel, onTimeout }
+function showErrorCard(opts) {
+  hideErrorCard();
+  errorTitle.textContent = opts.title;
+  errorText.textContent = opts.text || '';
+  errorActions.innerHTML = '';
+  opts.actions.forEach((a) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ctl';
+    btn.textContent = a.label;
+    btn.addEventListener('click', () => { hideErrorCard(); a.run(); });
+    errorActions.appendChild(btn);
+  });
+  errorCountdown.textContent = '';
+  errorCard.hidden = false;
+  errorActions.firstChild.focus();
+
+  let left = opts.countdown || 0;
+  if (!left) return;
+  const tick = () => {
+    if (left <= 0) {
+      hideErrorCard();
+      return opts.onTimeout();
+    }
+    errorCountdown.textContent = opts.countdownLabel + ' ' + left + 's';
+    left--;
+  };
+  tick();
+  errorTimer = setInterval(tick, 1000);
+}
+
+function hideErrorCard() {
+  clearInterval(errorTimer);
+  errorTimer = null;
+  if (errorCard.hidden) return;
+  const hadFocus = errorCard.contains(document.activeElement);
+  errorCard.hidden = true;
+  if (hadFocus) focusRow(currentIndex);
+}
+
+// Back on the card: stay on the failed episode instead of skipping.
+function stayAfterError() {
+  hideErrorCard();
+  flash(t('Auto-skip cancelled'));
+}
+
+function handlePlaybackError(code) {
+  if (!playing || handledAttempt === sourceAttempt) return;
+  handledAttempt = sourceAttempt;
+  reportPlaybackError(code);
+
+  const ep = playing;
+  const next = (ep.sources || [])[sourceIndex];
+  if (next) {
+    sourceIndex++;
+    const at = ep.live ? 0 : Math.max(activeMedia().currentTime || 0, sourceStart);
+    stopAll();
+    flash(t('Trying another source…'));
+    return startSource(showPlayer(next.kind || ep.kind), { mediaUrl: next.url, streamFormat: next.streamFormat }, at);
+  }
+
+  failedInARow++;
+  const retry = () => (linear ? tuneLive() : playIndex(playingIndex));
+  const text = t(MEDIA_ERROR_TEXT[code] || MEDIA_ERROR_TEXT.other);
+  if (failedInARow >= MAX_FAILED_IN_A_ROW && !kiosk) {
+    return showErrorCard({
+      title: t('Can\'t play these episodes'),
+      text: text + ' ' + t('{n} episodes in a row failed, so skipping has stopped.', { n: failedInARow }),
+      actions: [{ label: t('Try again'), run: retry }, { label: t('Next episode'), run: playNext }],
+    });
+  }
+  showErrorCard({
+    title: t('Can\'t play this episode'),
+    text,
+    actions: [{ label: t('Next episode'), run: playNext }, { label: t('Try again'), run: retry }],
+    countdown: SKIP_COUNTDOWN,
+    countdownLabel: t(linear ? 'Back to the schedule in' : 'Next episode in'),
+    onTimeout: playNext,
+  });
+}
+
+function showFeedError(err) {
+  const transient = !err.cause || TRANSIENT_CAUSES.indexOf(err.cause) !== -1;
+  showErrorCard({
+    title: t('Can\'t load this channel'),
+    text: [CAUSE_HINTS[err.cause] && t(CAUSE_HINTS[err.cause]), err.message].filter(Boolean).join(' '),
+    actions: [
+      { label: t('Try again'), run: () => location.reload() },
+      { label: t('Channel guide'), run: () => { location.href = guideUrl(); } },
+    ],
+    countdown: transient ? RETRY_COUNTDOWN : 0,
+    countdownLabel: t('Trying again in'),
+    onTimeout: () => location.reload(),
+  });
+}
+
+// The server could not refresh the feed and sent its last good copy.
+function showStaleNotice(stale) {
+  const at = new Date(stale.fetchedAt).toLocaleString(locale, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  flash(t(CAUSE_HINTS[stale.cause] || 'The feed could not be refreshed.') + ' ' + t('Showing the copy from {time}.', { time: at }), 8000);
+}
+
+// Linear mode: ask the server what is on now and join it at the current offset.
+async function tuneLive() {
+  try {
+    const sent = Date.now();
+    const r = await fetch('/api/schedule.json?' + feedQuery);
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    const s = await r.json();
+
+    // The server computed the offset about half a round trip ago.
+    const offset = s.nowPlaying.offsetSeconds + (Date.now() - sent) / 2000;
+    const i = episodes.findIndex((ep) => ep.id === s.nowPlaying.episodeId);
+    if (i === -1) throw new Error('Scheduled episode not in playlist');
+
+    playIndex(i, offset);
+
+    const next = s.upNext[0];
+    const at = next ? new Date(next.startsAt).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }) : '';
+    epMeta.textContent = [t('LIVE'), next ? t('Up next {time}: {title}', { time: at, title: next.title }) : ''].filter(Boolean).join(' • ');
+  } catch (e) {
+    epMeta.textContent = t('Live schedule unavailable');
+  }
+}
+
+// In linear mode there is nothing to pick: selecting anything (re)joins the live schedule.
+function selectIndex(i) {
+  if (following()) return followRoom();
+  if (linear) tuneLive();
+  else playIndex(i === -1 ? continueIndex : i);
+}
+
+function switchChannel(step) {
+  if (lineup.length === 0) return;
+  // From an ad-hoc ?rss= feed, CH+ enters the lineup at the first channel and CH- at the last.
+  const from = channelIndex === -1 ? (step > 0 ? -1 : 0) : channelIndex;
+  const next = (from + step + lineup.length) % lineup.length;
+  if (next === channelIndex) return;
+  location.href = '/channel/' + encodeURIComponent(lineup[next]);
+}
+
+// -------- Remote control --------
+// Keys are mapped to named actions. Strings match KeyboardEvent.key or .code, numbers match
+// .keyCode (what older TV engines send). Platform presets add their remote's codes to the
+// defaults; KEYMAP_FILE on the server (config.keymap) replaces the keys of single actions.
+const KEYMAPS = {
+  default: {
+    up: ['ArrowUp', 'Up', 38],
+    down: ['ArrowDown', 'Down', 40],
+    left: ['ArrowLeft', 'Left', 37],
+    right: ['ArrowRight', 'Right', 39],
+    select: ['Enter', 13],
+    back: ['Escape', 'Backspace', 'GoBack', 'BrowserBack'],
+    playPause: ['Space', 'MediaPlayPause', 'KeyK'],
+    play: ['MediaPlay'],
+    pause: ['MediaPause'],
+    stop: ['MediaStop'],
+    rewind: ['MediaRewind', 'KeyJ'],
+    fastForward: ['MediaFastForward', 'KeyL'],
+    prevEpisode: ['MediaTrackPrevious', 'KeyP'],
+    nextEpisode: ['MediaTrackNext', 'KeyN'],
+    channelUp: ['PageUp', 'ChannelUp', 427],
+    channelDown: ['PageDown', 'ChannelDown', 428],
+    guide: ['KeyG', 'Guide'],
+    search: ['/', 'BrowserSearch', 'Find'],
+    captions: ['KeyC', 'Subtitle', 'ClosedCaptionToggle'],
+    quality: ['KeyQ'],
+    speed: ['KeyS'],
+    fullscreen: ['KeyF'],
+    download: ['KeyD'],
+    cast: ['KeyR'],
+  },
+  // Samsung (keys other than the arrows must also be registered, see registerPlatformKeys)
+  tizen: {
+    back: [10009],
+    playPause: [10252],
+    play: [415],
+    pause: [19],
+    stop: [413],
+    rewind: [412],
+    fastForward: [417],
+    prevEpisode: [10232],
+    nextEpisode: [10233],
+    captions: [10221],
+    guide: [458],
+  },
+  // LG
+  webos: {
+    back: [461],
+    play: [415],
+    pause: [19],
+    stop: [413],
+    rewind: [412],
+    fastForward: [417],
+  },
+  // Android TV / Fire TV browsers and web views that pass Android key codes through
+  androidtv: {
+    playPause: [85, 179],
+    play: [126],
+    pause: [127],
+    stop: [86],
+    rewind: [89],
+    fastForward: [90],
+    prevEpisode: [88],
+    nextEpisode: [87],
+  },
+};
+
+const TIZEN_KEYS = ['MediaPlayPause', 'MediaPlay', 'MediaPause', 'MediaStop', 'MediaRewind', 'MediaFastForward',
+  'MediaTrackPrevious', 'MediaTrackNext', 'ChannelUp', 'ChannelDown', 'Caption', 'Guide'];
+
+if (params.get('platform')) localStorage.setItem('rsstv:platform', params.get('platform'));
+let keyLookup = new Map();
+
+function detectPlatform() {
+  const ua = navigator.userAgent;
+  if (/Tizen/i.test(ua)) return 'tizen';
+  if (/Web0S|webOS/i.test(ua)) return 'webos';
+  if (/Android/i.test(ua) && /\bTV\b|AFT/i.test(ua)) return 'androidtv';
+  return 'default';
+}
+
+// Tizen only delivers media and channel keys to pages that ask for them.
+function registerPlatformKeys(platform) {
+  const input = platform === 'tizen' && window.tizen && window.tizen.tvinputdevice;
+  if (!input) return;
+  TIZEN_KEYS.forEach((name) => { try { input.registerKey(name); } catch (e) {} });
+}
+
+// ?platform= (remembered per screen) beats the server's TV_PLATFORM, which beats detection.
+function useKeymap(config) {
+  const platform = localStorage.getItem('rsstv:platform') || (config && config.platform) || detectPlatform();
+  const map = Object.assign({}, KEYMAPS.default);
+  const preset = KEYMAPS[platform] || {};
+  Object.keys(preset).forEach((action) => { map[action] = map[action].concat(preset[action]); });
+  Object.assign(map, (config && config.keymap) || {});
+
+  keyLookup = new Map();
+  Object.keys(map).forEach((action) => map[action].forEach((k) => {
+    keyLookup.set((typeof k === 'number' ? 'n:' : 'k:') + k, action);
+  }));
+  registerPlatformKeys(platform);
+}
+
+function actionFor(e) {
+  return keyLookup.get('k:' + e.key) || keyLookup.get('k:' + e.code) || (e.keyCode ? keyLookup.get('n:' + e.keyCode) : undefined);
+}
+
+// -------- Focus and spatial navigation --------
+// Arrow keys move focus to the nearest control in that direction: header links, player
+// controls, chapters and playlist rows. Inside the playlist ↑↓ walk the rows (which also
+// pages in more episodes); ←→ on the timeline seek instead of moving.
+const NAV_SELECTOR = '.bar a, .ctl, .chapter, .ep';
+const controls = document.getElementById('controls');
+const timeline = document.getElementById('timeline');
+const timelineFill = document.getElementById('timelineFill');
+const timeLabel = document.getElementById('timeLabel');
+const ctlPlay = document.getElementById('ctlPlay');
+const ctlSpeed = document.getElementById('ctlSpeed');
+
+function inPlaylist(el) {
+  return !!el && (el === playlist || playlist.contains(el));
+}
+
+function isVisible(el) {
+  const r = el.getBoundingClientRect();
+  if (!r.width || !r.height) return false;
+  // Rows scrolled out of the playlist are reached by walking the list, not by jumping.
+  if (!inPlaylist(el)) return true;
+  const box = playlist.getBoundingClientRect();
+  return r.bottom > box.top && r.top < box.bottom;
+}
+
+// Distance between two ranges on the same axis, 0 when they overlap.
+function gap(a1, a2, b1, b2) {
+  return Math.max(0, b1 - a2, a1 - b2);
+}
+
+function nearestInDirection(from, dir) {
+  const r = from.getBoundingClientRect();
+  let best = null, bestScore = Infinity;
+
+  document.querySelectorAll(NAV_SELECTOR).forEach((el) => {
+    if (el === from || !isVisible(el)) return;
+    const c = el.getBoundingClientRect();
+    let along, across;
+    if (dir === 'left') { along = r.left - c.right; across = gap(r.top, r.bottom, c.top, c.bottom); }
+    else if (dir === 'right') { along = c.left - r.right; across = gap(r.top, r.bottom, c.top, c.bottom); }
+    else if (dir === 'up') { along = r.top - c.bottom; across = gap(r.left, r.right, c.left, c.right); }
+    else { along = c.top - r.bottom; across = gap(r.left, r.right, c.left, c.right); }
+    if (along < -1) return;
+
+    // Staying in line matters more than being close.
+    const score = Math.max(0, along) + across * 3;
+    if (score < bestScore) { best = el; bestScore = score; }
+  });
+  return best;
+}
+
+function focusElement(el) {
+  el.focus();
+  el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+function navigate(dir) {
+  const active = document.activeElement;
+  const onRow = !!active && active.classList.contains('ep');
+
+  if (!active || active === document.body || active === playlist) return focusRow(currentIndex);
+  if (onRow && dir === 'down') return focusRow(Math.min(currentIndex + 1, episodes.length - 1));
+  if (onRow && dir === 'up' && currentIndex > (continueIndex === -1 ? 0 : -1)) return focusRow(currentIndex - 1);
+
+  const target = nearestInDirection(active, dir);
+  if (target && inPlaylist(target)) focusRow(target.id === 'ep-continue' ? -1 : Number(target.id.slice(3)));
+  else if (target) focusElement(target);
+}
+
+// Keep currentIndex in step when a row gets focus some other way (mouse, spatial moves).
+playlist.addEventListener('focusin', (e) => {
+  const id = e.target.id || '';
+  if (id === 'ep-continue') currentIndex = -1;
+  else if (id.indexOf('ep-') === 0) currentIndex = Number(id.slice(3));
+});
+
+// ←→ seek instead of moving focus on the timeline, on the media itself and in fullscreen.
+function arrowsSeek() {
+  const active = document.activeElement;
+  return active === timeline || active === videoEl || active === audioEl || !!document.fullscreenElement;
+}
+
+// -------- Playback controls --------
+const SPEEDS = [0.75, 1, 1.25, 1.5, 1.75, 2];
+let speed = Number(localStorage.getItem('rsstv:speed')) || 1;
+
+// Live playback (linear mode, live streams) has no timeline to move along.
+function isLive() {
+  return linear || !!(playing && playing.live);
+}
+
+function togglePlay() {
+  const el = activeMedia();
+  if (linear && el.paused) return tuneLive();
+  if (!playing) return selectIndex(currentIndex);
+  el.paused ? el.play().catch(() => {}) : el.pause();
+}
+
+function seekTo(t) {
+  if (isLive() || !playing) return;
+  const el = activeMedia();
+  const end = Number.isFinite(el.duration) ? el.duration : playing.durationSeconds || Infinity;
+  el.currentTime = Math.max(0, Math.min(t, end - 1));
+  updateTimeline();
+}
+
+function seekBy(sec) {
+  if (isLive()) return flash(t('Live: nothing to seek'));
+  if (!playing) return;
+  seekTo((activeMedia().currentTime || 0) + sec);
+  flash((sec < 0 ? '−' : '+') + Math.abs(sec) + 's · ' + fmtTime(activeMedia().currentTime));
+}
+
+function applySpeed() {
+  const rate = isLive() ? 1 : speed;
+  [videoEl, audioEl].forEach((el) => {
+    el.defaultPlaybackRate = rate;
+    el.playbackRate = rate;
+  });
+  ctlSpeed.textContent = rate + '×';
+}
+
+function cycleSpeed() {
+  if (isLive()) return flash(t('Live: speed is fixed'));
+  speed = SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length];
+  localStorage.setItem('rsstv:speed', String(speed));
+  applySpeed();
+  flash(t('Speed {speed}×', { speed }));
+}
+
+function toggleFullscreen() {
+  if (document.fullscreenElement) document.exitFullscreen();
+  else if (videoEl.style.display === 'block') videoEl.requestFullscreen?.();
+  else flash(t('Fullscreen is for video episodes'));
+}
+
+// ⏮ ⏭ always change the episode; chapters are stepped with ←→ on the chapter list.
+function skip(dir) {
+  if (linear) return flash(t('Live: follows the schedule'));
+  if (dir > 0) return playNext();
+  if (playingIndex > 0) playIndex(playingIndex - 1);
+}
+
+// Back closes fullscreen, then returns focus to the playlist, then clears a search filter,
+// and finally goes back to the page we came from (guide, directory). Returning false leaves
+// the key to the browser, so a TV's own Back still exits the app from the start page.
+function goBack() {
+  if (!errorCard.hidden) return stayAfterError();
+  if (document.fullscreenElement) return document.exitFullscreen();
+  if (!inPlaylist(document.activeElement)) return focusRow(currentIndex);
+  if (filterActive()) {
+    filter = { q: '', kind: '', sort: '' };
+    applyFilter().then(() => focusRow(0));
+    return flash(t('Filter cleared'));
+  }
+  if (document.referrer && new URL(document.referrer).origin === location.origin) return history.back();
+  return false;
+}
+
+function select() {
+  const active = document.activeElement;
+  if (active === timeline) return togglePlay();
+  if (active && active !== playlist && active.matches(NAV_SELECTOR)) return active.click();
+  selectIndex(currentIndex);
+}
+
+// ←→ on the chapter list jump to the previous / next chapter, and the focus follows.
+function onChapterList() {
+  const active = document.activeElement;
+  return !linear && chapters.length > 0 && !!active && active.matches('.chapter');
+}
+
+function chapterKey(dir) {
+  const el = document.getElementById('ch-' + stepChapter(dir));
+  if (el) el.focus();
+}
+
+function arrowKey(dir, e) {
+  if (onChapterList()) return chapterKey(dir);
+  if (arrowsSeek()) return seekBy((e && e.repeat ? 30 : 10) * dir);
+  return navigate(dir < 0 ? 'left' : 'right');
+}
+
+// What each action does. A handler returning false did not use the key.
+const ACTIONS = {
+  up: () => navigate('up'),
+  down: () => navigate('down'),
+  left: (e) => arrowKey(-1, e),
+  right: (e) => arrowKey(1, e),
+  select: select,
+  back: goBack,
+  playPause: togglePlay,
+  play: () => (activeMedia().paused ? togglePlay() : undefined),
+  pause: () => activeMedia().pause(),
+  stop: () => { activeMedia().pause(); seekTo(0); },
+  seekBack: () => seekBy(-10),
+  seekForward: () => seekBy(10),
+  rewind: () => seekBy(-30),
+  fastForward: () => seekBy(30),
+  prevEpisode: () => skip(-1),
+  nextEpisode: () => skip(1),
+  channelUp: () => switchChannel(1),
+  channelDown: () => switchChannel(-1),
+  guide: () => { location.href = guideUrl(); },
+  search: openSearch,
+  captions: toggleCaptions,
+  quality: openQualityMenu,
+  speed: cycleSpeed,
+  fullscreen: toggleFullscreen,
+  download: toggleDownload,
+  cast: castMedia,
+};
+
+document.addEventListener('keydown', (e) => {
+  if (kioskKey(e)) return;
+  const action = actionFor(e);
+
+  if (qualityMenu.style.display === 'block' && qualityMenuKey(e, action)) return;
+  if (!searchOverlay.hidden && searchKey(e, action)) return;
+  if (!action || !ACTIONS[action]) return;
+  if (roomKey(action)) return e.preventDefault();
+
+  if (ACTIONS[action](e) !== false) e.preventDefault();
+});
+
+controls.querySelectorAll('[data-action]').forEach((btn) => {
+  btn.addEventListener('click', () => ACTIONS[btn.dataset.action]());
+});
+
+timeline.addEventListener('click', (e) => {
+  const r = timeline.getBoundingClientRect();
+  const el = activeMedia();
+  if (r.width && Number.isFinite(el.duration)) seekTo(((e.clientX - r.left) / r.width) * el.duration);
+});
+
+function updateTimeline() {
+  const el = activeMedia();
+  const pos = el.currentTime || 0;
+  const d = Number.isFinite(el.duration) ? el.duration : (playing && playing.durationSeconds) || 0;
+  timelineFill.style.width = isLive() ? '100%' : d ? Math.min(100, (pos / d) * 100) + '%' : '0';
+  timeLabel.textContent = isLive() ? t('LIVE') : fmtTime(pos) + (d ? ' / ' + fmtTime(d) : '');
+  timeline.setAttribute('aria-valuemax', String(Math.round(d)));
+  timeline.setAttribute('aria-valuenow', String(Math.round(pos)));
+}
+
+function updatePlayButton() {
+  const paused = activeMedia().paused;
+  ctlPlay.textContent = paused ? '▶' : '❚❚';
+  ctlPlay.setAttribute('aria-label', t(paused ? 'Play' : 'Pause'));
+  if ('mediaSession' in navigator) navigator.mediaSession.playbackState = paused ? 'paused' : 'playing';
+}
+
+// -------- Media Session --------
+// Now-playing info and transport controls for the OS, lock screens, headsets and remotes
+// that talk to the browser rather than to the page.
+let channelName = '';
+
+function updateMediaSession(ep) {
+  if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: ep.title || t('Untitled Episode'),
+    artist: channelName,
+    artwork: ep.imageUrl ? [{ src: new URL(ep.imageUrl, location.href).href }] : [],
+  });
+}
+
+function updatePositionState() {
+  if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+  const el = activeMedia();
+  if (isLive() || !Number.isFinite(el.duration) || !el.duration) return;
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: el.duration,
+      playbackRate: el.playbackRate || 1,
+      position: Math.min(el.currentTime || 0, el.duration),
+    });
+  } catch (e) {}
+}
+
+function setupMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+  const handlers = {
+    play: ACTIONS.play,
+    pause: ACTIONS.pause,
+    stop: ACTIONS.stop,
+    previoustrack: ACTIONS.prevEpisode,
+    nexttrack: ACTIONS.nextEpisode,
+    seekbackward: (d) => seekBy(-((d && d.seekOffset) || 10)),
+    seekforward: (d) => seekBy((d && d.seekOffset) || 10),
+    seekto: (d) => seekTo(d.seekTime),
+  };
+  // Browsers throw for actions they don't know.
+  Object.keys(handlers).forEach((name) => {
+    try { navigator.mediaSession.setActionHandler(name, handlers[name]); } catch (e) {}
+  });
+}
+
+useKeymap(null);
+setupMediaSession();
+
+function playNext() {
+  if (linear) return tuneLive();
+  if (following()) return; // the host moves the room on
+  const next = playingIndex + 1;
+  if (next < episodes.length) return playIndex(next);
+  // The end of what is loaded is not necessarily the end of the feed.
+  loadMore().then(() => {
+    if (next < episodes.length) playIndex(next);
+    else if (kiosk && episodes.length) playIndex(0); // kiosk screens loop the playlist
+  });
+}
+
+// Save progress every few seconds while playing, and whenever playback pauses or ends.
+let lastSavedAt = 0;
+[videoEl, audioEl].forEach((el) => {
+  el.addEventListener('timeupdate', () => {
+    if (telemetry) countWatched(el);
+    if (chapters.length) highlightChapter();
+    updateTimeline();
+    updatePositionState();
+    if (Date.now() - lastSavedAt < 5000) return;
+    lastSavedAt = Date.now();
+    recordProgress(false);
+  });
+  el.addEventListener('pause', () => {
+    recordProgress(false);
+    updatePlayButton();
+    // Ending pauses too; that is reported as "ended".
+    if (!el.ended) sendEvent('pause');
+  });
+  el.addEventListener('play', () => { updatePlayButton(); trackPlay(el); });
+  el.addEventListener('seeking', () => { lastMediaTime = null; });
+  el.addEventListener('durationchange', updateTimeline);
+  el.addEventListener('ended', () => { recordProgress(true); sendEvent('ended'); playNext(); });
+  el.addEventListener('error', () => {
+    if (el.error && el.currentSrc) handlePlaybackError(MEDIA_ERROR_CODES[el.error.code] || 'other');
+  });
+  el.addEventListener('playing', () => { failedInARow = 0; });
+});
+window.addEventListener('pagehide', () => { recordProgress(false); flushWatched(); });
+
+// -------- Search, filter and sort --------
+// "/" (or the remote's search key) opens an on-screen keyboard over the player. The playlist
+// itself shows the results and updates as you type; the filter stays on after closing.
+const searchOverlay = document.getElementById('searchOverlay');
+const searchInput = document.getElementById('searchInput');
+const searchGrid = document.getElementById('searchGrid');
+const searchStatus = document.getElementById('searchStatus');
+
+const KEY_ROWS = ['abcdefghi', 'jklmnopqr', "stuvwxyz'", '123456789'];
+const KIND_OPTIONS = [['', 'All'], ['audio', 'Audio'], ['video', 'Video']];
+const SORT_OPTIONS = [['', 'Feed order'], ['newest', 'Newest'], ['oldest', 'Oldest'], ['longest', 'Longest']];
+
+let filter = { q: '', kind: '', sort: '' };
+let searchRows = []; // the keyboard's buttons row by row, for D-pad movement
+let searchPos = { row: 0, col: 0 };
+let searchTimer = null;
+let searchRequest = 0;
+
+function filterActive() {
+  return !!(filter.q || filter.kind || filter.sort);
+}
+
+function optionLabel(options, value) {
+  return t((options.find((o) => o[0] === value) || ['', ''])[1]);
+}
+
+function filterMarkup() {
+  if (!filterActive()) return '';
+  const parts = [];
+  if (filter.q) parts.push('“' + filter.q + '”');
+  if (filter.kind) parts.push(optionLabel(KIND_OPTIONS, filter.kind));
+  if (filter.sort) parts.push(optionLabel(SORT_OPTIONS, filter.sort));
+  return '<div class="season">' + esc(parts.join(' · ') + ' — ' + t('{n} found • / to change', { n: totalEpisodes })) + '</div>';
+}
+
+function buildKeyboard() {
+  const key = (action, label, cls) =>
+    '<button type="button" class="key' + (cls ? ' ' + cls : '') + '" data-action="' + esc(action) + '">' + esc(label) + '</button>';
+  const rows = KEY_ROWS.map((r) => r.split('').map((c) => key('char:' + c, c)));
+  rows.push([key('char:0', '0'), key('char: ', t('Space'), 'wide'), key('back', '⌫'), key('clear', t('Clear')), key('done', t('Done'), 'wide')]);
+  rows.push(KIND_OPTIONS.map((o) => key('kind:' + o[0], t(o[1]), 'chip')));
+  rows.push(SORT_OPTIONS.map((o) => key('sort:' + o[0], t(o[1]), 'chip')));
+
+  searchGrid.innerHTML = rows.map((r) => '<div class="keyRow">' + r.join('') + '</div>').join('');
+  searchRows = Array.from(searchGrid.querySelectorAll('.keyRow')).map((row) => Array.from(row.querySelectorAll('button')));
+  searchRows.forEach((row, r) => row.forEach((btn, c) => {
+    btn.addEventListener('click', () => { searchPos = { row: r, col: c }; searchAction(btn.dataset.action); });
+  }));
+}
+
+function updateSearchUi() {
+  searchInput.textContent = filter.q;
+  searchGrid.querySelectorAll('.chip').forEach((btn) => {
+    const [name, value] = btn.dataset.action.split(':');
+    btn.classList.toggle('on', filter[name] === value);
+  });
+}
+
+function searchAction(action) {
+  const sep = action.indexOf(':');
+  const name = sep === -1 ? action : action.slice(0, sep);
+  const value = sep === -1 ? '' : action.slice(sep + 1);
+
+  if (name === 'done') return closeSearch();
+  if (name === 'char') filter.q = (filter.q + value).slice(0, 100);
+  else if (name === 'back') filter.q = filter.q.slice(0, -1);
+  else if (name === 'clear') filter = { q: '', kind: '', sort: '' };
+  else if (name === 'kind' || name === 'sort') filter[name] = value;
+
+  updateSearchUi();
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(applyFilter, 250);
+}
+
+async function applyFilter() {
+  searchTimer = null;
+  const request = ++searchRequest;
+  searchStatus.textContent = t('Searching…');
+  try {
+    const data = await fetchEpisodes(0);
+    // Only the answer to the latest keystroke counts.
+    if (request !== searchRequest) return;
+    useEpisodes(data);
+    renderPlaylist();
+    if (playingIndex >= 0) setActive(playingIndex);
+    const n = data.paging.total;
+    searchStatus.textContent = n ? t(n === 1 ? '{n} episode' : '{n} episodes', { n }) : t('No episodes match');
+  } catch (e) {
+    if (request === searchRequest) searchStatus.textContent = e.message;
+  }
+}
+
+function openSearch() {
+  if (linear) {
+    flash(t('Search is not available in live mode'));
+    return;
+  }
+  if (!searchRows.length) buildKeyboard();
+  updateSearchUi();
+  searchStatus.textContent = '';
+  searchOverlay.hidden = false;
+  searchRows[searchPos.row][searchPos.col].focus();
+}
+
+function closeSearch() {
+  searchOverlay.hidden = true;
+  if (searchTimer) {
+    clearTimeout(searchTimer);
+    applyFilter().then(() => focusRow(0));
+  } else {
+    focusRow(0);
+  }
+}
+
+function moveSearchFocus(dRow, dCol) {
+  let { row, col } = searchPos;
+  if (dRow) {
+    const from = searchRows[row].length - 1;
+    row = Math.max(0, Math.min(row + dRow, searchRows.length - 1));
+    // Keep roughly the same horizontal position between rows of different widths.
+    col = Math.round((col / Math.max(1, from)) * (searchRows[row].length - 1));
+  } else {
+    col = Math.max(0, Math.min(col + dCol, searchRows[row].length - 1));
+  }
+  searchPos = { row, col };
+  searchRows[row][col].focus();
+}
+
+// Keys while the search overlay is open. Physical keyboards can type straight into it.
+function searchKey(e, action) {
+  if (e.code === 'Backspace') filter.q ? searchAction('back') : closeSearch();
+  else if (action === 'back') closeSearch();
+  else if (action === 'up') moveSearchFocus(-1, 0);
+  else if (action === 'down') moveSearchFocus(1, 0);
+  else if (action === 'left') moveSearchFocus(0, -1);
+  else if (action === 'right') moveSearchFocus(0, 1);
+  else if (action === 'select') searchRows[searchPos.row][searchPos.col].click();
+  else if (e.key && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) searchAction('char:' + e.key.toLowerCase());
+  else return false;
+
+  e.preventDefault();
+  return true;
+}
+
+// -------- Offline --------
+// The service worker keeps the page and the last episode lists, and plays downloaded and
+// prefetched episodes from the Cache API. D (or ⬇) downloads the focused or playing episode, or
+// removes its download. While an episode plays, the next one is prefetched, so a dropped
+// connection doesn't stop the playlist. Neither may take the storage past QUOTA_SHARE.
+const MEDIA_CACHE = 'rsstv-media';
+const PREFETCH_CACHE = 'rsstv-prefetch';
+const DOWNLOADS_KEY = 'rsstv:downloads';
+const QUOTA_SHARE = 0.9;
+const PREFETCH_AFTER_S = 30; // seconds into an episode before the next one is fetched
+const PREFETCH_MAX_BYTES = 500 * 1024 * 1024;
+const ctlDownload = document.getElementById('ctlDownload');
+
+let offline = false; // set once the service worker is registered
+let downloads = {}; // episode ID -> { url, title, bytes, at }
+let downloading = {}; // episode ID -> true while its download runs
+let prefetched = ''; // episode ID of the last prefetch
+
+try { downloads = JSON.parse(localStorage.getItem(DOWNLOADS_KEY) || '{}'); } catch (e) {}
+
+function registerServiceWorker(enabled) {
+  if (!('serviceWorker' in navigator)) return;
+  if (!enabled) {
+    navigator.serviceWorker.getRegistrations()
+      .then((regs) => regs.forEach((reg) => reg.unregister()))
+      .catch(() => {});
+    return;
+  }
+  navigator.serviceWorker.register('/sw.js')
+    .then(() => {
+      offline = typeof caches !== 'undefined';
+      ctlDownload.hidden = !offline;
+      if (offline) return checkDownloads();
+    })
+    .catch(() => {});
+}
+
+// The browser may have evicted downloads to free space; forget those.
+async function checkDownloads() {
+  const cached = (await (await caches.open(MEDIA_CACHE)).keys()).map((req) => req.url);
+  const gone = Object.keys(downloads).filter((id) => cached.indexOf(new URL(downloads[id].url, location.href).href) === -1);
+  if (!gone.length) return;
+  gone.forEach((id) => { delete downloads[id]; });
+  saveDownloads();
+  renderPlaylist();
+  if (playingIndex >= 0) setActive(playingIndex);
+}
+
+function downloadMarkup(ep) {
+  if (downloading[ep.id]) return '<span class="pill">⬇ ' + t('Downloading…') + '</span>';
+  return downloads[ep.id] ? '<span class="pill offline">⬇ ' + t('Offline') + '</span>' : '';
+}
+
+function updateDownloadPill(ep) {
+  const i = episodes.findIndex((e) => e.id === ep.id);
+  const el = document.getElementById('dl-' + i);
+  if (el) el.innerHTML = downloadMarkup(ep);
+}
+
+function saveDownloads() {
+  try { localStorage.setItem(DOWNLOADS_KEY, JSON.stringify(downloads)); } catch (e) {}
+}
+
+async function storageLeft() {
+  if (!navigator.storage || !navigator.storage.estimate) return Infinity;
+  const est = await navigator.storage.estimate();
+  return (est.quota || 0) * QUOTA_SHARE - (est.usage || 0);
+}
+
+// Stores an episode's whole file in `cacheName` under the URL the player asks for.
+async function saveMedia(ep, cacheName, maxBytes) {
+  let r;
+  try {
+    r = await fetch(ep.mediaUrl, { credentials: 'omit' });
+  } catch (e) {
+    // Mostly CORS: the host doesn't let pages read its files. MEDIA_PROXY=1 serves them from here.
+    throw new Error(t('This episode\'s host doesn\'t allow downloads'));
+  }
+  if (!r.ok) throw new Error(t('Download failed (HTTP {status})', { status: r.status }));
+  const bytes = Number(r.headers.get('Content-Length')) || 0;
+  if (bytes > Math.min(maxBytes || Infinity, await storageLeft())) {
+    if (r.body) r.body.cancel().catch(() => {});
+    throw new Error(t('Not enough storage for this episode'));
+  }
+  try {
+    await (await caches.open(cacheName)).put(ep.mediaUrl, r);
+  } catch (e) {
+    throw new Error(t(e.name === 'QuotaExceededError' ? 'Not enough storage for this episode' : 'Download failed'));
+  }
+  return { url: ep.mediaUrl, title: ep.title || '', bytes, at: Date.now() };
+}
+
+function toggleDownload() {
+  const ep = inPlaylist(document.activeElement) && currentIndex >= 0 ? episodes[currentIndex] : playing;
+  if (!ep) return;
+  if (!offline) return flash(t('Downloads need the page on https://'));
+  if (ep.streamFormat || ep.live) return flash(t('Streams can\'t be downloaded'));
+  if (downloading[ep.id]) return flash(t('Already downloading'));
+
+  if (downloads[ep.id]) {
+    const url = downloads[ep.id].url;
+    delete downloads[ep.id];
+    saveDownloads();
+    updateDownloadPill(ep);
+    caches.open(MEDIA_CACHE).then((cache) => cache.delete(url)).catch(() => {});
+    return flash(t('Download removed'));
+  }
+
+  downloading[ep.id] = true;
+  updateDownloadPill(ep);
+  flash(t('Downloading {title}…', { title: ep.title || t('episode') }));
+  // Asks the browser not to evict downloads when space runs low.
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+  saveMedia(ep, MEDIA_CACHE)
+    .then((entry) => {
+      downloads[ep.id] = entry;
+      saveDownloads();
+      flash(t('Saved for offline: {title}', { title: ep.title || t('episode') }), 3000);
+    })
+    .catch((e) => flash(e.message, 4000))
+    .finally(() => {
+      delete downloading[ep.id];
+      updateDownloadPill(ep);
+    });
+}
+
+// Keeps just the playing and the next episode in the prefetch cache.
+async function prefetchNext() {
+  const next = episodes[playingIndex + 1];
+  if (!offline || linear || following() || !next || prefetched === next.id) return;
+  prefetched = next.id;
+  if (next.streamFormat || next.live || downloads[next.id]) return;
+  if (navigator.connection && navigator.connection.saveData) return;
+  try {
+    const cache = await caches.open(PREFETCH_CACHE);
+    const keep = [playing && playing.mediaUrl, next.mediaUrl].map((u) => u && new URL(u, location.href).href);
+    for (const req of await cache.keys()) {
+      if (keep.indexOf(req.url) === -1) await cache.delete(req);
+    }
+    if (await cache.match(next.mediaUrl)) return;
+    await saveMedia(next, PREFETCH_CACHE, PREFETCH_MAX_BYTES);
+  } catch (e) {}
+}
+
+[videoEl, audioEl].forEach((el) => {
+  el.addEventListener('timeupdate', () => {
+    if (offline && el.currentTime > PREFETCH_AFTER_S) prefetchNext();
+  });
+});
+
+// -------- Casting --------
+// The Remote Playback API (Chromecast in Chrome, AirPlay in Safari) hands the playing element's
+// media URL and position to a device on the network, which plays on from there while the
+// controls here keep working. Streams played through hls.js or dash.js can't be handed over;
+// the browser reports no devices for them.
+const ctlCast = document.getElementById('ctlCast');
+
+const castDevices = {}; // media element ID -> whether a device can play its current source
+
+function watchCastAvailability() {
+  [videoEl, audioEl].forEach((el) => {
+    if (!el.remote) return;
+    el.remote.watchAvailability((available) => {
+      castDevices[el.id] = available;
+      updateCastButton();
+    }).catch(() => {
+      // No background discovery on this browser (Android Chrome): prompt() still finds devices.
+      castDevices[el.id] = true;
+      updateCastButton();
+    });
+    el.remote.addEventListener('connect', () => flash(t('Casting to your device')));
+    el.remote.addEventListener('disconnect', () => flash(t('Casting stopped')));
+  });
+}
+
+function updateCastButton() {
+  ctlCast.hidden = !castDevices[activeMedia().id];
+}
+
+// Opens the browser's device picker; while casting, the same picker stops it.
+function castMedia() {
+  const el = activeMedia();
+  if (!el.remote || !playing) return flash(t('Casting is not available here'));
+  el.remote.prompt().catch((err) => {
+    if (err.name === 'NotFoundError') flash(t('No cast devices found'));
+    else if (err.name === 'NotSupportedError') flash(t('This episode can\'t be cast'));
+    // NotAllowedError / AbortError: the picker was closed
+  });
+}
+
+// -------- Kiosk mode --------
+// For unattended screens (KIOSK=1, or ?kiosk=1 on one screen): no header bar, muted autoplay,
+// the playlist loops, KIOSK_RULES_FILE rules pick what plays when, and a clock screensaver
+// with the channel's artwork covers the screen while nothing plays.
+const screensaver = document.getElementById('screensaver');
+const saverBox = document.getElementById('saverBox');
+const saverArt = document.getElementById('saverArt');
+const saverClock = document.getElementById('saverClock');
+const saverDate = document.getElementById('saverDate');
+const saverChannel = document.getElementById('saverChannel');
+
+let kiosk = false;
+let kioskRules = []; // [{ days, from, to, kind, channel, screensaver }], see lib/kiosk.js
+let kioskRule = null; // the rule in force
+let screensaverAfterMs = 0;
+let saverForced = false; // shown by a rule, so keys don't dismiss it
+let saverTimer = null;
+let saverTicks = 0;
+let lastInputAt = Date.now();
+
+// ?kiosk=1 / ?kiosk=0 is remembered by the screen; otherwise the server's KIOSK decides.
+function kioskWanted(config) {
+  if (params.has('kiosk')) localStorage.setItem('rsstv:kiosk', params.get('kiosk') === '0' ? '0' : '1');
+  const saved = localStorage.getItem('rsstv:kiosk');
+  return saved === null ? !!config.kiosk.enabled : saved === '1';
+}
+
+// The first rule covering `now`. The hours after midnight of a window like 22:00–07:00 belong
+// to the day it started on.
+function ruleAt(now) {
+  const day = now.getDay();
+  const min = now.getHours() * 60 + now.getMinutes();
+  return kioskRules.find((r) => {
+    if (r.from <= r.to) return r.days.indexOf(day) !== -1 && min >= r.from && min < r.to;
+    if (min >= r.from) return r.days.indexOf(day) !== -1;
+    return min < r.to && r.days.indexOf((day + 6) % 7) !== -1;
+  }) || null;
+}
+
+function playFromStart() {
+  if (linear) return tuneLive();
+  if (episodes.length) playIndex(0);
+}
+
+// Follows the rule in force; runs at start and then every minute.
+async function applyKioskRule(start) {
+  const rule = ruleAt(new Date());
+  if (!start && rule === kioskRule) return;
+  kioskRule = rule;
+
+  if (rule && rule.channel && rule.channel !== lineup[channelIndex] && lineup.indexOf(rule.channel) !== -1) {
+    location.href = '/channel/' + encodeURIComponent(rule.channel);
+    return;
+  }
+  let restart = start || saverForced;
+  const kind = (rule && rule.kind) || '';
+  if (kind !== filter.kind && !linear) {
+    filter.kind = kind;
+    await applyFilter();
+    restart = true;
+  }
+  if (rule && rule.screensaver) {
+    activeMedia().pause();
+    return showScreensaver(true);
+  }
+  hideScreensaver();
+  if (restart) playFromStart();
+}
+
+function showScreensaver(forced) {
+  saverForced = !!forced;
+  if (!screensaver.hidden) return;
+  screensaver.hidden = false;
+  saverTicks = 0;
+  updateScreensaver();
+  saverTimer = setInterval(updateScreensaver, 15000);
+}
+
+function hideScreensaver() {
+  saverForced = false;
+  if (screensaver.hidden) return;
+  screensaver.hidden = true;
+  clearInterval(saverTimer);
+}
+
+// The clock every 15 seconds; other artwork and another spot every minute, so nothing burns in.
+function updateScreensaver() {
+  const now = new Date();
+  saverClock.textContent = now.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+  saverDate.textContent = now.toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'long' });
+  saverChannel.textContent = channelName;
+  if (saverTicks++ % 4) return;
+  const withArt = episodes.filter((ep) => ep.imageUrl);
+  const ep = withArt[Math.floor(Math.random() * withArt.length)];
+  saverArt.hidden = !ep;
+  if (ep) saverArt.src = ep.imageUrl;
+  saverBox.style.left = Math.round(5 + Math.random() * 45) + '%';
+  saverBox.style.top = Math.round(5 + Math.random() * 45) + '%';
+}
+
+// Idle means nothing playing and no key pressed for SCREENSAVER_AFTER_MS.
+function checkIdle() {
+  if (!screensaver.hidden || !screensaverAfterMs) return;
+  if (playing && !activeMedia().paused) return;
+  if (Date.now() - lastInputAt >= screensaverAfterMs) showScreensaver(false);
+}
+
+// A key press only wakes the screen up. A rule's screensaver stays until the rule ends.
+function kioskKey(e) {
+  lastInputAt = Date.now();
+  if (screensaver.hidden) return false;
+  e.preventDefault();
+  if (!saverForced) hideScreensaver();
+  return true;
+}
+
+function startKiosk(config) {
+  kiosk = true;
+  kioskRules = config.kiosk.rules || [];
+  screensaverAfterMs = config.kiosk.screensaverAfterMs || 0;
+  document.body.classList.add('kiosk');
+  // Browsers only autoplay without a user gesture when the media is muted.
+  videoEl.muted = true;
+  audioEl.muted = true;
+  [videoEl, audioEl].forEach((el) => {
+    el.addEventListener('play', () => { if (!saverForced) hideScreensaver(); });
+  });
+  setInterval(checkIdle, 5000);
+  setInterval(() => applyKioskRule(false), 60000);
+  return applyKioskRule(true);
+}
+
+// -------- Phone remote --------
+// With REMOTE_CONTROL=1 a named screen (?screen=lobby, remembered; ?screen= forgets it) takes
+// commands from /remote over Server-Sent Events and reports back what it is playing. The server's
+// REMOTE_TOKEN comes once with ?token= and is remembered too, then taken out of the address bar.
+let screenName = '';
+let stateTimer = null;
+
+function screenWanted() {
+  if (params.has('screen')) localStorage.setItem('rsstv:screen', params.get('screen'));
+  if (params.has('token')) {
+    localStorage.setItem('rsstv:remoteToken', params.get('token'));
+    const url = new URL(location.href);
+    url.searchParams.delete('token');
+    history.replaceState(history.state, '', url);
+  }
+  return localStorage.getItem('rsstv:screen') || '';
+}
+
+function remoteQuery() {
+  return 'token=' + encodeURIComponent(localStorage.getItem('rsstv:remoteToken') || '');
+}
+
+function reportState() {
+  clearTimeout(stateTimer);
+  stateTimer = null;
+  const el = activeMedia();
+  beacon('/api/remote/state?' + remoteQuery(), {
+    screen: screenName,
+    channel: lineup[channelIndex] || '',
+    channelName,
+    title: playing ? playing.title || '' : '',
+    paused: !playing || el.paused,
+    muted: el.muted,
+    kiosk,
+  });
+}
+
+// Switching episodes pauses and plays again; one report covers both.
+function scheduleStateReport() {
+  if (!stateTimer) stateTimer = setTimeout(reportState, 500);
+}
+
+function runRemoteCommand(cmd) {
+  lastInputAt = Date.now();
+  if (!saverForced) hideScreensaver();
+  if (cmd.command === 'channel') {
+    if (cmd.value !== lineup[channelIndex]) location.href = '/channel/' + encodeURIComponent(cmd.value);
+    return;
+  }
+  if (cmd.command === 'mute') {
+    const muted = !activeMedia().muted;
+    videoEl.muted = muted;
+    audioEl.muted = muted;
+    return flash(t(muted ? 'Sound off' : 'Sound on'));
+  }
+  if (ACTIONS[cmd.command]) ACTIONS[cmd.command]();
+}
+
+function connectRemote(name) {
+  if (!name || typeof EventSource === 'undefined') return;
+  screenName = name;
+  const source = new EventSource('/api/remote/events?screen=' + encodeURIComponent(name) + '&' + remoteQuery());
+  source.addEventListener('command', (e) => {
+    let cmd;
+    try { cmd = JSON.parse(e.data); } catch (err) { return; }
+    runRemoteCommand(cmd);
+  });
+  // Again after every reconnect: a restarted server has forgotten the screen.
+  source.addEventListener('open', reportState);
+  [videoEl, audioEl].forEach((el) => {
+    ['play', 'pause', 'volumechange'].forEach((type) => el.addEventListener(type, scheduleStateReport));
+  });
+}
+
+// -------- Watch party --------
+// With WATCH_PARTY=1, screens opened with ?room=NAME play in lockstep. The first screen in the
+// room hosts: its episode changes, play, pause, seeks and speed go to the others through the
+// server, and they follow, correcting drift against the server clock.
+const roomBadge = document.getElementById('roomBadge');
+
+const DRIFT_SEEK = 1.5; // seconds off before a follower jumps to the host's position
+const DRIFT_NUDGE = 0.25; // seconds off before it plays a little faster or slower to catch up
+const NUDGE = 0.05;
+const HOST_HEARTBEAT_MS = 10000;
+const FOLLOW_CHECK_MS = 2000;
+// Followers leave these to the host; play/pause (re)joins the room's playback instead.
+const HOST_ACTIONS = ['stop', 'seekBack', 'seekForward', 'rewind', 'fastForward', 'prevEpisode', 'nextEpisode', 'speed'];
+
+let room = '';
+let roomViewer = ''; // this screen's ID in the room
+let roomHost = false;
+let roomState = null; // the host's last state: { episodeId, feedQuery, position, playing, rate, at }
+let roomViewers = 0;
+let clockOffset = 0; // server clock minus ours, in ms
+let roomFinding = false;
+
+function following() {
+  return !!room && !roomHost;
+}
+
+function serverNow() {
+  return Date.now() + clockOffset;
+}
+
+// The sample with the shortest round trip wins; the server read its clock about halfway through.
+async function syncClock() {
+  let best = Infinity;
+  for (let i = 0; i < 3; i++) {
+    try {
+      const sent = Date.now();
+      const r = await fetch('/api/time', { cache: 'no-store' });
+      const now = (await r.json()).now;
+      const rtt = Date.now() - sent;
+      if (rtt < best) {
+        best = rtt;
+        clockOffset = now + rtt / 2 - Date.now();
+      }
+    } catch (e) {}
+  }
+}
+
+function updateRoomBadge() {
+  roomBadge.hidden = !room;
+  roomBadge.textContent = t(roomViewers === 1 ? '{n} viewer in room {room}' : '{n} viewers in room {room}', { n: roomViewers, room }) +
+    (roomHost ? ' · ' + t('host') : '');
+}
+
+function publishRoomState() {
+  if (!room || !roomHost || !playing) return;
+  const el = activeMedia();
+  fetch('/api/rooms/' + encodeURIComponent(room) + '/state', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      viewerId: roomViewer,
+      episodeId: playing.id,
+      feedQuery,
+      position: el.currentTime || 0,
+      playing: !el.paused,
+      rate: el.playbackRate || 1,
+    }),
+  }).catch(() => {});
+}
+
+// Where the host is now, going by its last report.
+function hostPosition(s) {
+  return s.position + (s.playing ? ((serverNow() - s.at) / 1000) * s.rate : 0);
+}
+
+// Loads the host's feed and episode when this screen shows something else, then syncs.
+async function followRoom() {
+  const s = roomState;
+  if (!following() || !s || roomFinding) return;
+  if (s.feedQuery && s.feedQuery !== feedQuery) {
+    location.href = '/?' + s.feedQuery + '&room=' + encodeURIComponent(room);
+    return;
+  }
+  if (!playing || playing.id !== s.episodeId) {
+    roomFinding = true;
+    const i = await findEpisode(s.episodeId);
+    roomFinding = false;
+    if (i === -1) return flash(t('The host\'s episode is not in this list'));
+    if (s !== roomState) return followRoom();
+    playIndex(i, hostPosition(s));
+  }
+  correctDrift();
+}
+
+function correctDrift() {
+  const s = roomState;
+  if (!following() || !s || !playing || playing.id !== s.episodeId) return;
+  const el = activeMedia();
+  if (el.readyState < 1) return;
+
+  if (!s.playing) {
+    if (!el.paused) el.pause();
+    if (Math.abs(el.currentTime - s.position) > DRIFT_NUDGE) el.currentTime = s.position;
+    return;
+  }
+  if (el.paused) {
+    el.play().catch(() => { epMeta.textContent = t('Press ENTER to join the room'); });
+  }
+  const target = hostPosition(s);
+  const drift = el.currentTime - target;
+  if (Math.abs(drift) > DRIFT_SEEK) {
+    el.currentTime = target;
+    el.playbackRate = s.rate;
+  } else if (Math.abs(drift) > DRIFT_NUDGE) {
+    el.playbackRate = s.rate * (drift > 0 ? 1 - NUDGE : 1 + NUDGE);
+  } else {
+    el.playbackRate = s.rate;
+  }
+}
+
+// Followers' playback keys: play/pause rejoins the room, the rest belongs to the host.
+function roomKey(action) {
+  if (!following()) return false;
+  if (action === 'playPause' || action === 'play') {
+    followRoom();
+    return true;
+  }
+  if (HOST_ACTIONS.indexOf(action) === -1) return false;
+  flash(t('The room\'s host controls playback'));
+  return true;
+}
+
+async function joinRoom(name) {
+  if (!name || typeof EventSource === 'undefined') return;
+  if (linear) return flash(t('Live channels are in sync already'));
+  room = name;
+  await syncClock();
+
+  const source = new EventSource('/api/rooms/' + encodeURIComponent(name) + '/events');
+  const on = (type, handler) => source.addEventListener(type, (e) => {
+    let data;
+    try { data = JSON.parse(e.data); } catch (err) { return; }
+    handler(data);
+  });
+  // Also after a reconnect, which makes this screen a new viewer.
+  on('hello', (d) => {
+    roomViewer = d.viewerId;
+    roomHost = d.host;
+    roomViewers = d.viewers;
+    roomState = d.state;
+    updateRoomBadge();
+    if (roomHost) publishRoomState();
+    else followRoom();
+  });
+  on('viewers', (d) => {
+    roomViewers = d.count;
+    updateRoomBadge();
+  });
+  on('host', () => {
+    roomHost = true;
+    updateRoomBadge();
+    flash(t('You are the room\'s host now'));
+    applySpeed();
+    publishRoomState();
+  });
+  on('state', (d) => {
+    roomState = d.state;
+    followRoom();
+  });
+
+  // A freshly loaded source fires seeked too (resume position), so that is covered as well.
+  [videoEl, audioEl].forEach((el) => {
+    ['play', 'pause', 'seeked', 'ratechange'].forEach((type) => el.addEventListener(type, () => {
+      if (roomHost && el === activeMedia()) publishRoomState();
+    }));
+  });
+  setInterval(() => {
+    if (roomHost && playing && !activeMedia().paused) publishRoomState();
+  }, HOST_HEARTBEAT_MS);
+  setInterval(correctDrift, FOLLOW_CHECK_MS);
+}
+
+// -------- Loading the feed --------
+// Which feed this page shows, as /api/episodes.json parameters: /channel/SLUG, or ?rss= / ?channel= on /.
+function sourceQuery() {
+  const q = new URLSearchParams();
+  const m = location.pathname.match(/^\/channel\/([^/]+)/);
+  if (m) q.set('channel', decodeURIComponent(m[1]));
+  else ['rss', 'channel'].forEach((k) => { if (params.get(k)) q.set(k, params.get(k)); });
+  if (params.get('mode')) q.set('mode', params.get('mode'));
+  return q;
+}
+
+async function fetchEpisodes(offset) {
+  const q = sourceQuery();
+  Object.keys(filter).forEach((k) => { if (filter[k]) q.set(k, filter[k]); });
+  if (offset) q.set('offset', offset);
+  else if (params.get('refresh') === '1') q.set('refresh', '1');
+
+  const r = await fetch('/api/episodes.json?' + q);
+  if (r.headers.get('X-Offline-Copy')) flash(t('Offline: showing the list saved on this screen'), 4000);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const err = new Error(data.error || t('Could not load the feed'));
+    err.cause = data.cause;
+    throw err;
+  }
+  return data;
+}
+
+// Replaces the playlist with the first page of a (new) list.
+function useEpisodes(data) {
+  listVersion++;
+  episodes = data.episodes;
+  totalEpisodes = data.paging.total;
+  nextOffset = data.paging.nextOffset;
+  playingIndex = playing ? episodes.findIndex((ep) => ep.id === playing.id) : -1;
+  currentIndex = 0;
+}
+
+// Appends the next page of episodes; called when the focus or the scroll position nears the end.
+let loading = null;
+let listVersion = 0; // bumped whenever the list is replaced, so late pages of an old list are dropped
+function loadMore() {
+  if (nextOffset === null) return Promise.resolve();
+  if (!loading) {
+    const version = listVersion;
+    loading = fetchEpisodes(nextOffset)
+      .then((data) => {
+        if (version !== listVersion) return;
+        episodes = episodes.concat(data.episodes);
+        totalEpisodes = data.paging.total;
+        nextOffset = data.paging.nextOffset;
+
+        const hadFocus = playlist.contains(document.activeElement);
+        renderPlaylist();
+        if (playingIndex >= 0) setActive(playingIndex);
+        if (hadFocus) {
+          const el = document.getElementById(rowId(currentIndex));
+          if (el) el.focus({ preventScroll: true });
+        }
+      })
+      .catch(() => flash(t('Could not load more episodes')))
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+// Index of an episode in the list, loading further pages (up to MAX_PAGES_TO_FIND) until it
+// turns up; -1 if it doesn't.
+const MAX_PAGES_TO_FIND = 10;
+async function findEpisode(id) {
+  let i = episodes.findIndex((ep) => ep.id === id);
+  for (let pages = 0; i === -1 && nextOffset !== null && pages < MAX_PAGES_TO_FIND; pages++) {
+    await loadMore();
+    i = episodes.findIndex((ep) => ep.id === id);
+  }
+  return i;
+}
+
+// Deep links from episode pages and shared URLs: ?ep=ID plays that episode, from &t=SECONDS if
+// given (else from where this screen left off). Returns whether it found the episode.
+async function openDeepLink(id, startAt) {
+  const i = await findEpisode(id);
+  if (i === -1) {
+    flash(t('The linked episode is not in this feed'), 4000);
+    return false;
+  }
+  playIndex(i, startAt);
+  return true;
+}
+
+playlist.addEventListener('scroll', () => {
+  if (playlist.scrollTop + playlist.clientHeight > playlist.scrollHeight - 600) loadMore();
+});
+
+function showChannelInfo(config, feed) {
+  const channel = config.lineup[channelIndex];
+  const name = params.get('name') || (channel && channel.name) || feed.title || t('TV Channel');
+  const label = channel && lineup.length > 1 ? t('CH {n}', { n: channelIndex + 1 }) + ' · ' : '';
+
+  channelName = name;
+  document.title = name;
+  channelTitle.textContent = label + name;
+  document.getElementById('feedUrl').textContent = feed.rssUrl;
+  document.getElementById('guideLink').href = guideUrl();
+  document.getElementById('modeNote').innerHTML = linear
+    ? esc(t('LIVE schedule')) + ' (<code>?mode=ondemand</code> ' + esc(t('to browse')) + ')'
+    : esc(t('On demand')) + ' (<code>?mode=linear</code> ' + esc(t('for live')) + ')';
+  document.getElementById('channelCount').textContent = t(lineup.length === 1 ? '{n} channel' : '{n} channels', { n: lineup.length });
+  document.querySelectorAll('.rssHint').forEach((el) => { el.hidden = !config.allowQueryRss; });
+}
+
+async function boot() {
+  let config, data;
+  const stringsLoaded = loadStrings();
+  try {
+    [config, data] = await Promise.all([
+      fetch('/api/config.json').then((r) => r.json()),
+      fetchEpisodes(0),
+      stringsLoaded,
+    ]);
+  } catch (e) {
+    await stringsLoaded;
+    channelTitle.textContent = t('TV Channel');
+    epTitle.textContent = e.message;
+    showFeedError(e);
+    return;
+  }
+
+  useKeymap(config);
+  applyAppearance(config.appearance);
+  lineup = config.lineup.map((ch) => ch.slug);
+  progressSync = config.progressSync;
+  telemetry = !!config.telemetry;
+  viewer = progressSync ? (localStorage.getItem('rsstv:viewer') || '') : '';
+
+  useEpisodes(data);
+  linear = data.mode === 'linear';
+  feedQuery = data.feed.query;
+  channelIndex = data.feed.channel ? lineup.indexOf(data.feed.channel) : -1;
+  showChannelInfo(config, data.feed);
+  if (data.feed.stale) showStaleNotice(data.feed.stale);
+
+  renderPlaylist();
+  if (viewer) syncProgress();
+  if (config.remoteControl) connectRemote(screenWanted());
+  if (config.watchParty && params.get('room')) joinRoom(params.get('room'));
+  registerServiceWorker(config.offline);
+  watchCastAvailability();
+  if (kioskWanted(config)) return startKiosk(config);
+
+  if (linear) return tuneLive();
+  const deepLink = !params.get('room') && params.get('ep');
+  if (deepLink && await openDeepLink(deepLink, Number(params.get('t')) > 0 ? Number(params.get('t')) : undefined)) return;
+
+  if (episodes.length > 0) {
+    // Highlight the episode to continue (or the first one) without autoplay
+    const start = continueIndex === -1 ? 0 : continueIndex;
+    setActive(start);
+    if (continueIndex !== -1) focusRow(-1);
+    const ep = episodes[start];
+    epTitle.textContent = ep.title || t('Untitled Episode');
+    epDesc.textContent = ep.description || '';
+    epMeta.textContent = [fmtDate(ep.date), ep.mediaType].filter(Boolean).join(' • ');
+    showArtwork(ep.imageUrl);
+    showPeople(ep);
+  } else {
+    epTitle.textContent = t('No playable episodes in this feed');
+  }
+}
+
+boot();
@@ -3,14 +3,72 @@ const Parser = require("rss-parser");
 const helmet = require("helmet");
 const compression = require("compression");
 const crypto = require("crypto");
-const net = require("net");
+const path = require("path");
+const { loadLineup, normalizeLineup } = require("./lib/channels");
+const { parseDuration, buildSchedule } = require("./lib/schedule");
+const { createProgressStore } = require("./lib/progress");
+const { safeFetch, safeStream, FetchError, isPrivateAddress, isXmlContentType } = require("./lib/safe-fetch");
+const { createFeedCache } = require("./lib/feed-cache");
+const {
+  ITEM_FIELDS,
+  FEED_FIELDS,
+  pickPodcastFields,
+  normalizeChapters,
+  normalizeAlternateEnclosures,
+} = require("./lib/podcast");
+const { pickCaptionTranscript, toVtt } = require("./lib/captions");
+const { parseOpml, toOpml } = require("./lib/opml");
+const { createDirectory } = require("./lib/directory");
+const { loadKeymap, checkPlatform } = require("./lib/keymap");
+const { toRss, toJsonFeed } = require("./lib/output-feed");
+const { createSettingsStore } = require("./lib/settings");
+const { createMemoryStore, createRateLimiter } = require("./lib/rate-limit");
+const { createLogger } = require("./lib/logger");
+const { createRegistry } = require("./lib/metrics");
+const { createTelemetryStore } = require("./lib/telemetry");
+const { loadKioskRules } = require("./lib/kiosk");
+const { openEventStream } = require("./lib/sse");
+const { createRemoteHub } = require("./lib/remote");
+const { createRoomHub } = require("./lib/rooms");
+const {
+  ITEM_FIELDS: FORMAT_ITEM_FIELDS,
+  isPlayable,
+  normalizeXmlFeed,
+  parseJsonFeed,
+  parseM3u,
+  detectFeedFormat,
+  isFeedContentType,
+} = require("./lib/feed-formats");
+const { createI18n } = require("./lib/i18n");
+const { checkAppearance } = require("./lib/appearance");
+const { renderShowNotes } = require("./lib/show-notes");
+const { pipeline } = require("stream");
+const sharp = require("sharp");
+const QRCode = require("qrcode");
 
 /**
  * RSS → “TV Channel” HTML
  * - Works with (almost) any RSS feed that contains audio/video enclosures or media:content
+ * - Also reads Atom, JSON Feed and M3U playlists
+ * - Understands Podcasting 2.0 chapters, transcripts, persons and seasons
+ * - Turns podcast transcripts into WebVTT closed captions
  * - Supports runtime RSS selection via ?rss=ENCODED_URL (optional)
- * - Includes basic SSRF guardrails (blocks obvious localhost/private IP literals)
- * - Includes caching per RSS URL to reduce rate-limits / speed up
+ * - SSRF guardrails: resolves hostnames and refuses non-public addresses, re-checks every redirect,
+ *   caps response size/time (see lib/safe-fetch.js)
+ * - Caches feeds (LRU, conditional GET, stale-while-revalidate, optional disk snapshot) to
+ *   reduce rate-limits / speed up
+ * - Optional multi-channel lineup with a guide screen and channel up/down switching
+ * - Optional linear ("live TV") mode: every screen joins the same episode at the same offset
+ * - Resume positions and watched state per episode (browser storage, optionally synced server-side)
+ * - Republishes the lineup as a merged RSS / JSON Feed (/feed.xml, /feed.json)
+ * - Token-protected admin console (/admin) for the lineup, allowlist and feed cache
+ * - JSON request logs with request IDs, Prometheus metrics (/metrics), readiness (/health/ready)
+ * - Opt-in playback telemetry with a stats page (/stats); nothing is sent to third parties
+ * - Fallback media sources, feed errors with their cause, kiosk mode and a phone remote (/remote)
+ * - Watch-party rooms (?room=NAME) that keep several screens on the same episode and position
+ * - Offline-capable TV page: a service worker, episode downloads and next-episode prefetch
+ * - Shareable episode pages (/episode/:id) with show notes, Open Graph tags and a QR code, and
+ *   deep links into the TV page (?ep=ID&t=SECONDS)
  */
 
 const app = express();
@@ -24,23 +82,36 @@ app.use(
   })
 );
 
-// RSS parser with common podcast extensions
+// RSS parser with common podcast extensions (+ Podcasting 2.0, see lib/podcast.js; Atom
+// enclosures and media:group, see lib/feed-formats.js)
 const parser = new Parser({
   customFields: {
+    feed: [...FEED_FIELDS],
     item: [
       ["media:content", "mediaContent", { keepArray: true }],
       ["media:thumbnail", "mediaThumbnail", { keepArray: true }],
       ["itunes:image", "itunesImage"],
       ["itunes:duration", "duration"],
+      ...ITEM_FIELDS,
+      ...FORMAT_ITEM_FIELDS,
     ],
   },
 });
 
 // -------------------- Configuration --------------------
 const DEFAULT_RSS_URL = process.env.RSS_URL || "https://anchor.fm/s/your-default-rss-id/podcast/rss";
-const EP_LIMIT = Number(process.env.EP_LIMIT || 100);
+// Default page size of /api/episodes.json (and the TV playlist); ?limit= goes up to EP_MAX_LIMIT.
+const ENV_EP_LIMIT = Number(process.env.EP_LIMIT || 100);
+const EP_MAX_LIMIT = 500;
 const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS || 5 * 60 * 1000);
+// How long past the TTL a cached feed may still be served while it refreshes in the background.
+const CACHE_STALE_MS = Number(process.env.CACHE_STALE_MS || 24 * 60 * 60 * 1000);
+const CACHE_MAX_FEEDS = Number(process.env.CACHE_MAX_FEEDS || 100);
+// Optional: persist the feed cache so a restart (or a sleeping free-tier instance) boots warm.
+const CACHE_SNAPSHOT_FILE = process.env.CACHE_SNAPSHOT_FILE || "";
 const PORT = process.env.PORT || 3000;
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 15000);
+const FETCH_MAX_BYTES = Number(process.env.FETCH_MAX_BYTES || 5 * 1024 * 1024);
 
 /**
  * If ALLOW_QUERY_RSS=1, user can override feed via ?rss=...
@@ -54,11 +125,239 @@ const ALLOW_QUERY_RSS = String(process.env.ALLOW_QUERY_RSS || "1") === "1";
  *   RSS_DOMAIN_ALLOWLIST=example.com,feeds.example.org
  * If set, ?rss= will be accepted only if hostname ends with one of these values.
  */
-const RSS_DOMAIN_ALLOWLIST = (process.env.RSS_DOMAIN_ALLOWLIST || "")
+const ENV_RSS_DOMAIN_ALLOWLIST = (process.env.RSS_DOMAIN_ALLOWLIST || "")
   .split(",")
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
 
+/**
+ * Abuse protection for ad-hoc feeds (see lib/rate-limit.js). Requests that name a ?rss= feed or
+ * force a refresh count against RATE_LIMIT_IP_MAX per client IP, and ?rss= requests also against
+ * RATE_LIMIT_FEED_MAX per feed, both per RATE_LIMIT_WINDOW_MS; over the limit the API answers
+ * 429 with Retry-After. A feed is refetched on ?refresh=1 at most once per REFRESH_MIN_INTERVAL_MS,
+ * and at most QUERY_FEEDS_MAX ?rss= feeds are cached at a time. 0 turns a limit off.
+ * Behind a reverse proxy, set TRUST_PROXY (e.g. 1 = one proxy hop) so limits see real client IPs.
+ */
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60 * 1000);
+const RATE_LIMIT_IP_MAX = Number(process.env.RATE_LIMIT_IP_MAX ?? 60);
+const RATE_LIMIT_FEED_MAX = Number(process.env.RATE_LIMIT_FEED_MAX ?? 300);
+const REFRESH_MIN_INTERVAL_MS = Number(process.env.REFRESH_MIN_INTERVAL_MS ?? 60 * 1000);
+const QUERY_FEEDS_MAX = Number(process.env.QUERY_FEEDS_MAX ?? 50);
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+// A hop count, "true", or the names/addresses Express understands (e.g. "loopback").
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY);
+
+/**
+ * MEDIA_PROXY=1 serves enclosures and artwork from this origin (/media/:id, /img/:id):
+ * no mixed content on HTTPS, no hotlink blocks, and artwork resized for TV hardware.
+ * Media of ?rss= feeds goes through the same URL checks as the feed itself.
+ */
+const MEDIA_PROXY = String(process.env.MEDIA_PROXY || "0") === "1";
+const IMAGE_CACHE_MAX = Number(process.env.IMAGE_CACHE_MAX || 300);
+
+/**
+ * Linear mode (see lib/schedule.js). LINEAR_MODE=1 turns it on for every channel;
+ * a channel's "mode" in the lineup or ?mode=linear|ondemand overrides it.
+ * LINEAR_EPOCH anchors the looping schedule; changing it reshuffles what is "on" now.
+ */
+const LINEAR_MODE = String(process.env.LINEAR_MODE || "0") === "1";
+const LINEAR_EPOCH_MS = Date.parse(process.env.LINEAR_EPOCH || "2024-01-01T00:00:00Z");
+if (Number.isNaN(LINEAR_EPOCH_MS)) throw new Error("LINEAR_EPOCH must be an ISO date");
+
+/**
+ * Playback progress is always kept in the browser. With PROGRESS_SYNC=1 the TV page also
+ * syncs it through /api/progress for viewers identified by ?viewer=NAME, so progress follows
+ * them across screens. PROGRESS_FILE persists it (set it empty to keep it in memory only).
+ * At most PROGRESS_MAX_VIEWERS viewers are kept (the one updated longest ago goes first), and
+ * each client IP may save progress RATE_LIMIT_PROGRESS_MAX times per RATE_LIMIT_WINDOW_MS.
+ */
+const PROGRESS_SYNC = String(process.env.PROGRESS_SYNC || "0") === "1";
+const PROGRESS_FILE = process.env.PROGRESS_FILE ?? "data/progress.json";
+const PROGRESS_MAX_VIEWERS = Number(process.env.PROGRESS_MAX_VIEWERS || 1000);
+const RATE_LIMIT_PROGRESS_MAX = Number(process.env.RATE_LIMIT_PROGRESS_MAX ?? 120);
+
+/**
+ * Playback telemetry (lib/telemetry.js), off unless TELEMETRY=1. The TV page then sends play,
+ * pause, ended and error beacons, with the time watched, to /api/events; /stats and
+ * /api/stats.json report on them. TELEMETRY_FILE persists the counters (empty = memory only).
+ * Each client IP may send RATE_LIMIT_EVENTS_MAX beacons per RATE_LIMIT_WINDOW_MS to
+ * /api/events, and as many again to /api/playback-errors.
+ */
+const TELEMETRY = String(process.env.TELEMETRY || "0") === "1";
+const TELEMETRY_FILE = process.env.TELEMETRY_FILE ?? "data/telemetry.json";
+const RATE_LIMIT_EVENTS_MAX = Number(process.env.RATE_LIMIT_EVENTS_MAX ?? 120);
+
+/**
+ * Feed directory (see lib/directory.js), filled by OPML import on /directory (with ADMIN_TOKEN).
+ * Directory feeds play through /?rss=, so it needs ALLOW_QUERY_RSS=1, and every imported feed
+ * must pass RSS_DOMAIN_ALLOWLIST. DIRECTORY_FILE persists it (empty = memory only).
+ */
+const DIRECTORY_FILE = process.env.DIRECTORY_FILE ?? "data/directory.json";
+
+/**
+ * Channel lineup (see lib/channels.js). Either point CHANNELS_FILE at a JSON file
+ * or list slug=url pairs in CHANNELS. Without either, the lineup is a single
+ * "main" channel that plays RSS_URL, named CHANNEL_NAME (default: the feed's own title).
+ */
+const ENV_LINEUP = loadLineup({
+  file: process.env.CHANNELS_FILE,
+  env: process.env.CHANNELS,
+  defaultRssUrl: DEFAULT_RSS_URL,
+  defaultName: (process.env.CHANNEL_NAME || "").trim(),
+});
+
+/**
+ * Admin console (/admin). ADMIN_TOKEN switches it on; the admin API wants
+ * "Authorization: Bearer ADMIN_TOKEN". The lineup, allowlist and EP_LIMIT set there are saved
+ * to SETTINGS_FILE and take precedence over the variables above until reset on /admin.
+ */
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const SETTINGS_FILE = process.env.SETTINGS_FILE ?? "data/settings.json";
+
+/**
+ * Absolute URL of this site (e.g. https://tv.example.com), used for links in /feed.xml and
+ * /feed.json. Empty = taken from each request's Host header.
+ */
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+
+/**
+ * Remote control keys of the TV page (see lib/keymap.js). The page recognises Tizen, webOS
+ * and Android TV by itself; TV_PLATFORM forces one of those key presets, and KEYMAP_FILE
+ * remaps single actions. A screen can still pick its own preset with ?platform=.
+ */
+const TV_PLATFORM = checkPlatform(process.env.TV_PLATFORM);
+const KEYMAP = loadKeymap(process.env.KEYMAP_FILE);
+
+/**
+ * Kiosk mode for unattended screens: the TV page autoplays muted, loops the playlist, hides
+ * the header bar and shows a clock screensaver when idle for SCREENSAVER_AFTER_MS. KIOSK=1
+ * makes it the default; a screen can opt in or out with ?kiosk=1 / ?kiosk=0 (remembered).
+ * KIOSK_RULES_FILE adds time-of-day rules (see lib/kiosk.js).
+ */
+const KIOSK = String(process.env.KIOSK || "0") === "1";
+const KIOSK_RULES = loadKioskRules(process.env.KIOSK_RULES_FILE);
+const SCREENSAVER_AFTER_MS = Number(process.env.SCREENSAVER_AFTER_MS || 2 * 60 * 1000);
+
+/**
+ * Phone remote (/remote), on with REMOTE_CONTROL=1. TV pages opened with ?screen=NAME take
+ * play, skip and channel commands for that name. REMOTE_TOKEN is required: /remote asks for it
+ * before anything can be sent, and screens pass it (?token=, once) to subscribe.
+ */
+const REMOTE_CONTROL = String(process.env.REMOTE_CONTROL || "0") === "1";
+const REMOTE_TOKEN = process.env.REMOTE_TOKEN || "";
+if (REMOTE_CONTROL && !REMOTE_TOKEN) throw new Error("REMOTE_CONTROL=1 needs a REMOTE_TOKEN");
+
+/**
+ * Watch parties (lib/rooms.js), on with WATCH_PARTY=1. TV pages opened with ?room=NAME play in
+ * lockstep: the first screen in the room hosts, the others follow its episode and position.
+ * Rooms live in memory, so every screen of a room must reach the same server instance.
+ */
+const WATCH_PARTY = String(process.env.WATCH_PARTY || "0") === "1";
+
+/**
+ * Offline support: the TV page installs a service worker (public/sw.js, served as /sw.js) that
+ * keeps the page and the last episode lists for when the network drops, and it can download
+ * episodes and prefetch the next one. OFFLINE=0 leaves it out and removes it from screens.
+ * Browsers only run service workers on https:// pages (and http://localhost).
+ */
+const OFFLINE = String(process.env.OFFLINE || "1") === "1";
+
+/**
+ * Look and language of the TV page (lib/appearance.js, lib/i18n.js). THEME, TEXT_SIZE,
+ * ACCENT_COLOR and LOGO_URL are the defaults a screen's ?theme=, ?text=, ?accent= and ?logo=
+ * override. The UI language comes from ?lang=, then UI_LANGUAGE, then the browser's
+ * Accept-Language; translations live in locales/.
+ */
+const APPEARANCE = checkAppearance({
+  theme: process.env.THEME,
+  textSize: process.env.TEXT_SIZE,
+  accent: process.env.ACCENT_COLOR,
+  logoUrl: process.env.LOGO_URL,
+});
+const i18n = createI18n({ defaultLanguage: (process.env.UI_LANGUAGE || "").trim() });
+
+/**
+ * Observability. Logs are JSON lines on stdout, one per request with its ID (X-Request-Id,
+ * kept when a proxy sends one); LOG_LEVEL is debug, info, warn, error or silent.
+ * /metrics serves Prometheus metrics, behind "Authorization: Bearer METRICS_TOKEN" if set.
+ */
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const log = createLogger({ level: LOG_LEVEL });
+
+// -------------------- Settings --------------------
+// The effective configuration: SETTINGS_FILE overrides on top of the environment.
+// Reassigned by applySettings() whenever /admin saves.
+let LINEUP = ENV_LINEUP;
+let RSS_DOMAIN_ALLOWLIST = ENV_RSS_DOMAIN_ALLOWLIST;
+let EP_LIMIT = ENV_EP_LIMIT;
+
+const settings = createSettingsStore({ file: SETTINGS_FILE, log: log.child({ component: "settings" }) });
+const MAX_CHANNELS = 200;
+const HOSTNAME_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * Validates a settings update from /admin: { channels, allowlist, epLimit }, each optional,
+ * null resetting it to the environment value. Returns the normalized patch or throws.
+ */
+function checkSettings(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error("Expected a JSON object");
+  const patch = {};
+
+  for (const key of Object.keys(body)) {
+    if (!["channels", "allowlist", "epLimit"].includes(key)) throw new Error(`Unknown setting "${key}"`);
+    if (body[key] === null) patch[key] = null;
+  }
+
+  if (body.channels) {
+    if (!Array.isArray(body.channels) || !body.channels.length) throw new Error("channels must be a non-empty list");
+    if (body.channels.length > MAX_CHANNELS) throw new Error(`At most ${MAX_CHANNELS} channels`);
+    const lineup = normalizeLineup(body.channels);
+    for (const ch of lineup) {
+      let u;
+      try {
+        u = new URL(ch.rssUrl);
+      } catch {
+        throw new Error(`Channel "${ch.slug}": invalid rss URL`);
+      }
+      if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error(`Channel "${ch.slug}": rss URL must be http(s)`);
+    }
+    patch.channels = lineup;
+  }
+
+  if (body.allowlist !== undefined && body.allowlist !== null) {
+    const list = Array.isArray(body.allowlist) ? body.allowlist : String(body.allowlist).split(/[\s,]+/);
+    const hosts = list.map((h) => String(h).trim().toLowerCase()).filter(Boolean);
+    const bad = hosts.find((h) => !HOSTNAME_RE.test(h));
+    if (bad) throw new Error(`Not a hostname: "${bad}"`);
+    patch.allowlist = Array.from(new Set(hosts));
+  }
+
+  if (body.epLimit !== undefined && body.epLimit !== null) {
+    const n = Number(body.epLimit);
+    if (!Number.isInteger(n) || n < 1 || n > EP_MAX_LIMIT) throw new Error(`epLimit must be 1 to ${EP_MAX_LIMIT}`);
+    patch.epLimit = n;
+  }
+
+  return patch;
+}
+
+function applySettings() {
+  const saved = settings.get();
+  LINEUP = ENV_LINEUP;
+  if (saved.channels) {
+    try {
+      LINEUP = normalizeLineup(saved.channels);
+    } catch (err) {
+      log.error("Ignoring the saved lineup", { component: "settings", err });
+    }
+  }
+  RSS_DOMAIN_ALLOWLIST = saved.allowlist || ENV_RSS_DOMAIN_ALLOWLIST;
+  EP_LIMIT = saved.epLimit || ENV_EP_LIMIT;
+}
+
+applySettings();
+
 // -------------------- Utilities --------------------
 function escapeHtml(str) {
   if (!str) return "";
@@ -87,23 +386,42 @@ function normalizeToHttps(url) {
   return url.startsWith("http://") ? url.replace("http://", "https://") : url;
 }
 
-function pickImageUrl(item) {
+// The *Raw variants keep the feed's own scheme; the artwork proxy fetches those.
+function pickImageUrlRaw(item) {
   const tn =
     item.mediaThumbnail &&
     item.mediaThumbnail[0] &&
     item.mediaThumbnail[0].$ &&
     item.mediaThumbnail[0].$.url;
 
-  if (tn) return normalizeToHttps(tn);
+  if (tn) return tn;
 
   if (item.itunesImage) {
-    if (typeof item.itunesImage === "string") return normalizeToHttps(item.itunesImage);
-    if (item.itunesImage.href) return normalizeToHttps(item.itunesImage.href);
-    if (item.itunesImage.url) return normalizeToHttps(item.itunesImage.url);
+    if (typeof item.itunesImage === "string") return item.itunesImage;
+    if (item.itunesImage.href) return item.itunesImage.href;
+    if (item.itunesImage.url) return item.itunesImage.url;
+    // rss-parser keeps attribute-only elements as { $: { href } }.
+    if (item.itunesImage.$ && item.itunesImage.$.href) return item.itunesImage.$.href;
   }
+  if (item.itunes && item.itunes.image) return item.itunes.image;
+  return "";
+}
+
+function pickImageUrl(item) {
+  return normalizeToHttps(pickImageUrlRaw(item));
+}
+
+function pickFeedImageUrlRaw(feed) {
+  if (!feed) return "";
+  if (feed.itunes && feed.itunes.image) return feed.itunes.image;
+  if (feed.image && feed.image.url) return feed.image.url;
   return "";
 }
 
+function pickFeedImageUrl(feed) {
+  return normalizeToHttps(pickFeedImageUrlRaw(feed));
+}
+
 function pickMedia(item) {
   if (item.enclosure && item.enclosure.url) {
     return { url: item.enclosure.url, type: item.enclosure.type || "" };
@@ -112,7 +430,37 @@ function pickMedia(item) {
   if (mc && mc.$ && mc.$.url) {
     return { url: mc.$.url, type: mc.$.type || "" };
   }
-  return { url: item.link || "", type: "" };
+  // Some feeds put the file in <link>; an article page is not an episode.
+  return { url: item.link && isPlayable(item.link) ? item.link : "", type: "" };
+}
+
+/**
+ * Every media file an item offers, pickMedia()'s choice first: the enclosure, the media:content
+ * entries, then podcast:alternateEnclosure sources. The TV page falls back on the others, in
+ * this order, when one can't be played. /media/:id?alt=N proxies entry N.
+ */
+function mediaSources(item) {
+  const list = [pickMedia(item)];
+  for (const mc of item.mediaContent || []) {
+    if (mc && mc.$ && mc.$.url) list.push({ url: mc.$.url, type: mc.$.type || "" });
+  }
+  for (const alt of normalizeAlternateEnclosures(item.podcastAlternateEnclosures)) {
+    list.push({ url: alt.url, type: alt.type, title: alt.title });
+  }
+  const seen = new Set();
+  return list.filter((m) => m.url && !seen.has(m.url) && seen.add(m.url));
+}
+
+/**
+ * Adaptive streaming format of a media URL: "hls", "dash" or "" for plain files.
+ */
+function inferStreamFormat(mediaUrl, mediaType) {
+  const u = (mediaUrl || "").toLowerCase();
+  const t = (mediaType || "").toLowerCase();
+
+  if (/mpegurl/.test(t) || u.match(/\.m3u8(\?|#|$)/)) return "hls";
+  if (t === "application/dash+xml" || u.match(/\.mpd(\?|#|$)/)) return "dash";
+  return "";
 }
 
 function inferKind(mediaUrl, mediaType) {
@@ -120,9 +468,10 @@ function inferKind(mediaUrl, mediaType) {
   const t = (mediaType || "").toLowerCase();
 
   if (t.startsWith("video/")) return "video";
-  if (t.startsWith("audio/")) return "audio";
+  if (t.startsWith("audio/")) return "audio"; // includes audio/mpegurl (audio-only HLS)
 
-  if (u.includes(".m3u8")) return "video"; // HLS
+  // application/x-mpegURL, application/vnd.apple.mpegurl, application/dash+xml
+  if (inferStreamFormat(mediaUrl, mediaType)) return "video";
   if (u.match(/\.(mp4|webm|mov)(\?|#|$)/)) return "video";
   if (u.match(/\.(mp3|m4a|aac|ogg|wav)(\?|#|$)/)) return "audio";
 
@@ -134,41 +483,10 @@ function stableHash(input) {
   return crypto.createHash("sha256").update(String(input)).digest("hex").slice(0, 24);
 }
 
-function isPrivateIpLiteral(hostname) {
-  // Only checks literal IPs. Does not resolve DNS -> IP (still helpful guardrails).
-  if (!hostname) return false;
-  const ipVersion = net.isIP(hostname);
-  if (!ipVersion) return false;
-
-  // IPv4 private ranges
-  if (ipVersion === 4) {
-    const parts = hostname.split(".").map((p) => parseInt(p, 10));
-    const [a, b] = parts;
-
-    // 10.0.0.0/8
-    if (a === 10) return true;
-    // 172.16.0.0/12
-    if (a === 172 && b >= 16 && b <= 31) return true;
-    // 192.168.0.0/16
-    if (a === 192 && b === 168) return true;
-    // 127.0.0.0/8 loopback
-    if (a === 127) return true;
-    // 169.254.0.0/16 link-local
-    if (a === 169 && b === 254) return true;
-    // 0.0.0.0/8 and 100.64.0.0/10 (CGNAT) – treat as non-public
-    if (a === 0) return true;
-    if (a === 100 && b >= 64 && b <= 127) return true;
-
-    return false;
-  }
-
-  // IPv6: block loopback, link-local, unique-local (fc00::/7)
-  const h = hostname.toLowerCase();
-  if (h === "::1") return true;
-  if (h.startsWith("fe80:")) return true; // link-local
-  if (h.startsWith("fc") || h.startsWith("fd")) return true; // unique local
-
-  return false;
+// Stable across refreshes and feed reordering, unlike the item's position in the feed.
+function episodeId(item, mediaUrl) {
+  const guid = typeof item.guid === "string" ? item.guid.trim() : "";
+  return stableHash(guid || mediaUrl);
 }
 
 function passesAllowlist(hostname) {
@@ -177,7 +495,12 @@ function passesAllowlist(hostname) {
   return RSS_DOMAIN_ALLOWLIST.some((allowed) => h === allowed || h.endsWith("." + allowed));
 }
 
-function validateRssUrl(inputUrl) {
+/**
+ * Checks a URL we are about to fetch on someone else's behalf (feeds, chapters, ...):
+ * http(s) only, no localhost names, no private IP literals.
+ * Hostnames are checked again after DNS resolution, in safeFetch.
+ */
+function validatePublicUrl(inputUrl) {
   let url;
   try {
     url = new URL(inputUrl);
@@ -198,432 +521,2245 @@ function validateRssUrl(inputUrl) {
   }
 
   // Block literal private IPs
-  if (isPrivateIpLiteral(hostname)) {
+  if (isPrivateAddress(hostname)) {
     return { ok: false, reason: "Private IP addresses are not allowed" };
   }
 
-  // Optional allowlist
-  if (!passesAllowlist(hostname)) {
-    return { ok: false, reason: "Hostname not in allowlist" };
-  }
-
   return { ok: true, url: url.toString() };
 }
 
-// -------------------- Caching --------------------
-const cache = new Map(); // key -> { at, feed }
-
-async function getFeed(rssUrl, force = false) {
-  const key = stableHash(rssUrl);
-  const now = Date.now();
-  const existing = cache.get(key);
+function validateRssUrl(inputUrl) {
+  const v = validatePublicUrl(inputUrl);
+  if (!v.ok) return v;
 
-  if (!force && existing && existing.feed && now - existing.at < CACHE_TTL_MS) {
-    return existing.feed;
+  // Optional allowlist
+  if (!passesAllowlist(new URL(v.url).hostname)) {
+    return { ok: false, reason: "Hostname not in allowlist" };
   }
 
-  const feed = await parser.parseURL(rssUrl);
-  cache.set(key, { at: now, feed });
-  return feed;
+  return v;
 }
 
-// -------------------- Routes --------------------
-app.get("/health", (req, res) => res.status(200).send("ok"));
+// -------------------- Channels --------------------
+function isTrustedFeedUrl(rssUrl) {
+  return rssUrl === DEFAULT_RSS_URL || LINEUP.some((ch) => ch.rssUrl === rssUrl);
+}
+
+function findChannel(slug) {
+  const s = String(slug || "").toLowerCase();
+  return LINEUP.find((ch) => ch.slug === s) || null;
+}
 
 /**
- * Returns normalized episode metadata for any RSS feed.
- * Usage:
- *   /api/episodes.json
- *   /api/episodes.json?rss=https%3A%2F%2Fexample.com%2Ffeed.xml
+ * Decides which feed a request is about:
+ *   ?rss=URL (if ALLOW_QUERY_RSS) > ?channel=slug > first channel in the lineup.
+ * Returns { ok, rssUrl, channel } or { ok: false, status, reason }.
  */
-app.get("/api/episodes.json", async (req, res) => {
-  try {
-    let rssUrl = DEFAULT_RSS_URL;
-
-    if (ALLOW_QUERY_RSS && req.query.rss) {
-      const v = validateRssUrl(String(req.query.rss));
-      if (!v.ok) return res.status(400).json({ error: v.reason });
-      rssUrl = v.url;
-    }
-
-    const force = req.query.refresh === "1";
-    const feed = await getFeed(rssUrl, force);
-
-    const episodes = (feed.items || [])
-      .slice(0, EP_LIMIT)
-      .map((it, idx) => {
-        const media = pickMedia(it);
-        const mediaUrl = media.url || "";
-        const kind = inferKind(mediaUrl, media.type);
-
-        const dateStr = it.isoDate
-          ? new Date(it.isoDate).toISOString()
-          : it.pubDate || "";
-
-        return {
-          id: idx,
-          title: it.title || "Untitled Episode",
-          date: dateStr,
-          description: safeTruncate(it.contentSnippet || it.content || "", 1000),
-          mediaUrl,
-          mediaType: media.type || "",
-          kind, // audio|video
-          imageUrl: pickImageUrl(it),
-          duration: it.duration || "",
-          link: it.link || "",
-        };
-      })
-      .filter((e) => !!e.mediaUrl);
+function resolveFeedSource(query) {
+  if (ALLOW_QUERY_RSS && query.rss) {
+    const v = validateRssUrl(String(query.rss));
+    if (!v.ok) return { ok: false, status: 400, reason: v.reason };
+    return { ok: true, rssUrl: v.url, channel: null };
+  }
 
-    res.setHeader("Cache-Control", "public, max-age=60");
-    res.json({
-      feed: {
-        title: feed.title || "",
-        link: feed.link || "",
-        description: stripHtml(feed.description || ""),
-        rssUrl,
-      },
-      episodes,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Error fetching/parsing RSS feed." });
+  if (query.channel) {
+    const channel = findChannel(query.channel);
+    if (!channel) return { ok: false, status: 404, reason: "Unknown channel" };
+    return { ok: true, rssUrl: channel.rssUrl, channel };
   }
-});
 
-/**
- * TV UI:
- *   /
- *   /?rss=https%3A%2F%2Fexample.com%2Ffeed.xml
- */
-app.get("/", async (req, res) => {
-  try {
-    let rssUrl = DEFAULT_RSS_URL;
+  return { ok: true, rssUrl: LINEUP[0].rssUrl, channel: LINEUP[0] };
+}
 
-    if (ALLOW_QUERY_RSS && req.query.rss) {
-      const v = validateRssUrl(String(req.query.rss));
-      if (!v.ok) return res.status(400).send("Bad rss parameter: " + escapeHtml(v.reason));
-      rssUrl = v.url;
-    }
+// Query string that points another endpoint (chapters, captions, media...) at the same feed.
+function feedQueryFor(rssUrl, channel) {
+  return channel ? "channel=" + encodeURIComponent(channel.slug) : "rss=" + encodeURIComponent(rssUrl);
+}
 
-    const force = req.query.refresh === "1";
-    const feed = await getFeed(rssUrl, force);
+function isLinearMode(query, channel) {
+  if (query.mode === "linear") return true;
+  if (query.mode === "ondemand") return false;
+  if (channel && channel.mode) return channel.mode === "linear";
+  return LINEAR_MODE;
+}
 
-    const channelTitle = feed?.title || "TV Channel";
-
-    const episodes = (feed.items || [])
-      .slice(0, EP_LIMIT)
-      .map((it, idx) => {
-        const media = pickMedia(it);
-        const mediaUrl = media.url || "";
-        const kind = inferKind(mediaUrl, media.type);
-
-        const dateStr = it.isoDate
-          ? new Date(it.isoDate).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" })
-          : (it.pubDate || "");
-
-        return {
-          id: idx,
-          title: it.title || "Untitled Episode",
-          date: dateStr,
-          description: safeTruncate(it.contentSnippet || it.content || "", 340),
-          mediaUrl,
-          mediaType: media.type || "",
-          kind,
-          imageUrl: pickImageUrl(it),
-          duration: it.duration || "",
-        };
-      })
-      .filter((e) => !!e.mediaUrl);
+// -------------------- Progress --------------------
+const progressStore = PROGRESS_SYNC
+  ? createProgressStore({
+      file: PROGRESS_FILE,
+      maxViewers: PROGRESS_MAX_VIEWERS,
+      log: log.child({ component: "progress" }),
+    })
+  : null;
+
+const VIEWER_RE = /^[a-z0-9_-]{1,64}$/i;
+const EPISODE_ID_RE = /^[a-f0-9]{24}$/;
+
+// -------------------- Telemetry --------------------
+const telemetry = TELEMETRY
+  ? createTelemetryStore({ file: TELEMETRY_FILE, log: log.child({ component: "telemetry" }) })
+  : null;
+
+const EVENT_TYPES = ["play", "resume", "pause", "ended", "error", "progress"];
+const PLAYBACK_ERROR_CODES = ["aborted", "network", "decode", "not_supported", "stream", "other"];
+const MAX_EVENTS_PER_BEACON = 20;
+// The TV page reports time watched at least once a minute; anything far above is made up.
+const MAX_WATCHED_PER_EVENT = 15 * 60;
+
+function shortText(value, max) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
 
-    const html = `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>${escapeHtml(channelTitle)}</title>
-  <style>
-    :root { color-scheme: dark; --highlight:#4b7cff; --bg:#0b0b0f; --surface:#141421; --text:#fff; --muted:#a6a6b3; }
-    body { margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; background:var(--bg); color:var(--text); overflow:hidden; }
-    header { padding:18px 24px; border-bottom:1px solid #222; display:flex; justify-content:space-between; align-items:center; background:#000; height:72px; box-sizing:border-box; }
-    header h1 { margin:0; font-size:22px; font-weight:800; letter-spacing:-0.3px; }
-    header .hint { opacity:.75; font-size:12px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; display:none; }
-    @media (min-width: 900px) { header .hint { display:block; } }
+// Validates one beacon event; returns the event for telemetry.record() or null.
+function checkEvent(e) {
+  if (!e || typeof e !== "object") return null;
+  if (!EVENT_TYPES.includes(e.type) || !EPISODE_ID_RE.test(String(e.episodeId || ""))) return null;
+  const host = shortText(e.host, 253).toLowerCase();
+  const watched = Number(e.watchedSeconds);
+  return {
+    type: e.type,
+    episodeId: e.episodeId,
+    title: shortText(e.title, 200),
+    channel: shortText(e.channel, 100),
+    host: HOSTNAME_RE.test(host) ? host : "",
+    watchedSeconds: Number.isFinite(watched) ? Math.min(Math.max(watched, 0), MAX_WATCHED_PER_EVENT) : 0,
+    code: PLAYBACK_ERROR_CODES.includes(e.code) ? e.code : "other",
+  };
+}
 
-    .wrap { height: calc(100vh - 72px); display:grid; grid-template-columns: 1fr; gap:0; }
-    @media (min-width: 1000px) { .wrap { grid-template-columns: 2fr 1fr; padding:14px; gap:14px; } }
+// -------------------- Remote control --------------------
+const remoteHub = REMOTE_CONTROL ? createRemoteHub() : null;
+
+const SCREEN_RE = VIEWER_RE;
+// Commands the TV page takes from /remote; "channel" comes with a lineup slug as its value.
+const REMOTE_COMMANDS = [
+  "playPause", "play", "pause", "stop", "seekBack", "seekForward", "prevEpisode", "nextEpisode",
+  "channelUp", "channelDown", "channel", "mute", "captions",
+];
+
+// What a screen reports about itself, trimmed to what /remote shows.
+function checkScreenState(s) {
+  return {
+    channel: shortText(s.channel, 64),
+    channelName: shortText(s.channelName, 100),
+    title: shortText(s.title, 200),
+    paused: s.paused === true,
+    muted: s.muted === true,
+    kiosk: s.kiosk === true,
+  };
+}
 
-    .player { background:#000; position:relative; display:flex; flex-direction:column; overflow:hidden; }
-    @media (min-width: 1000px) { .player { border-radius:16px; border:1px solid #222; } }
+// -------------------- Watch parties --------------------
+const roomHub = WATCH_PARTY ? createRoomHub() : null;
+
+const ROOM_RE = VIEWER_RE;
+
+// The host's playback state as the other screens get it; null when it doesn't make sense.
+function checkRoomState(s) {
+  if (!s || !EPISODE_ID_RE.test(String(s.episodeId || ""))) return null;
+  const position = Number(s.position);
+  const rate = Number(s.rate);
+  return {
+    episodeId: s.episodeId,
+    // /api/episodes.json parameters of the host's feed, so followers can open the same one.
+    feedQuery: /^(channel|rss)=[^&]{1,2048}$/.test(s.feedQuery || "") ? s.feedQuery : "",
+    position: Number.isFinite(position) && position >= 0 ? position : 0,
+    playing: s.playing === true,
+    rate: Number.isFinite(rate) && rate >= 0.5 && rate <= 3 ? rate : 1,
+  };
+}
 
-    .stage { flex:1; position:relative; display:flex; align-items:center; justify-content:center; background:#000; }
-    .poster { position:absolute; inset:0; background-size:cover; background-position:center; opacity:.25; }
-    .posterOverlay { position:absolute; inset:0; background: linear-gradient(180deg, rgba(0,0,0,.55), rgba(0,0,0,.85)); }
+// -------------------- Directory --------------------
+const directory = createDirectory({ file: DIRECTORY_FILE, log: log.child({ component: "directory" }) });
+const DIRECTORY_PAGE_SIZE = 48;
+
+async function fetchOpml(opmlUrl) {
+  const res = await safeFetch(opmlUrl, {
+    validateUrl: validatePublicUrl,
+    // OPML shows up as text/x-opml, any XML type, or plain text.
+    accept: (type) => isXmlContentType(type) || /opml|^text\/plain/i.test(String(type || "")),
+    timeoutMs: FETCH_TIMEOUT_MS,
+    maxBytes: 1024 * 1024,
+    headers: { "user-agent": "rss-tv-channel/1.0" },
+  });
+  return res.body.toString("utf8");
+}
 
-    .artWrap { position:absolute; inset:0; display:flex; align-items:center; justify-content:center; pointer-events:none; }
-    .art { width:min(56vh, 70vw); aspect-ratio:1/1; border-radius:18px; box-shadow:0 20px 60px rgba(0,0,0,.6); background:#111; overflow:hidden; border:1px solid #222; }
-    .art img { width:100%; height:100%; object-fit:cover; display:block; }
+// Splits imported feeds into those that pass validateRssUrl and those that don't.
+function checkImportedFeeds(list) {
+  const feeds = [];
+  const skipped = [];
+  for (const f of list) {
+    const v = validateRssUrl(f.rssUrl);
+    if (v.ok) feeds.push(Object.assign({}, f, { rssUrl: v.url }));
+    else skipped.push({ rssUrl: f.rssUrl, reason: v.reason });
+  }
+  return { feeds, skipped };
+}
 
-    video, audio { width:100%; outline:none; }
-    video { height:100%; }
+// Directory feeds load in the background, a few at a time, so a directory page never waits on
+// (or fans out to) dozens of upstream fetches. A feed that failed is retried after CACHE_TTL_MS.
+const DIRECTORY_FETCH_CONCURRENCY = 4;
+const directoryWaiting = new Set();
+const directoryFetching = new Set();
+
+function queueDirectoryFeed(rssUrl) {
+  if (directoryWaiting.has(rssUrl) || directoryFetching.has(rssUrl)) return;
+  const s = feedCache.status(rssUrl);
+  if (s && !s.fetchedAt && Date.now() - s.lastErrorAt < CACHE_TTL_MS) return;
+  directoryWaiting.add(rssUrl);
+  drainDirectoryQueue();
+}
 
-    .controlsRow { position:absolute; left:18px; right:18px; bottom:18px; z-index:4; }
-    .meta { padding:18px; background:var(--surface); border-top:1px solid #222; min-height:120px; }
-    .meta .title { font-size:20px; font-weight:800; margin:0 0 8px 0; }
-    .meta .sub { font-size:14px; color:var(--muted); margin:0; line-height:1.45; }
-    .meta .tiny { margin-top:10px; font-size:12px; color:#7f7f8d; }
+function drainDirectoryQueue() {
+  for (const rssUrl of directoryWaiting) {
+    if (directoryFetching.size >= DIRECTORY_FETCH_CONCURRENCY) return;
+    directoryWaiting.delete(rssUrl);
+    directoryFetching.add(rssUrl);
+    getFeed(rssUrl)
+      .catch((err) => log.warn("Directory feed unavailable", { url: rssUrl, err }))
+      .finally(() => {
+        directoryFetching.delete(rssUrl);
+        drainDirectoryQueue();
+      });
+  }
+}
 
-    .list { background:var(--bg); overflow-y:auto; border-top:1px solid #222; }
-    @media (min-width: 1000px) { .list { border:1px solid #222; border-radius:16px; } }
+// One page of the directory, with title and artwork from the cached feeds; feeds that aren't
+// cached (or are due for a refresh) are queued and show up on a later view.
+function getDirectoryPage(page) {
+  const all = directory.list();
+  const pages = Math.max(1, Math.ceil(all.length / DIRECTORY_PAGE_SIZE));
+  const current = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pages);
+  const slice = all.slice((current - 1) * DIRECTORY_PAGE_SIZE, current * DIRECTORY_PAGE_SIZE);
+
+  const feeds = slice.map((f) => {
+    const entry = {
+      rssUrl: f.rssUrl,
+      title: f.title || f.rssUrl,
+      category: f.category,
+      url: "/?rss=" + encodeURIComponent(f.rssUrl),
+      imageUrl: "",
+      episodes: 0,
+    };
+
+    const cached = feedCache.peek(f.rssUrl);
+    if (!cached || !cached.fresh) queueDirectoryFeed(f.rssUrl);
+    if (!cached) {
+      const s = feedCache.status(f.rssUrl);
+      if (s && s.lastError && !directoryFetching.has(f.rssUrl) && !directoryWaiting.has(f.rssUrl)) {
+        entry.error = "Feed unavailable";
+      } else {
+        entry.loading = true;
+      }
+      return entry;
+    }
 
-    .ep { display:flex; gap:14px; padding:14px; border-bottom:1px solid #1c1c1c; cursor:pointer; background:transparent; border:none; width:100%; color:inherit; text-align:left; }
-    .ep:hover { background:#13131a; }
-    .ep:focus { outline:3px solid rgba(75,124,255,.55); outline-offset:-3px; }
-    .ep.active { background: var(--surface); border-left: 6px solid var(--highlight); padding-left:8px; }
+    const feed = cached.feed;
+    entry.title = feed.title || entry.title;
+    entry.imageUrl = feedArtworkUrl(feed, feedQueryFor(f.rssUrl, null), "thumb");
+    entry.episodes = (feed.items || []).filter((it) => !!pickMedia(it).url).length;
+    return entry;
+  });
 
-    .thumb { width:120px; height:68px; background:#111; border-radius:10px; flex-shrink:0; overflow:hidden; border:1px solid #222; }
-    .thumb img { width:100%; height:100%; object-fit:cover; }
-    .thumb .placeholder { width:100%; height:100%; display:flex; align-items:center; justify-content:center; color:#333; font-size:20px; font-weight:800; background:#111; }
+  return { page: current, pages, total: all.length, feeds };
+}
 
-    .info { flex:1; min-width:0; }
-    .t { font-size:15px; font-weight:800; margin:0 0 6px 0; line-height:1.2; overflow:hidden; text-overflow:ellipsis; display:-webkit-box; -webkit-line-clamp:2; -webkit-box-orient:vertical; }
-    .d { font-size:12px; color:#8f8f9c; display:flex; gap:10px; flex-wrap:wrap; }
-    .pill { font-size:11px; padding:2px 8px; border:1px solid #2a2a35; border-radius:999px; color:#bdbdc9; }
+// -------------------- Metrics --------------------
+// Served on /metrics (lib/metrics.js). Host labels come from feed and media URLs, so the
+// registry caps how many label combinations it keeps.
+const metrics = createRegistry({ prefix: "rsstv_" });
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests by route and status.", ["method", "route", "status"]);
+const httpDuration = metrics.histogram("http_request_duration_seconds", "HTTP response time by route.", ["route"]);
+const upstreamDuration = metrics.histogram(
+  "upstream_fetch_duration_seconds",
+  "Upstream fetches (feed, chapters, captions, image) by outcome, parsing included.",
+  ["kind", "outcome"]
+);
+const upstreamErrors = metrics.counter("upstream_errors_total", "Failed upstream requests by kind and host.", ["kind", "host"]);
+const cacheLookups = metrics.counter("cache_lookups_total", "Cache lookups by cache and result (hit, stale, miss).", ["cache", "result"]);
+const episodesServed = metrics.counter("episodes_served_total", "Episodes returned by /api/episodes.json.", ["source"]);
+const playbackErrors = metrics.counter("client_playback_errors_total", "Playback errors reported by TV screens.", ["code", "host"]);
+metrics.gauge("feed_cache_feeds", "Feeds in the feed cache by state.", ["state"], () => {
+  const counts = { fresh: 0, stale: 0, expired: 0, error: 0 };
+  for (const f of feedCache.inspect()) counts[f.state]++;
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+metrics.gauge("watch_party_rooms", "Open watch-party rooms.", [], () => [
+  { labels: {}, value: roomHub ? roomHub.size().rooms : 0 },
+]);
+metrics.gauge("watch_party_viewers", "Screens connected to watch-party rooms.", [], () => [
+  { labels: {}, value: roomHub ? roomHub.size().viewers : 0 },
+]);
+metrics.gauge("process_resident_memory_bytes", "Resident memory size.", [], () => [
+  { labels: {}, value: process.memoryUsage().rss },
+]);
+metrics.gauge("process_uptime_seconds", "Seconds since the server started.", [], () => [
+  { labels: {}, value: Math.round(process.uptime()) },
+]);
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname || "unknown";
+  } catch {
+    return "unknown";
+  }
+}
 
-    .bar { padding:10px 14px; background:#0f0f16; border-bottom:1px solid #1f1f2a; font-size:12px; color:#9a9aac; display:flex; gap:10px; flex-wrap:wrap; }
-    .bar code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; color:#c7c7d6; }
+/**
+ * Wraps a cache's fetch function to time it and count failures per host.
+ * `urlOf(key)` gives the upstream URL for a cache key.
+ */
+function instrumentFetch(kind, urlOf, fetchFn) {
+  return async (key, validators) => {
+    const start = process.hrtime.bigint();
+    let outcome = "error";
+    try {
+      const result = await fetchFn(key, validators);
+      outcome = result.notModified ? "not_modified" : "ok";
+      return result;
+    } catch (err) {
+      upstreamErrors.inc({ kind, host: hostOf(urlOf(key)) });
+      throw err;
+    } finally {
+      upstreamDuration.observe({ kind, outcome }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
 
-    ::-webkit-scrollbar { width:10px; }
-    ::-webkit-scrollbar-track { background:#0b0b0f; }
-    ::-webkit-scrollbar-thumb { background:#333; border-radius:999px; }
-  </style>
-</head>
-<body>
-  <header>
-    <h1>${escapeHtml(channelTitle)}</h1>
-    <div class="hint">REMOTE/KEYS: ↑↓ Select • ENTER Play • SPACE Pause/Play • F Fullscreen (video)</div>
-  </header>
+// Options for createFeedCache: a component logger and hit/miss counting under `name`.
+function cacheHooks(name) {
+  return {
+    onLookup: (result) => cacheLookups.inc({ cache: name, result }),
+    log: log.child({ component: "cache", cache: name }),
+  };
+}
 
-  <div class="bar">
-    <span>Feed:</span>
-    <code>${escapeHtml(rssUrl)}</code>
-    <span>•</span>
-    <span>Refresh: add <code>?refresh=1</code></span>
-    ${ALLOW_QUERY_RSS ? `<span>•</span><span>Try another feed: <code>?rss=https%3A%2F%2Fexample.com%2Ffeed.xml</code></span>` : ""}
-  </div>
-
-  <div class="wrap">
-    <section class="player">
-      <div class="stage">
-        <div id="posterBg" class="poster"></div>
-        <div class="posterOverlay"></div>
-
-        <div class="artWrap" id="artWrap" aria-hidden="true">
-          <div class="art"><img id="artImg" alt="" /></div>
-        </div>
-
-        <video id="videoEl" controls playsinline style="display:none;"></video>
-
-        <div class="controlsRow" id="audioRow" style="display:none;">
-          <audio id="audioEl" controls></audio>
-        </div>
-      </div>
-
-      <div class="meta">
-        <h2 id="epTitle" class="title">Select an episode…</h2>
-        <p id="epDesc" class="sub"></p>
-        <div class="tiny" id="epMeta"></div>
-      </div>
-    </section>
-
-    <section class="list" id="playlist" tabindex="0" aria-label="Episode list"></section>
-  </div>
+// -------------------- Caching --------------------
+async function fetchFeed(rssUrl, { etag, lastModified }) {
+  const headers = {
+    "user-agent": "rss-tv-channel/1.0",
+    accept:
+      "application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, " +
+      "text/xml;q=0.9, application/json;q=0.8, audio/x-mpegurl;q=0.5, application/vnd.apple.mpegurl;q=0.5",
+  };
+  if (etag) headers["if-none-match"] = etag;
+  if (lastModified) headers["if-modified-since"] = lastModified;
+
+  const res = await safeFetch(rssUrl, {
+    // Feeds the operator configured may live on a private network; ?rss= feeds may not.
+    allowPrivate: isTrustedFeedUrl(rssUrl),
+    validateUrl: isTrustedFeedUrl(rssUrl) ? null : validateRssUrl,
+    accept: isFeedContentType,
+    timeoutMs: FETCH_TIMEOUT_MS,
+    maxBytes: FETCH_MAX_BYTES,
+    headers,
+  });
+
+  if (res.status === 304) return { notModified: true };
+
+  // RSS, Atom, JSON Feed or an M3U playlist, all in rss-parser's shape (lib/feed-formats.js).
+  const text = res.body.toString("utf8");
+  const format = detectFeedFormat(res.headers["content-type"], text);
+  let feed;
+  try {
+    if (format === "json") feed = parseJsonFeed(text, res.url);
+    else if (format === "m3u") feed = parseM3u(text, res.url);
+    else feed = normalizeXmlFeed(await parser.parseString(text));
+  } catch (err) {
+    throw new FetchError(`Not a valid RSS, Atom, JSON Feed or M3U feed (${err.message})`, "INVALID_FEED");
+  }
+  return { feed, etag: res.headers.etag || "", lastModified: res.headers["last-modified"] || "" };
+}
 
-  <script>
-    const episodes = ${JSON.stringify(episodes)};
-
-    const playlist = document.getElementById('playlist');
-    const epTitle = document.getElementById('epTitle');
-    const epDesc = document.getElementById('epDesc');
-    const epMeta = document.getElementById('epMeta');
-
-    const videoEl = document.getElementById('videoEl');
-    const audioEl = document.getElementById('audioEl');
-    const audioRow = document.getElementById('audioRow');
-
-    const posterBg = document.getElementById('posterBg');
-    const artImg = document.getElementById('artImg');
-    const artWrap = document.getElementById('artWrap');
-
-    let currentIndex = 0;
-
-    function esc(s) {
-      if (!s) return '';
-      return String(s)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-    }
+// Ad-hoc ?rss= feeds; lineup and directory feeds are the operator's.
+function isQueryFeed(rssUrl) {
+  return !isTrustedFeedUrl(rssUrl) && !directory.has(rssUrl);
+}
 
-    function setActive(i) {
-      document.querySelectorAll('.ep').forEach(el => el.classList.remove('active'));
-      const btn = document.getElementById('ep-' + i);
-      if (btn) btn.classList.add('active');
-    }
+const feedCache = createFeedCache({
+  fetchFeed: instrumentFetch("feed", (rssUrl) => rssUrl, fetchFeed),
+  ttlMs: CACHE_TTL_MS,
+  staleMs: CACHE_STALE_MS,
+  maxEntries: CACHE_MAX_FEEDS,
+  maxQueryEntries: QUERY_FEEDS_MAX > 0 ? QUERY_FEEDS_MAX : Infinity,
+  isQueryFeed,
+  snapshotFile: CACHE_SNAPSHOT_FILE,
+  ...cacheHooks("feeds"),
+});
 
-    function renderPlaylist() {
-      playlist.innerHTML = episodes.map((ep, i) => {
-        const thumb = ep.imageUrl
-          ? '<img src="' + esc(ep.imageUrl) + '" loading="lazy" alt=""/>'
-          : '<div class="placeholder">' + (episodes.length - i) + '</div>';
-
-        const dur = ep.duration ? '<span class="pill">' + esc(ep.duration) + '</span>' : '';
-        const kind = '<span class="pill">' + (ep.kind === 'video' ? 'Video' : 'Audio') + '</span>';
-
-        return (
-          '<button class="ep" id="ep-' + i + '" type="button" onclick="playIndex(' + i + ')">' +
-            '<div class="thumb">' + thumb + '</div>' +
-            '<div class="info">' +
-              '<div class="t">' + esc(ep.title) + '</div>' +
-              '<div class="d"><span>' + esc(ep.date || '') + '</span>' + kind + dur + '</div>' +
-            '</div>' +
-          '</button>'
-        );
-      }).join('');
-    }
+// -------------------- Rate limits --------------------
+// In-memory counters; when running several instances, swap in a shared store (see lib/rate-limit.js).
+const rateLimitStore = createMemoryStore();
+const ipLimiter = createRateLimiter({ store: rateLimitStore, windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_IP_MAX });
+const feedLimiter = createRateLimiter({ store: rateLimitStore, windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_FEED_MAX });
+const refreshLimiter = createRateLimiter({ store: rateLimitStore, windowMs: REFRESH_MIN_INTERVAL_MS, max: 1 });
+const progressLimiter = createRateLimiter({ store: rateLimitStore, windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_PROGRESS_MAX });
+const eventsLimiter = createRateLimiter({ store: rateLimitStore, windowMs: RATE_LIMIT_WINDOW_MS, max: RATE_LIMIT_EVENTS_MAX });
 
-    function showArtwork(url) {
-      const u = url || '';
-      posterBg.style.backgroundImage = u ? ('url("' + esc(u) + '")') : 'none';
-      artImg.src = u || '';
-      artWrap.style.display = u ? 'flex' : 'none';
+/**
+ * `force` (?refresh=1) refetches the feed, but only once per REFRESH_MIN_INTERVAL_MS per feed;
+ * until then the cached copy is served as usual.
+ */
+async function getFeed(rssUrl, force = false) {
+  if (force && REFRESH_MIN_INTERVAL_MS > 0) {
+    try {
+      force = (await refreshLimiter.check("refresh " + rssUrl)).ok;
+    } catch (err) {
+      log.error("Rate limit store failed", { err });
     }
+  }
+  return feedCache.get(rssUrl, { force });
+}
 
-    function stopAll() {
-      try { videoEl.pause(); } catch(e) {}
-      try { audioEl.pause(); } catch(e) {}
-      videoEl.removeAttribute('src');
-      audioEl.removeAttribute('src');
-      videoEl.load();
-      audioEl.load();
-    }
+// The parsed URL without its fragment, so respellings of one feed (host case, a default port, a
+// trailing "#") share a budget. URLs the route will refuse are never fetched and have no key.
+function feedLimitKey(rss) {
+  const v = validateRssUrl(rss);
+  if (!v.ok) return "";
+  const url = new URL(v.url);
+  url.hash = "";
+  return url.href;
+}
 
-    function playIndex(i) {
-      if (i < 0 || i >= episodes.length) return;
+/**
+ * Per-IP and per-feed limits for requests that name a ?rss= feed or force a refresh; 429 with
+ * Retry-After when over. Everything else passes untouched. If the store fails, requests pass.
+ */
+async function limitQueryFeeds(req, res, next) {
+  const rss = ALLOW_QUERY_RSS && req.query.rss ? String(req.query.rss) : "";
+  if (!rss && req.query.refresh !== "1") return next();
 
-      currentIndex = i;
-      const ep = episodes[i];
+  let result;
+  try {
+    result = await ipLimiter.check("ip " + req.ip);
+    const key = rss && feedLimitKey(rss);
+    if (result.ok && key) result = await feedLimiter.check("feed " + key);
+  } catch (err) {
+    req.log.error("Rate limit store failed", { err });
+    return next();
+  }
+  if (result.ok) return next();
+  tooManyRequests(res, result);
+}
 
-      setActive(i);
+function tooManyRequests(res, result) {
+  res.setHeader("Retry-After", String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+  res.status(429).json({ error: "Too many requests, try again later." });
+}
 
-      const btn = document.getElementById('ep-' + i);
-      if (btn) {
-        btn.focus();
-        btn.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-      }
+/**
+ * Middleware: a per-client-IP limit on an endpoint that writes server state. `name` keeps each
+ * endpoint's counters apart. If the store fails, requests pass.
+ */
+function limitPerIp(limiter, name) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await limiter.check(name + " " + req.ip);
+    } catch (err) {
+      req.log.error("Rate limit store failed", { err });
+      return next();
+    }
+    if (result.ok) return next();
+    tooManyRequests(res, result);
+  };
+}
 
-      epTitle.textContent = ep.title || 'Untitled Episode';
-      epDesc.textContent = ep.description || '';
-      epMeta.textContent = [ep.date, ep.mediaType].filter(Boolean).join(' • ');
+/**
+ * Whether media and artwork requests may use this feed: always for the operator's feeds, and for
+ * ?rss= feeds only once the rate-limited endpoints have loaded them, so /media and /img can't
+ * be used to fetch new feeds past the limits.
+ */
+function isFeedLoaded(rssUrl) {
+  if (!isQueryFeed(rssUrl)) return true;
+  const s = feedCache.status(rssUrl);
+  return !!(s && s.fetchedAt);
+}
 
-      showArtwork(ep.imageUrl);
+/**
+ * Maps feed errors to a status code, a cause and a message that is safe to show to the client.
+ * The TV page explains each cause: blocked, dns, timeout, upstream_status, too_large,
+ * invalid_feed, network or internal.
+ */
+function feedErrorResponse(err) {
+  if (!(err instanceof FetchError)) return { status: 500, cause: "internal", message: "Error fetching/parsing RSS feed." };
+
+  switch (err.code) {
+    case "BLOCKED_ADDRESS":
+    case "BLOCKED_URL":
+      return { status: 400, cause: "blocked", message: err.message };
+    case "DNS":
+      return { status: 502, cause: "dns", message: err.message };
+    case "TIMEOUT":
+      return { status: 504, cause: "timeout", message: "The server did not answer in time." };
+    case "HTTP_STATUS":
+      return { status: 502, cause: "upstream_status", message: err.message };
+    case "TOO_LARGE":
+      return { status: 502, cause: "too_large", message: err.message };
+    case "BAD_CONTENT_TYPE":
+    case "INVALID_FEED":
+      return { status: 502, cause: "invalid_feed", message: err.message };
+    default:
+      return { status: 502, cause: "network", message: "Could not connect to the server." };
+  }
+}
 
-      stopAll();
+/**
+ * When the last refresh of a cached feed failed, what the client is looking at:
+ * { fetchedAt, cause, message } of the copy being served, or null when it is current.
+ */
+function staleFeedInfo(rssUrl) {
+  const state = feedCache.status(rssUrl);
+  if (!state || !state.lastError || !state.fetchedAt) return null;
+  const { cause, message } = feedErrorResponse(new FetchError(state.lastError, state.lastErrorCode));
+  return { fetchedAt: new Date(state.fetchedAt).toISOString(), cause, message };
+}
 
-      if (ep.kind === 'video') {
-        audioRow.style.display = 'none';
-        audioEl.style.display = 'none';
-        videoEl.style.display = 'block';
-        videoEl.src = ep.mediaUrl;
-        videoEl.poster = ep.imageUrl || "";
-        videoEl.play().catch(() => {});
-      } else {
-        videoEl.style.display = 'none';
-        audioRow.style.display = 'block';
-        audioEl.style.display = 'block';
-        audioEl.src = ep.mediaUrl;
-        audioEl.play().catch(() => {});
-      }
-    }
+// -------------------- Episodes --------------------
+// Normalized episodes per parsed feed object (the cache hands out the same object until the feed
+// changes), then per feedQuery, which ends up in proxied URLs.
+const episodeMemo = new WeakMap();
 
-    // Remote/keyboard controls
-    document.addEventListener('keydown', (e) => {
-      const code = e.code;
-
-      if (code === 'ArrowDown') {
-        e.preventDefault();
-        const next = Math.min(currentIndex + 1, episodes.length - 1);
-        currentIndex = next;
-        const n = document.getElementById('ep-' + next);
-        if (n) { n.focus(); n.scrollIntoView({ behavior: 'smooth', block: 'nearest' }); }
-        return;
-      }
+/**
+ * Every playable episode of a feed in the shape the API and the TV client use. The one place
+ * where feed items become episodes.
+ */
+function toApiEpisodes(feed, feedQuery) {
+  let byQuery = episodeMemo.get(feed);
+  if (!byQuery) {
+    byQuery = new Map();
+    episodeMemo.set(feed, byQuery);
+  }
+  if (!byQuery.has(feedQuery)) byQuery.set(feedQuery, normalizeEpisodes(feed, feedQuery));
+  return byQuery.get(feedQuery);
+}
 
-      if (code === 'ArrowUp') {
-        e.preventDefault();
-        const prev = Math.max(currentIndex - 1, 0);
-        currentIndex = prev;
-        const p = document.getElementById('ep-' + prev);
-        if (p) { p.focus(); p.scrollIntoView({ behavior: 'smooth', block: 'nearest' }); }
-        return;
-      }
+function normalizeEpisodes(feed, feedQuery) {
+  return (feed.items || [])
+    .map((it) => {
+      const media = pickMedia(it);
+      const mediaUrl = media.url || "";
+      const kind = inferKind(mediaUrl, media.type);
+      const streamFormat = inferStreamFormat(mediaUrl, media.type);
+
+      const dateStr = it.isoDate
+        ? new Date(it.isoDate).toISOString()
+        : it.pubDate || "";
+
+      return {
+        id: episodeId(it, mediaUrl),
+        title: it.title || "Untitled Episode",
+        date: dateStr,
+        description: safeTruncate(it.contentSnippet || it.content || "", 1000),
+        mediaUrl,
+        mediaType: media.type || "",
+        kind, // audio|video
+        streamFormat, // hls|dash|""
+        // A stream without a duration is a live stream: nothing to resume or schedule.
+        live: !!streamFormat && !parseDuration(it.duration),
+        imageUrl: pickImageUrl(it),
+        duration: it.duration || "",
+        durationSeconds: parseDuration(it.duration),
+        link: it.link || "",
+        // Fallbacks for when mediaUrl can't be played, in order of preference.
+        sources: mediaSources(it)
+          .slice(1)
+          .map((m) => ({
+            url: m.url,
+            type: m.type,
+            title: m.title || "",
+            kind: inferKind(m.url, m.type),
+            streamFormat: inferStreamFormat(m.url, m.type),
+          })),
+        ...podcastFields(it, feed),
+      };
+    })
+    .filter((e) => !!e.mediaUrl)
+    .map((e) => withProxyUrls(e, feedQuery));
+}
 
-      if (code === 'Enter') {
-        e.preventDefault();
-        playIndex(currentIndex);
-        return;
-      }
+// Lower-cased and without accents, so "cafe" finds "Café".
+function searchText(str) {
+  return String(str || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
 
-      if (code === 'Space') {
-        e.preventDefault();
-        if (videoEl.style.display === 'block') {
-          videoEl.paused ? videoEl.play().catch(()=>{}) : videoEl.pause();
-        } else {
-          audioEl.paused ? audioEl.play().catch(()=>{}) : audioEl.pause();
-        }
-        return;
-      }
+const episodeTime = (e) => Date.parse(e.date);
+// Undated episodes sort last either way.
+const EPISODE_SORTS = {
+  newest: (a, b) => (episodeTime(b) || 0) - (episodeTime(a) || 0),
+  oldest: (a, b) => (episodeTime(a) || Infinity) - (episodeTime(b) || Infinity) || 0,
+  longest: (a, b) => (b.durationSeconds || 0) - (a.durationSeconds || 0),
+};
 
-      if (code === 'KeyF') {
-        if (videoEl.style.display === 'block') {
-          if (document.fullscreenElement) document.exitFullscreen();
-          else videoEl.requestFullscreen?.();
-        }
-        return;
-      }
+/**
+ * Applies the list parameters of /api/episodes.json to a feed's episodes:
+ *   q       every word must appear in the title or description
+ *   kind    audio | video
+ *   since   ISO date or epoch ms; keeps episodes published at or after it (undated ones are dropped)
+ *   sort    newest | oldest | longest (default: feed order)
+ *   offset, limit
+ * Returns { episodes, paging } or { error } for invalid parameters.
+ */
+function pageEpisodes(episodes, query) {
+  let list = episodes;
+
+  const words = searchText(String(query.q || "").slice(0, 200)).split(/\s+/).filter(Boolean);
+  if (words.length) {
+    list = list.filter((e) => {
+      const text = searchText(e.title + " " + e.description);
+      return words.every((w) => text.includes(w));
     });
+  }
 
-    videoEl.addEventListener('ended', () => playIndex(Math.min(currentIndex + 1, episodes.length - 1)));
-    audioEl.addEventListener('ended', () => playIndex(Math.min(currentIndex + 1, episodes.length - 1)));
+  if (query.kind) {
+    if (query.kind !== "audio" && query.kind !== "video") return { error: "kind must be audio or video" };
+    list = list.filter((e) => e.kind === query.kind);
+  }
+
+  if (query.since) {
+    const since = /^\d+$/.test(query.since) ? Number(query.since) : Date.parse(query.since);
+    if (Number.isNaN(since)) return { error: "since must be an ISO date or epoch milliseconds" };
+    list = list.filter((e) => Date.parse(e.date) >= since);
+  }
+
+  if (query.sort) {
+    if (!Object.hasOwn(EPISODE_SORTS, query.sort)) return { error: "sort must be newest, oldest or longest" };
+    // The list may be the memoized one; sort a copy.
+    list = list.slice().sort(EPISODE_SORTS[query.sort]);
+  }
+
+  const offset = Math.max(0, Math.floor(Number(query.offset)) || 0);
+  const limit = Math.max(1, Math.min(Math.floor(Number(query.limit)) || EP_LIMIT, EP_MAX_LIMIT));
+  const total = list.length;
+  return {
+    episodes: list.slice(offset, offset + limit),
+    paging: { offset, limit, total, nextOffset: offset + limit < total ? offset + limit : null },
+  };
+}
+
+// Adds thumbUrl and, with MEDIA_PROXY=1, points media and artwork at this origin.
+function withProxyUrls(ep, feedQuery) {
+  ep.thumbUrl = ep.imageUrl;
+  if (!MEDIA_PROXY) return ep;
+
+  // HLS/DASH manifests reference their segments relative to themselves, so streams stay direct.
+  if (!ep.streamFormat) ep.mediaUrl = `/media/${ep.id}?${feedQuery}`;
+  ep.sources.forEach((m, i) => {
+    if (!m.streamFormat) m.url = `/media/${ep.id}?${feedQuery}&alt=${i + 1}`;
+  });
+  if (ep.imageUrl) {
+    ep.imageUrl = `/img/${ep.id}?size=poster&${feedQuery}`;
+    ep.thumbUrl = `/img/${ep.id}?size=thumb&${feedQuery}`;
+  }
+  return ep;
+}
+
+function feedArtworkUrl(feed, feedQuery, size) {
+  const url = pickFeedImageUrl(feed);
+  return MEDIA_PROXY && url ? `/img/channel?size=${size}&${feedQuery}` : url;
+}
+
+function podcastFields(item, feed) {
+  const fields = pickPodcastFields(item, feed);
+  fields.hasCaptions = !!pickCaptionTranscript(fields.transcripts);
+  return fields;
+}
+
+function findItem(feed, id) {
+  return (feed.items || []).find((it) => episodeId(it, pickMedia(it).url || "") === id) || null;
+}
+
+// -------------------- Chapters --------------------
+async function fetchChapters(chaptersUrl, { etag }) {
+  const res = await safeFetch(chaptersUrl, {
+    allowPrivate: false,
+    validateUrl: validatePublicUrl,
+    accept: (type) => /json/i.test(String(type || "")),
+    timeoutMs: FETCH_TIMEOUT_MS,
+    maxBytes: 1024 * 1024,
+    headers: Object.assign({ "user-agent": "rss-tv-channel/1.0" }, etag ? { "if-none-match": etag } : {}),
+  });
+  if (res.status === 304) return { notModified: true };
+
+  // The feed cache stores any parsed document; here the "feed" is the normalized chapter list.
+  return { feed: normalizeChapters(JSON.parse(res.body.toString("utf8"))), etag: res.headers.etag || "" };
+}
+
+const chaptersCache = createFeedCache({
+  fetchFeed: instrumentFetch("chapters", (chaptersUrl) => chaptersUrl, fetchChapters),
+  ttlMs: CACHE_TTL_MS,
+  staleMs: CACHE_STALE_MS,
+  maxEntries: 200,
+  ...cacheHooks("chapters"),
+});
+
+// -------------------- Captions --------------------
+// Cache key is "type url": the same file is converted differently depending on its declared type.
+async function fetchCaptions(key) {
+  const sep = key.indexOf(" ");
+  const type = key.slice(0, sep);
+  const transcriptUrl = key.slice(sep + 1);
+
+  const res = await safeFetch(transcriptUrl, {
+    allowPrivate: false,
+    validateUrl: validatePublicUrl,
+    // Transcript hosts are sloppy with content types; the declared type in the feed decides the format.
+    accept: null,
+    timeoutMs: FETCH_TIMEOUT_MS,
+    maxBytes: 2 * 1024 * 1024,
+    headers: { "user-agent": "rss-tv-channel/1.0" },
+  });
+
+  return { feed: toVtt(res.body.toString("utf8"), type) };
+}
+
+const captionsCache = createFeedCache({
+  fetchFeed: instrumentFetch("captions", (key) => key.slice(key.indexOf(" ") + 1), fetchCaptions),
+  ttlMs: CACHE_TTL_MS,
+  staleMs: CACHE_STALE_MS,
+  maxEntries: 200,
+  ...cacheHooks("captions"),
+});
+
+// -------------------- Media proxy --------------------
+// Longest side of resized artwork. Output is always JPEG, which every TV browser decodes.
+const IMAGE_SIZES = { thumb: 320, poster: 960 };
+sharp.cache(false); // resized images are cached below
+
+// URLs found inside a feed get the same treatment as the feed: operator-configured feeds
+// may point at private hosts, ?rss= feeds go through validateRssUrl on every hop.
+function feedFetchChecks(rssUrl) {
+  return isTrustedFeedUrl(rssUrl)
+    ? { allowPrivate: true, validateUrl: null }
+    : { allowPrivate: false, validateUrl: validateRssUrl };
+}
+
+// Cache key is "size rssUrl imageUrl": the feed decides which fetch checks apply.
+async function fetchArtwork(key) {
+  const [size, rssUrl] = key.split(" ", 2);
+  const imageUrl = key.slice(size.length + rssUrl.length + 2);
+
+  const res = await safeFetch(imageUrl, {
+    ...feedFetchChecks(rssUrl),
+    accept: (type) => /^image\//i.test(String(type || "")),
+    timeoutMs: FETCH_TIMEOUT_MS,
+    maxBytes: 10 * 1024 * 1024,
+    headers: { "user-agent": "rss-tv-channel/1.0" },
+  });
+
+  const side = IMAGE_SIZES[size];
+  const body = await sharp(res.body)
+    .rotate() // honour EXIF orientation
+    .resize({ width: side, height: side, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer();
+  return { feed: body };
+}
 
-    renderPlaylist();
+const imageCache = createFeedCache({
+  fetchFeed: instrumentFetch("image", (key) => key.split(" ")[2], fetchArtwork),
+  ttlMs: 24 * 60 * 60 * 1000,
+  staleMs: 7 * 24 * 60 * 60 * 1000,
+  maxEntries: IMAGE_CACHE_MAX,
+  ...cacheHooks("images"),
+});
+
+const MEDIA_REQUEST_HEADERS = ["range", "if-range", "if-none-match", "if-modified-since"];
+const MEDIA_RESPONSE_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "etag",
+  "last-modified",
+  "content-encoding",
+];
+
+// -------------------- Output feeds --------------------
+// The lineup republished as feeds podcast apps can subscribe to (lib/output-feed.js).
+const SELF_LINKED_MAX_AGE = 300;
+
+function publicBaseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+// Responses whose links come from publicBaseUrl(). Without PUBLIC_URL they follow the Host
+// header, so a shared cache must not hand one host's copy to another.
+function setSelfLinkedCache(res) {
+  if (PUBLIC_URL) {
+    res.setHeader("Cache-Control", `public, max-age=${SELF_LINKED_MAX_AGE}`);
+  } else {
+    res.setHeader("Cache-Control", `private, max-age=${SELF_LINKED_MAX_AGE}`);
+    res.vary("Host");
+  }
+}
+
+function outputItems(feed, source, prefix) {
+  return (feed.items || [])
+    .map((it) => {
+      const media = pickMedia(it);
+      if (!media.url) return null;
+      const fields = pickPodcastFields(it, feed);
+      const title = it.title || "Untitled Episode";
+      return {
+        guid: (typeof it.guid === "string" && it.guid.trim()) || media.url,
+        title: prefix ? `${source.name}: ${title}` : title,
+        link: it.link || "",
+        date: it.isoDate ? new Date(it.isoDate).toISOString() : "",
+        description: safeTruncate(it.contentSnippet || it.content || "", 4000),
+        mediaUrl: media.url,
+        mediaType: media.type,
+        mediaLength: (it.enclosure && it.enclosure.length) || 0,
+        kind: inferKind(media.url, media.type),
+        durationSeconds: parseDuration(it.duration),
+        imageUrl: pickImageUrl(it) || pickFeedImageUrl(feed),
+        episodeType: fields.episodeType,
+        season: fields.season,
+        episodeNumber: fields.episodeNumber,
+        chapters: fields.chapters,
+        transcripts: fields.transcripts,
+        source: { title: source.name, url: source.rssUrl },
+      };
+    })
+    .filter(Boolean);
+}
 
-    if (episodes.length > 0) {
-      // Highlight first episode without autoplay
-      setActive(0);
-      const ep = episodes[0];
-      epTitle.textContent = ep.title || 'Untitled Episode';
-      epDesc.textContent = ep.description || '';
-      epMeta.textContent = [ep.date, ep.mediaType].filter(Boolean).join(' • ');
-      showArtwork(ep.imageUrl);
+/**
+ * Merges the feeds of some channels into one list, newest first. An item that shows up in
+ * several feeds (same guid or same media URL) is kept once. A feed that fails to load is
+ * left out; only when every feed fails is the error passed on.
+ *   options: { kind: "audio"|"video"|"", prefix: bool, limit }
+ * Returns { items, feeds } where feeds are the parsed feeds that loaded.
+ */
+async function mergeFeeds(channels, { kind, prefix, limit }) {
+  const results = await Promise.allSettled(channels.map((ch) => getFeed(ch.rssUrl)));
+  const failed = results.filter((r) => r.status === "rejected");
+  if (failed.length === results.length) throw failed[0].reason;
+
+  const items = [];
+  const feeds = [];
+  results.forEach((r, idx) => {
+    const ch = channels[idx];
+    if (r.status === "rejected") {
+      log.warn("Output feed: channel skipped", { channel: ch.slug, err: r.reason });
+      return;
     }
+    feeds.push(r.value);
+    const source = { name: ch.name || r.value.title || ch.slug, rssUrl: ch.rssUrl };
+    items.push(...outputItems(r.value, source, prefix));
+  });
+
+  const seen = new Set();
+  const merged = items
+    .filter((item) => !kind || item.kind === kind)
+    // Undated items go last; the sort is stable, so they keep their feed order.
+    .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))
+    .filter((item) => {
+      if (seen.has(item.guid) || seen.has(item.mediaUrl)) return false;
+      seen.add(item.guid);
+      seen.add(item.mediaUrl);
+      return true;
+    });
+
+  return { items: merged.slice(0, limit), feeds };
+}
+
+/**
+ * Reads the output feed parameters. Returns { channels, kind, prefix, limit } or { error }.
+ */
+function outputFeedOptions(query, channel) {
+  let channels = channel ? [channel] : LINEUP;
+  if (!channel && query.channel) {
+    const slugs = String(query.channel).split(",").map((s) => s.trim()).filter(Boolean);
+    channels = slugs.map(findChannel);
+    const unknown = slugs.filter((s, idx) => !channels[idx]);
+    if (unknown.length) return { error: `Unknown channel: ${unknown.join(", ")}` };
+  }
+
+  const kind = String(query.kind || "");
+  if (kind && kind !== "audio" && kind !== "video") return { error: "kind must be audio or video" };
+
+  // Prefixing tells merged items apart; a single channel's items don't need it.
+  const prefix = query.prefix === undefined ? channels.length > 1 : query.prefix === "1";
+  const limit = Math.max(1, Math.min(Math.floor(Number(query.limit)) || EP_LIMIT, EP_MAX_LIMIT));
+  return { channels, kind, prefix, limit };
+}
+
+function outputChannel(req, channels, feeds, kind) {
+  const base = publicBaseUrl(req);
+  const single = channels.length === 1 ? channels[0] : null;
+  const feed = feeds.length === 1 ? feeds[0] : null;
+  const itunes = (feed && feed.itunes) || {};
+  const title =
+    (single && (single.name || (feed && feed.title) || single.slug)) ||
+    channels.map((ch) => ch.name || ch.slug).join(" + ");
+
+  return {
+    title: kind ? `${title} (${kind})` : title,
+    description: feed ? stripHtml(feed.description || "") : `Episodes from ${channels.length} channels`,
+    homeUrl: single ? `${base}/channel/${encodeURIComponent(single.slug)}` : `${base}/guide`,
+    feedUrl: base + req.originalUrl,
+    // Podcast apps want channel artwork; a merged feed borrows the first channel's.
+    imageUrl: feeds.map(pickFeedImageUrl).find(Boolean) || "",
+    language: (feeds[0] && feeds[0].language) || "",
+    author: itunes.author || "",
+    category: (itunes.categories && itunes.categories[0]) || "",
+    medium: kind === "video" ? "video" : "podcast",
+  };
+}
+
+async function sendOutputFeed(req, res, format, channel) {
+  const opts = outputFeedOptions(req.query, channel);
+  if (opts.error) return res.status(400).type("text/plain").send(opts.error);
+
+  try {
+    const { items, feeds } = await mergeFeeds(opts.channels, opts);
+    const info = outputChannel(req, opts.channels, feeds, opts.kind);
+    setSelfLinkedCache(res);
+    if (format === "json") res.type("application/feed+json").send(toJsonFeed(info, items));
+    else res.type("application/rss+xml").send(toRss(info, items));
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).type("text/plain").send(message);
+  }
+}
+
+// -------------------- Request logs --------------------
+const REQUEST_ID_RE = /^[\w.:-]{1,64}$/;
+// Probes and scrapes would drown everything else; they are logged at debug level.
+const QUIET_PATHS = new Set(["/health", "/health/ready", "/metrics"]);
+
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = log.child({ reqId: req.id });
+  res.setHeader("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    // The route pattern, not the URL, so IDs and slugs don't make a series each.
+    const route = req.route ? req.baseUrl + req.route.path : res.statusCode === 404 ? "unmatched" : "static";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, seconds);
+
+    const fields = {
+      method: req.method,
+      // Screens pass the remote token in the query string; it stays out of the logs.
+      url: req.originalUrl.replace(/([?&]token=)[^&#]*/gi, "$1REDACTED"),
+      status: res.statusCode,
+      ms: Math.round(seconds * 1000),
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+    };
+    if (QUIET_PATHS.has(req.path)) req.log.debug("Request", fields);
+    else req.log.info("Request", fields);
+  });
+  next();
+});
+
+// -------------------- Routes --------------------
+// Liveness: the process is up. Readiness (below) looks at the feeds.
+app.get("/health", (req, res) => res.status(200).send("ok"));
+
+/**
+ * Readiness: the state of every channel's feed in the cache, with its last successful fetch.
+ * 200 while at least one channel has episodes to show ("ok" when all do, "degraded" otherwise),
+ * 503 ("down") when none has. Feeds that were never requested are loaded in the background,
+ * so the next probe sees them.
+ */
+app.get("/health/ready", (req, res) => {
+  const cached = new Map(feedCache.inspect().map((f) => [f.rssUrl, f]));
+  const feeds = LINEUP.map((ch) => {
+    const f = cached.get(ch.rssUrl);
+    if (!f) getFeed(ch.rssUrl).catch(() => {});
+    return {
+      channel: ch.slug,
+      state: f ? f.state : "loading",
+      lastSuccessAt: f ? f.fetchedAt : null,
+      ageMs: f ? f.ageMs : null,
+      items: f ? f.items : 0,
+      lastError: f ? f.lastError : "",
+      lastErrorAt: f ? f.lastErrorAt : null,
+    };
+  });
+
+  // Expired copies still count: the cache serves them while upstream is failing.
+  const usable = feeds.filter((f) => ["fresh", "stale", "expired"].includes(f.state)).length;
+  const status = usable === feeds.length ? "ok" : usable > 0 ? "degraded" : "down";
+  res.setHeader("Cache-Control", "no-store");
+  res.status(status === "down" ? 503 : 200).json({ status, uptimeSeconds: Math.round(process.uptime()), feeds });
+});
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && !tokenMatches(bearerToken(req), METRICS_TOKEN)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).type("text/plain").send("Wrong or missing metrics token.");
+  }
+  res.setHeader("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+/**
+ * Playback errors reported by the TV page (navigator.sendBeacon), counted in
+ * rsstv_client_playback_errors_total. Body: { code, host }. With TELEMETRY=1 the page sends
+ * them to /api/events instead, which counts them too.
+ */
+app.post("/api/playback-errors", limitPerIp(eventsLimiter, "playback-errors"), express.json({ limit: "1kb", type: () => true }), (req, res) => {
+  const body = req.body || {};
+  const code = PLAYBACK_ERROR_CODES.includes(body.code) ? body.code : "other";
+  const host = typeof body.host === "string" && HOSTNAME_RE.test(body.host.toLowerCase()) ? body.host.toLowerCase() : "unknown";
+  playbackErrors.inc({ code, host });
+  req.log.warn("Playback error reported", { code, host, episodeId: String(body.episodeId || "").slice(0, 100) });
+  res.status(204).end();
+});
+
+// The endpoints that load feeds for the TV client. (Media and artwork requests come in bursts
+// for feeds those endpoints already loaded, so they are left out; see isFeedLoaded.)
+app.use(["/api/episodes.json", "/api/schedule.json", "/api/chapters", "/api/captions", "/episode"], limitQueryFeeds);
+
+// HLS/DASH playback libraries, served from node_modules so TVs never depend on a CDN.
+const VENDOR_FILES = {
+  "hls.min.js": require.resolve("hls.js/dist/hls.min.js"),
+  "dash.mediaplayer.min.js": require.resolve("dashjs/dist/dash.mediaplayer.min.js"),
+};
+
+app.get("/vendor/:file", (req, res) => {
+  const file = VENDOR_FILES[req.params.file];
+  if (!file) return res.status(404).send("Not found");
+  res.sendFile(file, { maxAge: "7d" });
+});
+
+// The TV page's service worker. Served from the root so it may handle / and /channel/*.
+app.get("/sw.js", (req, res) => {
+  if (!OFFLINE) return res.status(404).type("text/plain").send("Not found");
+  res.setHeader("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, "public", "sw.js"));
+});
+
+// TV client assets (public/). Revalidated on every load so a deploy reaches TVs right away.
+app.use("/static", express.static(path.join(__dirname, "public"), { maxAge: 0, index: false }));
+
+/**
+ * Same-origin copy of an episode's enclosure (MEDIA_PROXY=1). Range requests are passed
+ * through, so seeking works without downloading the whole file.
+ * Usage (as a media src):
+ *   /media/EPISODE_ID?channel=news
+ *   /media/EPISODE_ID?channel=news&alt=1   (the episode's first fallback source)
+ */
+app.get("/media/:episodeId", async (req, res) => {
+  if (!MEDIA_PROXY) return res.status(404).type("text/plain").send("Not found");
+
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).type("text/plain").send(src.reason);
+    if (!isFeedLoaded(src.rssUrl)) return res.status(404).type("text/plain").send("Unknown feed");
+
+    const feed = await getFeed(src.rssUrl);
+    const item = findItem(feed, req.params.episodeId);
+    if (!item) return res.status(404).type("text/plain").send("Unknown episode");
+
+    // ?alt=N: one of the fallback sources (see mediaSources).
+    const source = mediaSources(item)[Number(req.query.alt) || 0];
+    if (!source) return res.status(404).type("text/plain").send("Unknown source");
+    const mediaUrl = source.url;
+    // Identity encoding keeps Content-Length and Content-Range meaningful for the player.
+    const headers = { "user-agent": "rss-tv-channel/1.0", "accept-encoding": "identity" };
+    for (const h of MEDIA_REQUEST_HEADERS) if (req.headers[h]) headers[h] = req.headers[h];
+
+    const upstream = await safeStream(mediaUrl, {
+      ...feedFetchChecks(src.rssUrl),
+      accept: null,
+      timeoutMs: FETCH_TIMEOUT_MS,
+      headers,
+    });
+
+    res.status(upstream.status);
+    for (const h of MEDIA_RESPONSE_HEADERS) if (upstream.headers[h]) res.setHeader(h, upstream.headers[h]);
+    // no-transform keeps the compression middleware away from byte ranges.
+    res.setHeader("Cache-Control", "public, max-age=3600, no-transform");
+
+    if (!upstream.stream || req.method === "HEAD") {
+      if (upstream.stream) upstream.stream.destroy();
+      return res.end();
+    }
+
+    // A stalled upstream would otherwise hold the player's connection open forever.
+    upstream.stream.setTimeout(FETCH_TIMEOUT_MS, () => upstream.stream.destroy(new Error("Upstream stalled")));
+    pipeline(upstream.stream, res, (err) => {
+      if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        upstreamErrors.inc({ kind: "media", host: hostOf(mediaUrl) });
+        req.log.warn("Media proxy: upstream failed", { url: mediaUrl, err });
+      }
+    });
+  } catch (err) {
+    if (err instanceof FetchError && err.status === 416) return res.status(416).end();
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).type("text/plain").send(status === 500 ? "Error fetching media." : message);
+  }
+});
+
+/**
+ * Episode or channel artwork, resized and cached (MEDIA_PROXY=1).
+ * Usage:
+ *   /img/EPISODE_ID?size=thumb&channel=news
+ *   /img/channel?size=poster&channel=news   (the feed's own artwork)
+ */
+app.get("/img/:id", async (req, res) => {
+  if (!MEDIA_PROXY) return res.status(404).type("text/plain").send("Not found");
+
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).type("text/plain").send(src.reason);
+
+    if (!isFeedLoaded(src.rssUrl)) return res.status(404).type("text/plain").send("Unknown feed");
+
+    const size = IMAGE_SIZES[req.query.size] ? req.query.size : "poster";
+    const feed = await getFeed(src.rssUrl);
+
+    let imageUrl;
+    if (req.params.id === "channel") {
+      imageUrl = pickFeedImageUrlRaw(feed);
+    } else {
+      const item = findItem(feed, req.params.id);
+      if (!item) return res.status(404).type("text/plain").send("Unknown episode");
+      imageUrl = pickImageUrlRaw(item);
+    }
+    if (!imageUrl) return res.status(404).type("text/plain").send("No artwork");
+
+    const body = await imageCache.get([size, src.rssUrl, imageUrl].join(" "));
+    res.setHeader("Content-Type", "image/jpeg");
+    res.setHeader("Cache-Control", "public, max-age=86400");
+    res.send(body);
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).type("text/plain").send(status === 500 ? "Error fetching artwork." : message);
+  }
+});
+
+/**
+ * Returns normalized episode metadata for any RSS feed, EP_LIMIT episodes at a time.
+ * Usage:
+ *   /api/episodes.json
+ *   /api/episodes.json?rss=https%3A%2F%2Fexample.com%2Ffeed.xml
+ *   /api/episodes.json?channel=news&offset=100&limit=50
+ *   /api/episodes.json?channel=news&since=2024-01-01
+ *   /api/episodes.json?channel=news&q=interview&kind=video&sort=oldest
+ * paging.nextOffset is the offset of the next page, or null on the last one.
+ */
+app.get("/api/episodes.json", async (req, res) => {
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).json({ error: src.reason });
+    const rssUrl = src.rssUrl;
+
+    const force = req.query.refresh === "1";
+    const feed = await getFeed(rssUrl, force);
+
+    const feedQuery = feedQueryFor(rssUrl, src.channel);
+    const all = toApiEpisodes(feed, feedQuery);
+    if (!all.length) {
+      return res.status(422).json({
+        error: "This feed has no playable audio or video episodes.",
+        cause: "no_playable_items",
+      });
+    }
+    const page = pageEpisodes(all, req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    episodesServed.inc({ source: src.channel ? "channel" : "rss" }, page.episodes.length);
+    res.setHeader("Cache-Control", "public, max-age=60");
+    res.json({
+      feed: {
+        title: feed.title || "",
+        link: feed.link || "",
+        description: stripHtml(feed.description || ""),
+        imageUrl: feedArtworkUrl(feed, feedQuery, "poster"),
+        rssUrl,
+        channel: src.channel ? src.channel.slug : null,
+        // Points the other endpoints (schedule, chapters, captions) at this feed.
+        query: feedQuery,
+        // Set when upstream is failing and this is the last good copy.
+        stale: staleFeedInfo(rssUrl),
+      },
+      mode: isLinearMode(req.query, src.channel) ? "linear" : "ondemand",
+      paging: page.paging,
+      episodes: page.episodes,
+    });
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    const { status, cause, message } = feedErrorResponse(err);
+    res.status(status).json({ error: message, cause });
+  }
+});
+
+/**
+ * Chapters of one episode (podcast:chapters JSON), fetched server-side and normalized.
+ * Usage:
+ *   /api/chapters/EPISODE_ID.json?channel=news
+ *   /api/chapters/EPISODE_ID.json?rss=https%3A%2F%2Fexample.com%2Ffeed.xml
+ */
+app.get("/api/chapters/:episodeId.json", async (req, res) => {
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).json({ error: src.reason });
+
+    const feed = await getFeed(src.rssUrl);
+    const item = findItem(feed, req.params.episodeId);
+    if (!item) return res.status(404).json({ error: "Unknown episode" });
+
+    const { chapters } = pickPodcastFields(item, feed);
+    if (!chapters) return res.json({ chapters: [] });
+
+    const list = await chaptersCache.get(chapters.url);
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.json({ chapters: list });
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).json({ error: status === 500 ? "Error fetching chapters." : message });
+  }
+});
+
+/**
+ * Closed captions of one episode as WebVTT, converted from its podcast:transcript.
+ * Usage (as a <track> src):
+ *   /api/captions/EPISODE_ID.vtt?channel=news
+ */
+app.get("/api/captions/:episodeId.vtt", async (req, res) => {
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).type("text/plain").send(src.reason);
+
+    const feed = await getFeed(src.rssUrl);
+    const item = findItem(feed, req.params.episodeId);
+    if (!item) return res.status(404).type("text/plain").send("Unknown episode");
+
+    const transcript = pickCaptionTranscript(pickPodcastFields(item, feed).transcripts);
+    if (!transcript) return res.status(404).type("text/plain").send("No timed transcript for this episode");
+
+    const vtt = await captionsCache.get(transcript.type.split(";")[0].trim() + " " + transcript.url);
+    res.setHeader("Content-Type", "text/vtt; charset=utf-8");
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    res.send(vtt);
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).type("text/plain").send(status === 500 ? "Error fetching captions." : message);
+  }
+});
+
+/**
+ * Linear schedule for a feed: what is on now and what comes next.
+ * Usage:
+ *   /api/schedule.json
+ *   /api/schedule.json?channel=news&upnext=10
+ *   /api/schedule.json?rss=https%3A%2F%2Fexample.com%2Ffeed.xml
+ */
+app.get("/api/schedule.json", async (req, res) => {
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).json({ error: src.reason });
+
+    const feed = await getFeed(src.rssUrl);
+    const upNext = Math.max(0, Math.min(Number(req.query.upnext) || 5, 50));
+    // The schedule loops over the first page, which is what the TV client loads up front.
+    const episodes = toApiEpisodes(feed, feedQueryFor(src.rssUrl, src.channel)).slice(0, EP_LIMIT);
+    const schedule = buildSchedule(episodes, {
+      epochMs: LINEAR_EPOCH_MS,
+      nowMs: Date.now(),
+      upNext,
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: "No episodes with a known duration to schedule." });
+    }
+
+    // Short max-age: "now playing" moves on, and clients correct for their own clock.
+    res.setHeader("Cache-Control", "public, max-age=5");
+    res.json(Object.assign({ feed: { title: feed.title || "", rssUrl: src.rssUrl } }, schedule));
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).json({ error: message });
+  }
+});
+
+/**
+ * Per-viewer playback progress (only when PROGRESS_SYNC=1).
+ *   GET  /api/progress?viewer=alice
+ *   POST /api/progress  { viewer, episodeId, position, duration, watched }
+ */
+app.get("/api/progress", (req, res) => {
+  if (!progressStore) return res.status(404).json({ error: "Progress sync is disabled" });
+
+  const viewer = String(req.query.viewer || "");
+  if (!VIEWER_RE.test(viewer)) return res.status(400).json({ error: "Invalid viewer" });
+
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ viewer, progress: progressStore.get(viewer) });
+});
+
+app.post("/api/progress", limitPerIp(progressLimiter, "progress"), express.json({ limit: "4kb" }), (req, res) => {
+  if (!progressStore) return res.status(404).json({ error: "Progress sync is disabled" });
+
+  const { viewer, episodeId: id, position, duration, watched } = req.body || {};
+  if (!VIEWER_RE.test(String(viewer || ""))) return res.status(400).json({ error: "Invalid viewer" });
+  if (!EPISODE_ID_RE.test(String(id || ""))) return res.status(400).json({ error: "Invalid episodeId" });
+  if (!Number.isFinite(position) || position < 0) return res.status(400).json({ error: "Invalid position" });
+
+  const entry = progressStore.put(viewer, id, {
+    position,
+    duration: Number.isFinite(duration) && duration > 0 ? duration : 0,
+    watched,
+  });
+  res.json({ viewer, episodeId: id, progress: entry });
+});
+
+/**
+ * Playback beacons from the TV page (TELEMETRY=1), one event or { events: [...] }:
+ *   { type: "play"|"resume"|"pause"|"ended"|"error"|"progress", episodeId, title, channel, host,
+ *     watchedSeconds, code }
+ * Sent with navigator.sendBeacon, so any content type is accepted.
+ */
+app.post("/api/events", limitPerIp(eventsLimiter, "events"), express.json({ limit: "16kb", type: () => true }), (req, res) => {
+  if (!telemetry) return res.status(404).json({ error: "Telemetry is disabled" });
+
+  const body = req.body || {};
+  const incoming = Array.isArray(body.events) ? body.events : [body];
+  const events = incoming.slice(0, MAX_EVENTS_PER_BEACON).map(checkEvent).filter(Boolean);
+  if (!events.length) return res.status(400).json({ error: "No valid events" });
+
+  for (const e of events) {
+    telemetry.record(e);
+    if (e.type === "error") playbackErrors.inc({ code: e.code, host: e.host || "unknown" });
+  }
+  res.status(204).end();
+});
+
+/**
+ * Most played episodes, completion rates and failure rates per media host (TELEMETRY=1).
+ *   /api/stats.json?limit=20
+ */
+app.get("/api/stats.json", (req, res) => {
+  if (!telemetry) return res.status(404).json({ error: "Telemetry is disabled" });
+  const limit = Math.max(1, Math.min(Math.floor(Number(req.query.limit)) || 20, 100));
+  res.setHeader("Cache-Control", "no-cache");
+  res.json(telemetry.stats({ limit }));
+});
+
+app.get("/stats", (req, res) => {
+  if (!telemetry) return res.status(404).type("text/plain").send("Telemetry is off (set TELEMETRY=1).");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("X-Robots-Tag", "noindex");
+  res.sendFile(path.join(__dirname, "public", "stats.html"));
+});
+
+function requireRemote(req, res, next) {
+  if (!remoteHub) return res.status(404).json({ error: "Remote control is off (set REMOTE_CONTROL=1)." });
+  res.setHeader("Cache-Control", "no-store");
+  next();
+}
+
+// Every remote endpoint. Screens send the token as ?token=, since EventSource and sendBeacon
+// can't set headers.
+function requireRemoteToken(req, res, next) {
+  const token = bearerToken(req) || (typeof req.query.token === "string" ? req.query.token : "");
+  if (!tokenMatches(token, REMOTE_TOKEN)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="remote"');
+    return res.status(401).json({ error: "Wrong or missing remote token." });
+  }
+  next();
+}
+
+/**
+ * A TV screen's command stream (Server-Sent Events, "command" events: { command, value }).
+ *   /api/remote/events?screen=lobby&token=REMOTE_TOKEN
+ * 429 when the screen has too many connections, or the name is new and every screen is in use.
+ */
+app.get("/api/remote/events", requireRemote, requireRemoteToken, (req, res) => {
+  const screen = String(req.query.screen || "");
+  if (!SCREEN_RE.test(screen)) return res.status(400).json({ error: "Invalid screen name" });
+  if (!remoteHub.canSubscribe(screen)) {
+    res.setHeader("Retry-After", "60");
+    return res.status(429).json({ error: "Too many screens or connections, try again later." });
+  }
+
+  let unsubscribe = null;
+  const stream = openEventStream(req, res, { onClose: () => unsubscribe && unsubscribe() });
+  unsubscribe = remoteHub.subscribe(screen, stream);
+});
+
+/**
+ * Sends a command to a screen: { screen, command, value }. 404 when no page of that screen
+ * is connected.
+ */
+app.post("/api/remote/command", requireRemote, requireRemoteToken, express.json({ limit: "1kb" }), (req, res) => {
+  const { screen, command, value } = req.body || {};
+  if (!SCREEN_RE.test(String(screen || ""))) return res.status(400).json({ error: "Invalid screen name" });
+  if (!REMOTE_COMMANDS.includes(command)) return res.status(400).json({ error: "Unknown command" });
+  if (command === "channel" && !LINEUP.some((ch) => ch.slug === value)) {
+    return res.status(400).json({ error: "Unknown channel" });
+  }
+
+  const reached = remoteHub.send(screen, command === "channel" ? { command, value } : { command });
+  if (!reached) return res.status(404).json({ error: `Screen "${screen}" is not connected` });
+  res.json({ ok: true, reached });
+});
+
+// What a subscribed screen is playing, sent by the TV page (navigator.sendBeacon) as
+// { screen, ...state } to /api/remote/state?token=REMOTE_TOKEN.
+app.post(
+  "/api/remote/state",
+  requireRemote,
+  requireRemoteToken,
+  express.json({ limit: "2kb", type: () => true }),
+  (req, res) => {
+    const body = req.body || {};
+    if (!SCREEN_RE.test(String(body.screen || ""))) return res.status(400).json({ error: "Invalid screen name" });
+    if (!remoteHub.setState(body.screen, checkScreenState(body))) {
+      return res.status(404).json({ error: `Screen "${body.screen}" is not connected` });
+    }
+    res.status(204).end();
+  }
+);
+
+/**
+ * Screens seen since the server started, with what they last reported.
+ *   /api/remote/screens
+ */
+app.get("/api/remote/screens", requireRemote, requireRemoteToken, (req, res) => {
+  res.json({ screens: remoteHub.list(), channels: LINEUP.map((ch) => ({ slug: ch.slug, name: ch.name })) });
+});
+
+function requireRooms(req, res, next) {
+  if (!roomHub) return res.status(404).json({ error: "Watch parties are off (set WATCH_PARTY=1)." });
+  if (!ROOM_RE.test(req.params.room)) return res.status(400).json({ error: "Invalid room name" });
+  res.setHeader("Cache-Control", "no-store");
+  next();
+}
+
+/**
+ * Joins a watch-party room: its events as Server-Sent Events (see lib/rooms.js).
+ *   /api/rooms/abc/events
+ */
+app.get("/api/rooms/:room/events", requireRooms, (req, res) => {
+  const room = req.params.room;
+  if (!roomHub.canJoin(room)) return res.status(503).json({ error: "Too many rooms or viewers, try again later." });
+
+  let membership = null;
+  const stream = openEventStream(req, res, { onClose: () => membership && membership.leave() });
+  membership = roomHub.join(room, stream);
+});
+
+/**
+ * The host's playback state: { viewerId, episodeId, feedQuery, position, playing, rate }.
+ * 403 when the sender is not (or no longer) the room's host.
+ */
+app.post("/api/rooms/:room/state", requireRooms, express.json({ limit: "4kb", type: () => true }), (req, res) => {
+  const body = req.body || {};
+  const state = checkRoomState(body);
+  if (!state) return res.status(400).json({ error: "Invalid state" });
+
+  const result = roomHub.update(req.params.room, String(body.viewerId || ""), state);
+  if (result === "no_room") return res.status(404).json({ error: "Not in this room" });
+  if (result === "not_host") return res.status(403).json({ error: "Only the host sets the room's playback" });
+  res.status(204).end();
+});
+
+// The server clock, which watch-party screens measure their own clocks against.
+app.get("/api/time", (req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.json({ now: Date.now() });
+});
+
+app.get("/remote", (req, res) => {
+  if (!remoteHub) return res.status(404).type("text/plain").send("Remote control is off (set REMOTE_CONTROL=1).");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("X-Robots-Tag", "noindex");
+  res.sendFile(path.join(__dirname, "public", "remote.html"));
+});
+
+/**
+ * Summarizes every channel in the lineup for the guide: artwork and latest episode.
+ * Feeds are fetched in parallel through the cache; a failing feed only marks its own row.
+ */
+async function getGuide() {
+  const results = await Promise.allSettled(LINEUP.map((ch) => getFeed(ch.rssUrl)));
+
+  return LINEUP.map((ch, idx) => {
+    const entry = {
+      number: idx + 1,
+      slug: ch.slug,
+      title: ch.name,
+      url: "/channel/" + encodeURIComponent(ch.slug),
+      imageUrl: "",
+      latest: null,
+    };
+
+    const r = results[idx];
+    if (r.status !== "fulfilled") {
+      log.warn("Guide: channel unavailable", { channel: ch.slug, err: r.reason });
+      entry.title = entry.title || ch.slug;
+      entry.error = "Feed unavailable";
+      return entry;
+    }
+
+    const feed = r.value;
+    const feedQuery = feedQueryFor(ch.rssUrl, ch);
+    entry.title = entry.title || feed.title || ch.slug;
+    entry.imageUrl = feedArtworkUrl(feed, feedQuery, "thumb");
+
+    const it = (feed.items || []).find((item) => !!pickMedia(item).url);
+    if (it) {
+      const media = pickMedia(it);
+      const imageUrl = pickImageUrl(it);
+      entry.latest = {
+        title: it.title || "Untitled Episode",
+        date: it.isoDate ? new Date(it.isoDate).toISOString() : it.pubDate || "",
+        kind: inferKind(media.url, media.type),
+        imageUrl:
+          MEDIA_PROXY && imageUrl ? `/img/${episodeId(it, media.url)}?size=thumb&${feedQuery}` : imageUrl,
+      };
+      if (!entry.imageUrl) entry.imageUrl = entry.latest.imageUrl;
+    }
+    return entry;
+  });
+}
+
+/**
+ * What the TV client needs to know about this server: the lineup (without fetching any feed)
+ * and the features that are switched on.
+ *   /api/config.json
+ */
+app.get("/api/config.json", (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=60");
+  res.json({
+    lineup: LINEUP.map((ch) => ({ slug: ch.slug, name: ch.name })),
+    progressSync: PROGRESS_SYNC,
+    telemetry: TELEMETRY,
+    allowQueryRss: ALLOW_QUERY_RSS,
+    platform: TV_PLATFORM || null,
+    keymap: KEYMAP,
+    kiosk: { enabled: KIOSK, rules: KIOSK_RULES, screensaverAfterMs: SCREENSAVER_AFTER_MS },
+    remoteControl: REMOTE_CONTROL,
+    watchParty: WATCH_PARTY,
+    offline: OFFLINE,
+    appearance: APPEARANCE,
+  });
+});
+
+/**
+ * UI strings for the TV page in the language picked for this request.
+ *   /api/i18n.json?lang=de
+ */
+app.get("/api/i18n.json", (req, res) => {
+  const { lang, locale } = i18n.pick(String(req.query.lang || ""), req.get("accept-language"));
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.vary("Accept-Language");
+  res.json({ lang, locale, languages: i18n.languages, strings: i18n.strings(lang) });
+});
+
+/**
+ * Channel lineup with artwork and latest episode per channel.
+ *   /api/channels.json
+ */
+app.get("/api/channels.json", async (req, res) => {
+  try {
+    const channels = await getGuide();
+    res.setHeader("Cache-Control", "public, max-age=60");
+    res.json({ channels });
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    res.status(500).json({ error: "Error building channel guide." });
+  }
+});
+
+/**
+ * Channel guide screen. ↑↓ moves between channels, ENTER tunes in.
+ *   /guide
+ */
+app.get("/guide", async (req, res) => {
+  try {
+    const channels = await getGuide();
+    const { lang, locale } = i18n.pick(String(req.query.lang || ""), req.get("accept-language"));
+    const t = (text, vars) => i18n.translate(lang, text, vars);
+
+    const rows = channels
+      .map((ch) => {
+        const art = ch.imageUrl
+          ? `<img src="${escapeHtml(ch.imageUrl)}" loading="lazy" alt="" />`
+          : `<div class="placeholder">${ch.number}</div>`;
+        const latest = ch.latest
+          ? `<span>${escapeHtml(t("Latest: {title}", { title: ch.latest.title }))}</span>` +
+            (ch.latest.date
+              ? `<span class="pill">${escapeHtml(new Date(ch.latest.date).toLocaleDateString(locale, { year: "numeric", month: "short", day: "2-digit" }))}</span>`
+              : "") +
+            `<span class="pill">${escapeHtml(t(ch.latest.kind === "video" ? "Video" : "Audio"))}</span>`
+          : `<span>${escapeHtml(ch.error || t("No playable episodes"))}</span>`;
+
+        return `<a class="ch" href="${escapeHtml(ch.url)}">
+        <div class="num">${ch.number}</div>
+        <div class="thumb">${art}</div>
+        <div class="info"><div class="t">${escapeHtml(ch.title)}</div><div class="d">${latest}</div></div>
+      </a>`;
+      })
+      .join("\n      ");
+
+    const html = `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(t("Channel Guide"))}</title>
+  <style>
+    :root { color-scheme: dark; --highlight:#4b7cff; --bg:#0b0b0f; --surface:#141421; --text:#fff; --muted:#a6a6b3; }
+    body { margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; background:var(--bg); color:var(--text); }
+    header { padding:18px 24px; border-bottom:1px solid #222; display:flex; justify-content:space-between; align-items:center; background:#000; height:72px; box-sizing:border-box; }
+    header h1 { margin:0; font-size:22px; font-weight:800; letter-spacing:-0.3px; }
+    header .hint { opacity:.75; font-size:12px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+
+    .grid { padding:14px; display:flex; flex-direction:column; gap:10px; max-width:1200px; margin:0 auto; }
+    .ch { display:flex; gap:18px; align-items:center; padding:14px; border-radius:16px; border:1px solid #222; background:var(--surface); color:inherit; text-decoration:none; }
+    .ch:hover { background:#1b1b2b; }
+    .ch:focus { outline:3px solid rgba(75,124,255,.75); outline-offset:2px; border-left:6px solid var(--highlight); }
+
+    .num { width:56px; font-size:28px; font-weight:800; color:var(--muted); text-align:center; flex-shrink:0; }
+    .thumb { width:96px; height:96px; background:#111; border-radius:12px; flex-shrink:0; overflow:hidden; border:1px solid #222; }
+    .thumb img { width:100%; height:100%; object-fit:cover; }
+    .thumb .placeholder { width:100%; height:100%; display:flex; align-items:center; justify-content:center; color:#333; font-size:28px; font-weight:800; }
+
+    .info { flex:1; min-width:0; }
+    .t { font-size:20px; font-weight:800; margin:0 0 8px 0; }
+    .d { font-size:14px; color:#8f8f9c; display:flex; gap:10px; flex-wrap:wrap; align-items:center; }
+    .pill { font-size:11px; padding:2px 8px; border:1px solid #2a2a35; border-radius:999px; color:#bdbdc9; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(t("Channel Guide"))}</h1>
+    <div class="hint">${escapeHtml(t("REMOTE/KEYS: ↑↓ Select • ENTER Watch"))}</div>
+  </header>
+
+  <nav class="grid" id="guide">
+      ${rows}
+  </nav>
+
+  <script>
+    const items = Array.from(document.querySelectorAll('.ch'));
+    let current = 0;
+
+    function focusAt(i) {
+      if (!items.length) return;
+      current = Math.max(0, Math.min(i, items.length - 1));
+      items[current].focus();
+      items[current].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.code === 'ArrowDown' || e.code === 'PageDown') { e.preventDefault(); focusAt(current + 1); return; }
+      if (e.code === 'ArrowUp' || e.code === 'PageUp') { e.preventDefault(); focusAt(current - 1); return; }
+    });
+
+    items.forEach((el, i) => el.addEventListener('focus', () => { current = i; }));
+    focusAt(0);
   </script>
 </body>
 </html>`;
 
     res.setHeader("Content-Type", "text/html; charset=utf-8");
     res.setHeader("Cache-Control", "public, max-age=60");
+    res.vary("Accept-Language");
+    res.send(html);
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    res.status(500).send("Error building channel guide.");
+  }
+});
+
+function directoryDisabled(res) {
+  return res.status(404).type("text/plain").send("The feed directory needs ALLOW_QUERY_RSS=1.");
+}
+
+/**
+ * Feed directory, one page at a time.
+ *   /api/directory.json?page=2
+ */
+app.get("/api/directory.json", (req, res) => {
+  if (!ALLOW_QUERY_RSS) return directoryDisabled(res);
+  try {
+    const result = getDirectoryPage(req.query.page);
+    res.setHeader("Cache-Control", "no-cache");
+    res.json(result);
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    res.status(500).json({ error: "Error building directory." });
+  }
+});
+
+/**
+ * Imports an OPML subscription list into the directory.
+ *   POST /api/directory/import  { "url": "https://example.com/subs.opml" }
+ *   POST /api/directory/import  { "opml": "<opml ...>", "replace": true }
+ *   POST /api/directory/import?replace=1  with the OPML file as a text/x-opml (or XML) body
+ * Feeds that fail the URL checks (scheme, private hosts, RSS_DOMAIN_ALLOWLIST) are skipped and listed.
+ * Directory feeds count as the operator's (no ?rss= rate limits or cache quota), so importing
+ * takes the admin token.
+ */
+app.post(
+  "/api/directory/import",
+  requireAdmin,
+  express.json({ limit: "1mb" }),
+  express.text({ type: ["text/x-opml", "text/xml", "application/xml", "text/plain"], limit: "1mb" }),
+  async (req, res) => {
+    if (!ALLOW_QUERY_RSS) return directoryDisabled(res);
+    try {
+      const body = req.body;
+      let text;
+      if (typeof body === "string") text = body;
+      else if (body && typeof body.opml === "string") text = body.opml;
+      else if (body && typeof body.url === "string") {
+        const v = validatePublicUrl(body.url.trim());
+        if (!v.ok) return res.status(400).json({ error: v.reason });
+        text = await fetchOpml(v.url);
+      } else {
+        return res.status(400).json({ error: "Send OPML, or JSON with opml or url" });
+      }
+
+      let listed;
+      try {
+        listed = parseOpml(text);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const { feeds, skipped } = checkImportedFeeds(listed);
+      const replace = req.query.replace === "1" || !!(body && body.replace === true);
+      const result = directory.importFeeds(feeds, { replace });
+      res.json(Object.assign(result, { skipped }));
+    } catch (err) {
+      req.log.error("Request failed", { err });
+      const { status, message } = feedErrorResponse(err);
+      res.status(status).json({ error: status === 500 ? "Error fetching OPML." : message });
+    }
+  }
+);
+
+/**
+ * The directory as OPML, ready for a podcast app (or another instance of this server).
+ *   /directory.opml
+ */
+app.get("/directory.opml", (req, res) => {
+  if (!ALLOW_QUERY_RSS) return directoryDisabled(res);
+  res.setHeader("Content-Type", "text/x-opml; charset=utf-8");
+  res.setHeader("Content-Disposition", 'attachment; filename="rss-tv-directory.opml"');
+  res.send(toOpml({ title: "RSS TV directory", feeds: directory.list() }));
+});
+
+/**
+ * Directory screen: every imported feed with its artwork. ↑↓ moves, ENTER opens the channel.
+ *   /directory?page=2
+ */
+app.get("/directory", (req, res) => {
+  if (!ALLOW_QUERY_RSS) return directoryDisabled(res);
+  try {
+    const { page, pages, total, feeds } = getDirectoryPage(req.query.page);
+    const { lang } = i18n.pick(String(req.query.lang || ""), req.get("accept-language"));
+    const t = (text, vars) => i18n.translate(lang, text, vars);
+    const langQuery = req.query.lang ? "&lang=" + encodeURIComponent(lang) : "";
+
+    const rows = feeds
+      .map((f) => {
+        const art = f.imageUrl
+          ? `<img src="${escapeHtml(f.imageUrl)}" loading="lazy" alt="" />`
+          : `<div class="placeholder">${escapeHtml((f.title || "?").slice(0, 1).toUpperCase())}</div>`;
+        let details = `<span class="pill">${escapeHtml(t(f.episodes === 1 ? "{n} episode" : "{n} episodes", { n: f.episodes }))}</span>`;
+        if (f.error) details = `<span>${escapeHtml(t(f.error))}</span>`;
+        else if (f.loading) details = `<span>${escapeHtml(t("Loading…"))}</span>`;
+        const category = f.category ? `<span class="pill">${escapeHtml(f.category)}</span>` : "";
+
+        return `<a class="feed" href="${escapeHtml(f.url)}"${f.loading ? " data-loading" : ""}>
+        <div class="thumb">${art}</div>
+        <div class="info"><div class="t">${escapeHtml(f.title)}</div><div class="d">${details}${category}</div></div>
+      </a>`;
+      })
+      .join("\n      ");
+
+    const pager =
+      pages > 1
+        ? `<div class="pager">` +
+          (page > 1 ? `<a href="/directory?page=${page - 1}${langQuery}">${escapeHtml(t("‹ Prev"))}</a>` : "") +
+          `<span>${escapeHtml(t("Page {page} / {pages}", { page, pages }))}</span>` +
+          (page < pages ? `<a href="/directory?page=${page + 1}${langQuery}">${escapeHtml(t("Next ›"))}</a>` : "") +
+          `</div>`
+        : "";
+
+    // Strings the import script shows; "<" is escaped so a translation can't close the script tag.
+    const clientStrings = JSON.stringify({
+      choose: t("Choose a file or enter a URL."),
+      importing: t("Importing…"),
+      failed: t("Import failed."),
+      added: t("Added {added} feed(s), {total} in total."),
+      skipped: t("Skipped {n}: {list}"),
+      dropped: t("{n} over the directory limit."),
+    }).replace(/</g, "\\u003c");
+
+    const html = `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(t("Directory"))}</title>
+  <style>
+    :root { color-scheme: dark; --highlight:#4b7cff; --bg:#0b0b0f; --surface:#141421; --text:#fff; --muted:#a6a6b3; }
+    body { margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; background:var(--bg); color:var(--text); }
+    header { padding:18px 24px; border-bottom:1px solid #222; display:flex; justify-content:space-between; align-items:center; background:#000; height:72px; box-sizing:border-box; }
+    header h1 { margin:0; font-size:22px; font-weight:800; letter-spacing:-0.3px; }
+    header .hint { opacity:.75; font-size:12px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+    header a { color:var(--muted); }
+
+    .grid { padding:14px; display:grid; grid-template-columns:repeat(auto-fill, minmax(340px, 1fr)); gap:10px; max-width:1400px; margin:0 auto; }
+    .feed { display:flex; gap:14px; align-items:center; padding:12px; border-radius:16px; border:1px solid #222; background:var(--surface); color:inherit; text-decoration:none; }
+    .feed:hover { background:#1b1b2b; }
+    .feed:focus { outline:3px solid rgba(75,124,255,.75); outline-offset:2px; border-left:6px solid var(--highlight); }
+
+    .thumb { width:80px; height:80px; background:#111; border-radius:12px; flex-shrink:0; overflow:hidden; border:1px solid #222; }
+    .thumb img { width:100%; height:100%; object-fit:cover; }
+    .thumb .placeholder { width:100%; height:100%; display:flex; align-items:center; justify-content:center; color:#333; font-size:28px; font-weight:800; }
+
+    .info { flex:1; min-width:0; }
+    .t { font-size:18px; font-weight:800; margin:0 0 8px 0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+    .d { font-size:14px; color:#8f8f9c; display:flex; gap:10px; flex-wrap:wrap; align-items:center; }
+    .pill { font-size:11px; padding:2px 8px; border:1px solid #2a2a35; border-radius:999px; color:#bdbdc9; }
+
+    .pager { display:flex; gap:18px; justify-content:center; align-items:center; padding:8px; color:var(--muted); }
+    .pager a { color:var(--text); }
+    .empty { padding:40px; text-align:center; color:var(--muted); }
+
+    form { max-width:1400px; margin:10px auto 30px; padding:14px; border-top:1px solid #222; display:flex; gap:10px; flex-wrap:wrap; align-items:center; color:var(--muted); font-size:14px; }
+    form input[type=url] { flex:1; min-width:260px; padding:8px 10px; border-radius:8px; border:1px solid #333; background:#111; color:var(--text); }
+    form button { padding:8px 14px; border-radius:8px; border:1px solid #333; background:var(--highlight); color:#fff; font-weight:700; }
+    #status { width:100%; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(t("Directory"))} <span style="color:var(--muted); font-weight:600;">· ${escapeHtml(t(total === 1 ? "{n} feed" : "{n} feeds", { n: total }))}</span></h1>
+    <div class="hint">${escapeHtml(t("REMOTE/KEYS: ↑↓ Select • ENTER Watch"))} • <a href="/directory.opml">${escapeHtml(t("Export OPML"))}</a></div>
+  </header>
+
+  <nav class="grid" id="directory">
+      ${rows}
+  </nav>
+  ${feeds.length ? pager : `<div class="empty">${escapeHtml(t(ADMIN_TOKEN ? "No feeds yet. Import an OPML file from your podcast app below." : "No feeds yet."))}</div>`}
+${ADMIN_TOKEN ? `
+  <form id="importForm">
+    <strong>${escapeHtml(t("Import OPML"))}</strong>
+    <input type="url" id="opmlUrl" placeholder="https://example.com/subscriptions.opml" />
+    <input type="file" id="opmlFile" accept=".opml,.xml,text/x-opml,text/xml" />
+    <label><input type="checkbox" id="replace" /> ${escapeHtml(t("Replace current list"))}</label>
+    <input type="password" id="adminToken" placeholder="${escapeHtml(t("Admin token"))}" autocomplete="current-password" />
+    <button type="submit">${escapeHtml(t("Import"))}</button>
+    <div id="status"></div>
+  </form>
+` : ""}
+  <script>
+    const L = ${clientStrings};
+    const fill = (text, vars) => text.replace(/\\{(\\w+)\\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+    const items = Array.from(document.querySelectorAll('.feed'));
+    let current = 0;
+
+    function focusAt(i) {
+      if (!items.length) return;
+      current = Math.max(0, Math.min(i, items.length - 1));
+      items[current].focus();
+      items[current].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (e.target.closest && e.target.closest('form')) return;
+      if (e.code === 'ArrowDown' || e.code === 'ArrowRight') { e.preventDefault(); focusAt(current + 1); return; }
+      if (e.code === 'ArrowUp' || e.code === 'ArrowLeft') { e.preventDefault(); focusAt(current - 1); return; }
+    });
+
+    // The selection lives in the URL hash so the reload below keeps it.
+    items.forEach((el, i) => el.addEventListener('focus', () => { current = i; history.replaceState(null, '', '#' + i); }));
+    focusAt(Number(location.hash.slice(1)) || 0);
+
+    // Feeds still loading in the background: look again shortly, unless the import form is in use.
+    if (document.querySelector('.feed[data-loading]')) {
+      setTimeout(() => { if (!document.activeElement.closest('form')) location.reload(); }, 5000);
+    }
+
+    // Same tab-scoped key as /admin, so a signed-in admin doesn't have to paste the token again.
+    const TOKEN_KEY = 'rsstv:adminToken';
+    const form = document.getElementById('importForm');
+    const status = document.getElementById('status');
+    const tokenInput = document.getElementById('adminToken');
+    if (tokenInput) tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+    if (form) form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const file = document.getElementById('opmlFile').files[0];
+      const url = document.getElementById('opmlUrl').value.trim();
+      const body = { replace: document.getElementById('replace').checked };
+      if (file) body.opml = await file.text();
+      else if (url) body.url = url;
+      else { status.textContent = L.choose; return; }
+
+      status.textContent = L.importing;
+      try {
+        const r = await fetch('/api/directory/import', {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', authorization: 'Bearer ' + tokenInput.value.trim() },
+          body: JSON.stringify(body),
+        });
+        const data = await r.json();
+        if (r.status === 401) sessionStorage.removeItem(TOKEN_KEY);
+        if (!r.ok) { status.textContent = data.error || L.failed; return; }
+        sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+        let msg = fill(L.added, { added: data.added, total: data.total });
+        if (data.skipped.length) msg += ' ' + fill(L.skipped, { n: data.skipped.length, list: data.skipped.map((s) => s.rssUrl + ' (' + s.reason + ')').join(', ') });
+        if (data.dropped) msg += ' ' + fill(L.dropped, { n: data.dropped });
+        status.textContent = msg;
+        if (data.added || body.replace) setTimeout(() => location.reload(), data.skipped.length ? 4000 : 1000);
+      } catch (err) {
+        status.textContent = L.failed;
+      }
+    });
+  </script>
+</body>
+</html>`;
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    res.vary("Accept-Language");
+    res.send(html);
+  } catch (err) {
+    req.log.error("Request failed", { err });
+    res.status(500).send("Error building directory.");
+  }
+});
+
+/**
+ * Output feeds: the lineup (or some channels of it) merged into one feed, newest first.
+ *   /feed.xml                          RSS 2.0 with iTunes/podcast namespaces
+ *   /feed.json                         JSON Feed 1.1
+ *   /feed.xml?channel=news,tech&kind=audio&prefix=0&limit=50
+ *   /channel/news/feed.xml             a single channel (also .json)
+ */
+app.get("/feed.xml", (req, res) => sendOutputFeed(req, res, "xml"));
+app.get("/feed.json", (req, res) => sendOutputFeed(req, res, "json"));
+
+app.get("/channel/:slug/feed.:format(xml|json)", (req, res) => {
+  const channel = findChannel(req.params.slug);
+  if (!channel) return res.status(404).type("text/plain").send("Unknown channel");
+  sendOutputFeed(req, res, req.params.format, channel);
+});
+
+// -------------------- Admin --------------------
+function sha256(str) {
+  return crypto.createHash("sha256").update(String(str)).digest();
+}
+
+// Hashing first gives both sides the same length, which timingSafeEqual requires.
+function tokenMatches(token, secret) {
+  return !!token && crypto.timingSafeEqual(sha256(token), sha256(secret));
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1] : "";
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: "The admin console is off (set ADMIN_TOKEN)." });
+  if (!tokenMatches(bearerToken(req), ADMIN_TOKEN)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="admin"');
+    return res.status(401).json({ error: "Wrong or missing admin token." });
+  }
+  res.setHeader("Cache-Control", "no-store");
+  next();
+}
+
+function adminSettings() {
+  return {
+    channels: LINEUP.map((ch) => ({ slug: ch.slug, name: ch.name, rssUrl: ch.rssUrl, mode: ch.mode })),
+    allowlist: RSS_DOMAIN_ALLOWLIST,
+    epLimit: EP_LIMIT,
+    // Which of the above come from SETTINGS_FILE rather than the environment.
+    overrides: Object.keys(settings.get()),
+    persisted: !!SETTINGS_FILE,
+  };
+}
+
+function adminCache() {
+  return feedCache.inspect().map((e) =>
+    Object.assign(e, { channels: LINEUP.filter((ch) => ch.rssUrl === e.rssUrl).map((ch) => ch.slug) })
+  );
+}
+
+/**
+ * Admin API (Authorization: Bearer ADMIN_TOKEN):
+ *   GET    /api/admin/settings           lineup, allowlist, EP_LIMIT
+ *   PUT    /api/admin/settings           { channels?, allowlist?, epLimit? }; null resets one to the env value
+ *   GET    /api/admin/cache              cached feeds: fetch time, age, items, state, last error
+ *   DELETE /api/admin/cache?rss=URL      drop one feed from the cache (all feeds without ?rss=)
+ *   POST   /api/admin/refresh            { rss? } refetch one feed, or every channel of the lineup
+ */
+app.get("/api/admin/settings", requireAdmin, (req, res) => {
+  res.json(adminSettings());
+});
+
+app.put("/api/admin/settings", requireAdmin, express.json({ limit: "256kb" }), (req, res) => {
+  let patch;
+  try {
+    patch = checkSettings(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  settings.update(patch);
+  applySettings();
+  res.json(adminSettings());
+});
+
+app.get("/api/admin/cache", requireAdmin, (req, res) => {
+  res.json({ ttlMs: CACHE_TTL_MS, staleMs: CACHE_STALE_MS, maxFeeds: CACHE_MAX_FEEDS, feeds: adminCache() });
+});
+
+app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+  const purged = req.query.rss ? feedCache.purge(String(req.query.rss)) : feedCache.purge();
+  res.json({ purged });
+});
+
+app.delete("/api/admin/stats", requireAdmin, (req, res) => {
+  if (!telemetry) return res.status(404).json({ error: "Telemetry is disabled" });
+  telemetry.reset();
+  res.status(204).end();
+});
+
+app.post("/api/admin/refresh", requireAdmin, express.json({ limit: "4kb" }), async (req, res) => {
+  const rss = req.body && req.body.rss ? String(req.body.rss) : "";
+  const urls = rss ? [rss] : Array.from(new Set(LINEUP.map((ch) => ch.rssUrl)));
+
+  // A failed refresh still serves the old copy; its error shows up in the cache listing.
+  // Straight to the cache: the ?refresh=1 interval is for the public, not for the admin.
+  await Promise.allSettled(urls.map((url) => feedCache.get(url, { force: true })));
+  const byUrl = new Map(adminCache().map((e) => [e.rssUrl, e]));
+  res.json({ feeds: urls.map((url) => byUrl.get(url) || { rssUrl: url, state: "error", lastError: "Not cached" }) });
+});
+
+// The page itself holds nothing secret; it asks for the token and uses the API above.
+app.get("/admin", (req, res) => {
+  if (!ADMIN_TOKEN) return res.status(404).type("text/plain").send("The admin console is off (set ADMIN_TOKEN).");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("X-Robots-Tag", "noindex");
+  res.sendFile(path.join(__dirname, "public", "admin.html"));
+});
+
+// -------------------- Episode pages --------------------
+function absoluteTo(base, url) {
+  try {
+    return url ? new URL(url, base + "/").toString() : "";
+  } catch {
+    return "";
+  }
+}
+
+function fmtClock(sec) {
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = String(Math.floor(sec % 60)).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * One episode as a web page: artwork, a player, the full show notes (sanitized, see
+ * lib/show-notes.js), Open Graph / Twitter card tags for link previews, a "Watch on TV" deep link
+ * and a QR code of the page itself, so a phone can pick up the episode from the TV screen.
+ *   /episode/EPISODE_ID?channel=news
+ *   /episode/EPISODE_ID?rss=https%3A%2F%2Fexample.com%2Ffeed.xml&t=90    (start at 1:30)
+ */
+app.get("/episode/:episodeId", async (req, res) => {
+  try {
+    const src = resolveFeedSource(req.query);
+    if (!src.ok) return res.status(src.status).type("text/plain").send(src.reason);
+
+    const feed = await getFeed(src.rssUrl);
+    const feedQuery = feedQueryFor(src.rssUrl, src.channel);
+    const ep = toApiEpisodes(feed, feedQuery).find((e) => e.id === req.params.episodeId);
+    const item = ep && findItem(feed, ep.id);
+    if (!ep || !item) return res.status(404).type("text/plain").send("Unknown episode");
+
+    const { lang, locale } = i18n.pick(String(req.query.lang || ""), req.get("accept-language"));
+    const t = (text, vars) => i18n.translate(lang, text, vars);
+
+    const base = publicBaseUrl(req);
+    const startAt = ep.live ? 0 : parseDuration(req.query.t);
+    const timeQuery = startAt ? `&t=${startAt}` : "";
+    const pageUrl = `${base}/episode/${ep.id}?${feedQuery}`;
+    // Linear channels play the schedule; a deep link asks for the episode itself.
+    const tvQuery = `ep=${ep.id}${timeQuery}` + (isLinearMode({}, src.channel) ? "&mode=ondemand" : "");
+    const tvUrl = src.channel ? `/channel/${encodeURIComponent(src.channel.slug)}?${tvQuery}` : `/?${feedQuery}&${tvQuery}`;
+
+    const showName = (src.channel && src.channel.name) || feed.title || "";
+    const imageUrl = absoluteTo(base, ep.imageUrl || feedArtworkUrl(feed, feedQuery, "poster"));
+    const mediaUrl = absoluteTo(base, ep.mediaUrl);
+    const summary = safeTruncate(item.contentSnippet || item.content || item.summary || "", 300);
+    const notes = renderShowNotes(item["content:encoded"] || item.content || item.contentSnippet || "", item.link || pageUrl);
+    const qr = await QRCode.toString(pageUrl + timeQuery, { type: "svg", margin: 2, errorCorrectionLevel: "M" });
+    // Feeds without an isoDate pass pubDate through as written, which may not parse.
+    const date = ep.date ? new Date(ep.date) : null;
+
+    const facts = [
+      ep.season ? t("Season {n}", { n: ep.season }) : "",
+      ep.episodeNumber ? t("Episode {n}", { n: ep.episodeNumber }) : "",
+      date && !Number.isNaN(date.getTime()) ? date.toLocaleDateString(locale, { year: "numeric", month: "long", day: "numeric" }) : "",
+      ep.live ? t("LIVE") : ep.durationSeconds ? fmtClock(ep.durationSeconds) : "",
+      t(ep.kind === "video" ? "Video" : "Audio"),
+    ]
+      .filter(Boolean)
+      .map((f) => `<span class="pill">${escapeHtml(f)}</span>`)
+      .join("");
+
+    const mediaTag = ep.kind === "video" ? "video" : "audio";
+    // A media fragment (#t=90) starts the browser's own player where the link says.
+    const player = `<${mediaTag} controls playsinline preload="metadata" src="${escapeHtml(ep.mediaUrl + (startAt ? "#t=" + startAt : ""))}"${
+      mediaTag === "video" && ep.imageUrl ? ` poster="${escapeHtml(ep.imageUrl)}"` : ""
+    }></${mediaTag}>`;
+
+    const meta = [
+      ["og:site_name", showName],
+      ["og:type", ep.kind === "video" ? "video.episode" : "website"],
+      ["og:title", ep.title],
+      ["og:description", summary],
+      ["og:url", pageUrl],
+      ["og:image", imageUrl],
+      [ep.kind === "video" ? "og:video" : "og:audio", ep.streamFormat ? "" : mediaUrl],
+      [ep.kind === "video" ? "og:video:type" : "og:audio:type", ep.streamFormat ? "" : ep.mediaType],
+      ["og:locale", locale.replace("-", "_")],
+    ]
+      .filter(([, value]) => value)
+      .map(([property, value]) => `<meta property="${property}" content="${escapeHtml(value)}" />`)
+      .concat(
+        [
+          ["twitter:card", imageUrl ? "summary_large_image" : "summary"],
+          ["twitter:title", ep.title],
+          ["twitter:description", summary],
+          ["twitter:image", imageUrl],
+          ["description", summary],
+        ]
+          .filter(([, value]) => value)
+          .map(([name, value]) => `<meta name="${name}" content="${escapeHtml(value)}" />`)
+      )
+      .join("\n  ");
+
+    const html = `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(showName ? `${ep.title} · ${showName}` : ep.title)}</title>
+  <link rel="canonical" href="${escapeHtml(pageUrl)}" />
+  ${meta}
+  <style>
+    :root { color-scheme: dark; --highlight:#4b7cff; --bg:#0b0b0f; --surface:#141421; --text:#fff; --muted:#a6a6b3; }
+    body { margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; background:var(--bg); color:var(--text); }
+    header { padding:18px 24px; border-bottom:1px solid #222; display:flex; justify-content:space-between; align-items:center; background:#000; min-height:72px; box-sizing:border-box; gap:12px; }
+    header h1 { margin:0; font-size:22px; font-weight:800; letter-spacing:-0.3px; }
+    header a { color:var(--muted); }
+
+    main { max-width:1100px; margin:0 auto; padding:20px; display:grid; grid-template-columns:minmax(0, 1fr) 240px; gap:24px; }
+    @media (max-width: 760px) { main { grid-template-columns:1fr; } }
+    .art { width:100%; max-width:420px; aspect-ratio:1; object-fit:cover; border-radius:16px; border:1px solid #222; background:#111; }
+    h2 { font-size:28px; margin:16px 0 10px; }
+    .facts { display:flex; gap:8px; flex-wrap:wrap; margin-bottom:14px; }
+    .pill { font-size:12px; padding:2px 10px; border:1px solid #2a2a35; border-radius:999px; color:#bdbdc9; }
+    video, audio { width:100%; margin:8px 0 16px; border-radius:12px; background:#000; }
+    .watch { display:inline-block; padding:10px 18px; border-radius:10px; background:var(--highlight); color:#fff; font-weight:700; text-decoration:none; }
+    .notes { color:#d6d6e0; line-height:1.6; font-size:16px; overflow-wrap:anywhere; }
+    .notes a { color:#9fc0ff; }
+    .notes img { max-width:100%; height:auto; border-radius:8px; }
+    aside { text-align:center; color:var(--muted); font-size:13px; }
+    .qr { background:#fff; border-radius:12px; padding:8px; }
+    .qr svg { display:block; width:100%; height:auto; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(showName)}</h1>
+    <a href="/guide${req.query.lang ? "?lang=" + encodeURIComponent(lang) : ""}">${escapeHtml(t("Channel guide"))}</a>
+  </header>
+
+  <main>
+    <article>
+      ${imageUrl ? `<img class="art" src="${escapeHtml(imageUrl)}" alt="" />` : ""}
+      <h2>${escapeHtml(ep.title)}</h2>
+      <div class="facts">${facts}</div>
+      ${player}
+      <p><a class="watch" href="${escapeHtml(tvUrl)}">${escapeHtml(t("Watch on TV"))}</a></p>
+      <div class="notes">${notes}</div>
+    </article>
+    <aside>
+      <div class="qr">${qr}</div>
+      <p>${escapeHtml(t("Scan to open this episode on your phone"))}</p>
+    </aside>
+  </main>
+</body>
+</html>`;
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    setSelfLinkedCache(res);
+    res.vary("Accept-Language");
     res.send(html);
   } catch (err) {
-    console.error(err);
-    res.status(500).send("Error fetching/parsing RSS feed.");
+    req.log.error("Request failed", { err });
+    const { status, message } = feedErrorResponse(err);
+    res.status(status).type("text/plain").send(status === 500 ? "Error building episode page." : message);
   }
 });
 
+/**
+ * TV UI:
+ *   /
+ *   /?rss=https%3A%2F%2Fexample.com%2Ffeed.xml
+ *   /channel/news
+ *   /channel/news?ep=EPISODE_ID&t=90    (deep link: plays that episode from 1:30)
+ */
+app.get("/", (req, res) => {
+  const src = resolveFeedSource(req.query);
+  if (!src.ok) {
+    const label = req.query.rss ? "Bad rss parameter: " : "Bad channel parameter: ";
+    return res.status(src.status).send(label + escapeHtml(src.reason));
+  }
+  sendTvPage(res);
+});
+
+app.get("/channel/:slug", (req, res) => {
+  const channel = findChannel(req.params.slug);
+  if (!channel) return res.status(404).send("Unknown channel: " + escapeHtml(req.params.slug));
+  sendTvPage(res);
+});
+
+// The page is a static shell; public/tv.js reads the feed from the URL and loads it from the API.
+function sendTvPage(res) {
+  res.setHeader("Cache-Control", "no-cache");
+  res.sendFile(path.join(__dirname, "public", "tv.html"));
+}
+
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Default RSS: ${DEFAULT_RSS_URL}`);
-  console.log(`ALLOW_QUERY_RSS: ${ALLOW_QUERY_RSS}`);
+  log.info("Server running", {
+    port: Number(PORT),
+    defaultRss: DEFAULT_RSS_URL,
+    channels: LINEUP.map((ch) => ch.slug),
+    allowQueryRss: ALLOW_QUERY_RSS,
+    adminConsole: !!ADMIN_TOKEN,
+    metricsToken: !!METRICS_TOKEN,
+  });
 });
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/server");
+
+const OPML = `<?xml version="1.0"?>
+<opml version="2.0"><head><title>Subs</title></head><body>
+  <outline type="rss" text="One" xmlUrl="https://feeds.example.com/one.xml"/>
+  <outline type="rss" text="Two" xmlUrl="https://feeds.example.com/two.xml"/>
+</body></opml>`;
+
+function importOpml(app, headers = {}) {
+  return app.request("/api/directory/import", {
+    method: "POST",
+    headers: Object.assign({ "content-type": "text/x-opml" }, headers),
+    body: OPML,
+  });
+}
+
+describe("directory import", () => {
+  let app;
+  before(async () => {
+    app = await startApp({ ADMIN_TOKEN: "secret-token", RSS_URL: "https://feeds.example.com/main.xml" });
+  });
+  after(() => app && app.stop());
+
+  it("refuses an import without the admin token", async () => {
+    const res = await importOpml(app);
+    assert.equal(res.status, 401);
+    assert.equal((await app.get("/api/directory.json")).body.total, 0);
+  });
+
+  it("refuses an import with the wrong token", async () => {
+    const res = await importOpml(app, { authorization: "Bearer nope" });
+    assert.equal(res.status, 401);
+  });
+
+  it("imports with the admin token", async () => {
+    const res = await importOpml(app, { authorization: "Bearer secret-token" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { added: 2, total: 2, dropped: 0, skipped: [] });
+  });
+
+  it("lists feeds that aren't cached yet without waiting for them", async () => {
+    const res = await app.get("/api/directory.json");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.feeds.map((f) => [f.title, f.loading]),
+      [
+        ["One", true],
+        ["Two", true],
+      ]
+    );
+  });
+
+  it("renders the page in the browser's language", async () => {
+    const res = await app.request("/directory", { headers: { "accept-language": "de-DE,de;q=0.9,en;q=0.5" } });
+    assert.match(res.headers.get("vary"), /Accept-Language/);
+    const page = await res.text();
+    assert.match(page, /<html lang="de">/);
+    assert.match(page, /<title>Verzeichnis<\/title>/);
+    assert.match(page, /· 2 Feeds/);
+    assert.match(page, /Wird geladen …|Feed nicht verfügbar/);
+    assert.match(page, /"importing":"Wird importiert…"/);
+  });
+});
+
+describe("directory import without ADMIN_TOKEN", () => {
+  let app;
+  before(async () => {
+    app = await startApp({ RSS_URL: "https://feeds.example.com/main.xml" });
+  });
+  after(() => app && app.stop());
+
+  it("is off", async () => {
+    assert.equal((await importOpml(app)).status, 404);
+    const page = await (await app.request("/directory")).text();
+    assert.doesNotMatch(page, /<form id="importForm"/);
+  });
+});
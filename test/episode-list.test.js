@@ -0,0 +1,30 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFixtureServer, startApp } = require("./helpers/server");
+
+describe("/api/episodes.json sort", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({ RSS_URL: `${fixtures.url}/podcast.xml` });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("sorts by date", async () => {
+    const titles = async (sort) => (await app.get(`/api/episodes.json?sort=${sort}`)).body.episodes.map((e) => e.title);
+    assert.deepEqual(await titles("oldest"), ["iTunes only", "Plain numbers", "Named season, labelled episode"]);
+    assert.deepEqual(await titles("newest"), ["Named season, labelled episode", "Plain numbers", "iTunes only"]);
+  });
+
+  it("refuses an unknown sort, including inherited object keys", async () => {
+    for (const sort of ["shortest", "toString", "constructor", "__proto__", "hasOwnProperty"]) {
+      const res = await app.get(`/api/episodes.json?sort=${sort}`);
+      assert.equal(res.status, 400, sort);
+      assert.match(res.body.error, /sort must be/, sort);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFixtureServer, startApp } = require("./helpers/server");
+
+async function episodePage(app, title) {
+  const { body } = await app.get("/api/episodes.json");
+  const ep = body.episodes.find((e) => e.title === title);
+  const res = await app.request(`/episode/${ep.id}`, { headers: { "accept-language": "en-US" } });
+  return { res, html: await res.text() };
+}
+
+describe("/episode/:episodeId", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({ RSS_URL: `${fixtures.url}/dates.xml` });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("shows the publication date", async () => {
+    const { res, html } = await episodePage(app, "Good date");
+    assert.equal(res.status, 200);
+    assert.match(html, /<span class="pill">January 3, 2024<\/span>/);
+  });
+
+  it("leaves out a date that doesn't parse", async () => {
+    const { res, html } = await episodePage(app, "Bad date");
+    assert.equal(res.status, 200);
+    assert.doesNotMatch(html, /Invalid Date/);
+  });
+
+  it("keeps pages built from the Host header out of shared caches", async () => {
+    const { res, html } = await episodePage(app, "Good date");
+    assert.equal(res.headers.get("cache-control"), "private, max-age=300");
+    assert.match(res.headers.get("vary"), /Host/);
+    assert.ok(html.includes(`content="${app.url}/episode/`));
+  });
+});
+
+describe("/episode/:episodeId with PUBLIC_URL", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({ RSS_URL: `${fixtures.url}/dates.xml`, PUBLIC_URL: "https://tv.example.com" });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("builds links from PUBLIC_URL and lets shared caches keep the page", async () => {
+    const { res, html } = await episodePage(app, "Good date");
+    assert.equal(res.headers.get("cache-control"), "public, max-age=300");
+    assert.doesNotMatch(res.headers.get("vary"), /Host/);
+    assert.match(html, /content="https:\/\/tv\.example\.com\/episode\//);
+    assert.ok(!html.includes(app.url));
+  });
+});
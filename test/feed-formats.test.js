@@ -0,0 +1,158 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectFeedFormat, isFeedContentType, parseJsonFeed } = require("../lib/feed-formats");
+const { startFixtureServer, startApp } = require("./helpers/server");
+
+// Every format ends up as the episodes /api/episodes.json serves for an RSS feed.
+const CHANNELS = {
+  rss: "rss.xml",
+  atom: "atom.xml",
+  youtube: "youtube.xml",
+  json: "feed.json",
+  m3u: "playlist.m3u",
+  vod: "vod.m3u8",
+  live: "live.m3u8",
+};
+
+describe("feed formats through /api/episodes.json", () => {
+  let fixtures;
+  let app;
+  let shape;
+
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({
+      CHANNELS: Object.entries(CHANNELS)
+        .map(([slug, file]) => `${slug}=${fixtures.url}/${file}`)
+        .join(","),
+    });
+    shape = Object.keys((await episodes("rss"))[0]).sort();
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  async function episodes(channel) {
+    const res = await app.get(`/api/episodes.json?channel=${channel}`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    for (const ep of res.body.episodes) {
+      if (shape) assert.deepEqual(Object.keys(ep).sort(), shape, `${channel}: ${ep.title}`);
+      assert.match(ep.id, /^[0-9a-f]{24}$/);
+    }
+    return res.body.episodes;
+  }
+
+  const pick = (ep, keys) => Object.fromEntries(keys.map((k) => [k, ep[k]]));
+  const sourceUrls = (ep) => ep.sources.map((s) => s.url);
+
+  it("reads Atom enclosure links and skips entries without one", async () => {
+    const list = await episodes("atom");
+    assert.equal(list.length, 1);
+    assert.deepEqual(pick(list[0], ["title", "date", "description", "mediaUrl", "mediaType", "kind", "link"]), {
+      title: "Two enclosures",
+      date: "2026-01-02T00:00:00.000Z",
+      description: "Atom summary text",
+      mediaUrl: "https://media.example.com/one.mp3",
+      mediaType: "audio/mpeg",
+      kind: "audio",
+      link: "https://atom.example.com/one.html",
+    });
+    assert.deepEqual(sourceUrls(list[0]), ["https://media.example.com/one.ogg"]);
+  });
+
+  it("picks the highest media:group rendition and keeps the others as fallbacks", async () => {
+    const list = await episodes("youtube");
+    // The entry that only has an embedded player is not an episode.
+    assert.deepEqual(list.map((e) => e.title), ["Three renditions"]);
+    const [ep] = list;
+    assert.equal(ep.mediaUrl, "https://media.example.com/abc-1080.mp4");
+    assert.equal(ep.kind, "video");
+    assert.equal(ep.description, "Group description");
+    assert.equal(ep.imageUrl, "https://img.example.com/abc.jpg");
+    assert.deepEqual(sourceUrls(ep), ["https://media.example.com/abc-720.mp4", "https://media.example.com/abc-480.mp4"]);
+  });
+
+  it("reads JSON Feed 1.1 attachments and skips items without audio or video", async () => {
+    const list = await episodes("json");
+    assert.equal(list.length, 1);
+    const [ep] = list;
+    assert.deepEqual(pick(ep, ["title", "date", "description", "mediaUrl", "mediaType", "durationSeconds", "link"]), {
+      title: "Two attachments",
+      date: "2026-02-01T10:00:00.000Z",
+      description: "JSON summary",
+      // Relative URLs resolve against the feed's address.
+      mediaUrl: `${fixtures.url}/audio/j1.mp3`,
+      mediaType: "audio/mpeg",
+      durationSeconds: 95,
+      link: "https://json.example.com/j1",
+    });
+    // The PDF attachment is not a fallback source.
+    assert.deepEqual(sourceUrls(ep), ["https://media.example.com/j1.m4a"]);
+  });
+
+  it("turns M3U entries into episodes and drops non-http ones", async () => {
+    const list = await episodes("m3u");
+    assert.deepEqual(
+      list.map((e) => pick(e, ["title", "mediaUrl", "durationSeconds", "streamFormat", "live", "imageUrl"])),
+      [
+        { title: "Artist - Song", mediaUrl: `${fixtures.url}/songs/song.mp3`, durationSeconds: 123, streamFormat: "", live: false, imageUrl: "" },
+        {
+          title: "News Live",
+          mediaUrl: "https://live.example.com/news/index.m3u8",
+          durationSeconds: 0,
+          streamFormat: "hls",
+          live: true,
+          imageUrl: "https://img.example.com/news.png",
+        },
+        { title: "bare-file", mediaUrl: "https://media.example.com/bare-file.mp3", durationSeconds: 0, streamFormat: "", live: false, imageUrl: "" },
+      ]
+    );
+  });
+
+  it("plays an HLS playlist as one episode, live unless it has an end", async () => {
+    const [vod] = await episodes("vod");
+    assert.deepEqual(pick(vod, ["title", "mediaUrl", "streamFormat", "kind", "durationSeconds", "live"]), {
+      title: "vod",
+      mediaUrl: `${fixtures.url}/vod.m3u8`,
+      streamFormat: "hls",
+      kind: "video",
+      durationSeconds: 19,
+      live: false,
+    });
+
+    const list = await episodes("live");
+    assert.equal(list.length, 1);
+    assert.equal(list[0].live, true);
+    assert.equal(list[0].durationSeconds, 0);
+  });
+});
+
+describe("detectFeedFormat", () => {
+  it("goes by the body first", () => {
+    assert.equal(detectFeedFormat("application/rss+xml", '{"version":"https://jsonfeed.org/version/1.1"}'), "json");
+    assert.equal(detectFeedFormat("text/plain", "\uFEFF#EXTM3U\n#EXTINF:1,x\na.mp3"), "m3u");
+    assert.equal(detectFeedFormat("application/json", "<?xml version='1.0'?><rss/>"), "xml");
+  });
+
+  it("treats a bare list of URLs as a playlist", () => {
+    assert.equal(detectFeedFormat("text/plain", "https://example.com/a.mp3\nhttps://example.com/b.mp3"), "m3u");
+  });
+});
+
+describe("isFeedContentType", () => {
+  it("accepts XML, JSON, playlists and plain text", () => {
+    for (const t of ["application/rss+xml", "application/atom+xml; charset=utf-8", "text/xml", "application/feed+json", "audio/x-mpegurl", "text/plain"]) {
+      assert.equal(isFeedContentType(t), true, t);
+    }
+    assert.equal(isFeedContentType("text/html"), false);
+    assert.equal(isFeedContentType("image/png"), false);
+  });
+});
+
+describe("parseJsonFeed", () => {
+  it("refuses JSON that is not a JSON Feed", () => {
+    assert.throws(() => parseJsonFeed('{"items":[]}', "https://example.com/feed.json"), /not a JSON Feed/);
+  });
+});
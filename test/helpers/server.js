@@ -0,0 +1,118 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+
+/**
+ * Test support: a stub origin that serves test/fixtures, and server.js in a child process.
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+const CONTENT_TYPES = {
+  ".xml": "application/rss+xml",
+  ".json": "application/feed+json",
+  ".m3u": "audio/x-mpegurl",
+  ".m3u8": "application/vnd.apple.mpegurl",
+};
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function freePort() {
+  const server = net.createServer();
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Serves the files in test/fixtures, with a feed content type picked by extension.
+ * Resolves { url, hits, close }; `hits` lists the request paths.
+ */
+async function startFixtureServer() {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    const name = path.basename(new URL(req.url, "http://x").pathname);
+    hits.push(req.url);
+    fs.readFile(path.join(FIXTURES, name), (err, body) => {
+      if (err) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { "content-type": CONTENT_TYPES[path.extname(name)] || "text/plain" });
+      res.end(body);
+    });
+  });
+  const url = await listen(server);
+  return { url, hits, close: () => new Promise((done) => server.close(done)) };
+}
+
+/**
+ * Starts server.js with `env` on a free port, keeping every store in memory. Resolves
+ * { url, get, request, stop } once /health answers.
+ */
+async function startApp(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: Object.assign(
+      {
+        PATH: process.env.PATH,
+        PORT: String(port),
+        LOG_LEVEL: "silent",
+        PROGRESS_FILE: "",
+        TELEMETRY_FILE: "",
+        DIRECTORY_FILE: "",
+        SETTINGS_FILE: "",
+        CACHE_SNAPSHOT_FILE: "",
+      },
+      env
+    ),
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  let stderr = "";
+  child.stderr.on("data", (d) => (stderr += d));
+
+  const url = `http://127.0.0.1:${port}`;
+  const request = (pathname, options = {}) => fetch(url + pathname, Object.assign({ redirect: "manual" }, options));
+
+  for (let i = 0; ; i++) {
+    if (child.exitCode !== null) throw new Error("server.js exited: " + stderr);
+    try {
+      if ((await request("/health")).ok) break;
+    } catch {
+      if (i > 100) {
+        child.kill();
+        throw new Error("server.js did not start: " + stderr);
+      }
+    }
+    await new Promise((r) => setTimeout(r, 100));
+  }
+
+  return {
+    url,
+    request,
+    get: async (pathname, options) => {
+      const res = await request(pathname, options);
+      return { status: res.status, headers: res.headers, body: await res.json() };
+    },
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once("exit", resolve);
+        child.kill();
+      }),
+  };
+}
+
+module.exports = { startFixtureServer, startApp, FIXTURES };
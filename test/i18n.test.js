@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createI18n } = require("../lib/i18n");
+const { startFixtureServer, startApp } = require("./helpers/server");
+
+describe("i18n.pick", () => {
+  const i18n = createI18n();
+
+  it("canonicalizes the locale", () => {
+    assert.deepEqual(i18n.pick("de-at", ""), { lang: "de", locale: "de-AT" });
+    assert.deepEqual(i18n.pick("", "fr-ca,fr;q=0.8"), { lang: "fr", locale: "fr-CA" });
+  });
+
+  it("falls back to the language for tags Intl rejects", () => {
+    assert.deepEqual(i18n.pick("en-aa-bb", ""), { lang: "en", locale: "en" });
+    assert.deepEqual(i18n.pick("", "fr-zz-zz"), { lang: "fr", locale: "fr" });
+    assert.deepEqual(i18n.pick("de-1996-1996", ""), { lang: "de", locale: "de" });
+  });
+});
+
+describe("locales", () => {
+  it("translate every marked string on the TV page", () => {
+    const i18n = createI18n();
+    const html = fs.readFileSync(path.join(__dirname, "..", "public", "tv.html"), "utf8");
+    const marked = Array.from(html.matchAll(/data-i18n>([^<]+)</g), (m) => m[1]);
+    assert.ok(marked.length > 0);
+    for (const lang of i18n.languages.filter((l) => l !== "en")) {
+      for (const text of marked) assert.ok(text in i18n.strings(lang), `${lang}: ${text}`);
+    }
+  });
+});
+
+describe("pages with an invalid language tag", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({ RSS_URL: `${fixtures.url}/rss.xml` });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("renders the guide for ?lang=", async () => {
+    const res = await app.request("/guide?lang=en-aa-bb");
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /<html lang="en">/);
+  });
+
+  it("renders the guide for Accept-Language", async () => {
+    const res = await app.request("/guide", { headers: { "accept-language": "fr-zz-zz" } });
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /<html lang="fr">/);
+  });
+
+  it("renders an episode page", async () => {
+    const { body } = await app.get("/api/episodes.json");
+    const res = await app.request(`/episode/${body.episodes[0].id}?lang=de-1996-1996`);
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /<html lang="de">/);
+  });
+
+  it("hands the TV page a locale it can format with", async () => {
+    const { status, body } = await app.get("/api/i18n.json?lang=en-aa-bb");
+    assert.equal(status, 200);
+    assert.equal(body.locale, "en");
+  });
+});
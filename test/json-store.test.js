@@ -0,0 +1,55 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStore } = require("../lib/json-store");
+
+const silent = { error() {} };
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "json-store-"));
+  return path.join(dir, "nested", "store.json");
+}
+
+afterEach(() => mock.timers.reset());
+
+describe("createJsonStore", () => {
+  it("reads nothing when the file does not exist yet", () => {
+    const store = createJsonStore({ file: tempFile(), delayMs: 10, serialize: () => ({}), log: silent });
+    assert.equal(store.read(), undefined);
+  });
+
+  it("throws on a file that is not JSON, so the caller can log it", () => {
+    const file = tempFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, "{ not json");
+    const store = createJsonStore({ file, delayMs: 10, serialize: () => ({}), log: silent });
+    assert.throws(() => store.read(), SyntaxError);
+  });
+
+  it("folds a burst of updates into one write of the latest state", async () => {
+    const file = tempFile();
+    let calls = 0;
+    let state = { n: 0 };
+    const store = createJsonStore({ file, delayMs: 50, serialize: () => (calls++, state), log: silent });
+    for (let n = 1; n <= 5; n++) {
+      state = { n };
+      store.scheduleWrite();
+    }
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    assert.equal(calls, 1);
+    assert.deepEqual(store.read(), { n: 5 });
+    assert.equal(fs.existsSync(file + ".tmp"), false);
+  });
+
+  it("stays in memory without a file", () => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+    let calls = 0;
+    const store = createJsonStore({ file: "", delayMs: 10, serialize: () => calls++, log: silent });
+    store.scheduleWrite();
+    mock.timers.tick(100);
+    assert.equal(calls, 0);
+    assert.equal(store.read(), undefined);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFixtureServer, startApp } = require("./helpers/server");
+
+describe("media and artwork proxy", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({ MEDIA_PROXY: "1", ALLOW_QUERY_RSS: "1", RSS_URL: `${fixtures.url}/rss.xml` });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("doesn't load ?rss= feeds the rate-limited endpoints haven't loaded", async () => {
+    const rss = encodeURIComponent("https://feeds.example.com/never-loaded.xml");
+    for (const path of [`/media/0123456789abcdef01234567?rss=${rss}`, `/img/channel?rss=${rss}`]) {
+      const res = await app.request(path);
+      assert.equal(res.status, 404, path);
+      assert.equal(await res.text(), "Unknown feed");
+    }
+  });
+
+  it("serves the operator's feeds without a prior load", async () => {
+    const res = await app.request("/media/0123456789abcdef01234567");
+    assert.equal(res.status, 404);
+    assert.equal(await res.text(), "Unknown episode");
+    assert.ok(fixtures.hits.includes("/rss.xml"));
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFixtureServer, startApp } = require("./helpers/server");
+
+const PATHS = ["/feed.xml", "/feed.json", "/channel/rss/feed.xml", "/channel/rss/feed.json"];
+
+function lineup(fixtures) {
+  return { CHANNELS: `rss=${fixtures.url}/rss.xml` };
+}
+
+describe("output feeds without PUBLIC_URL", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp(lineup(fixtures));
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("keeps feeds linked to the request's host out of shared caches", async () => {
+    for (const path of PATHS) {
+      const res = await app.request(path);
+      assert.equal(res.status, 200, path);
+      assert.equal(res.headers.get("cache-control"), "private, max-age=300", path);
+      assert.match(res.headers.get("vary") || "", /Host/, path);
+      assert.ok((await res.text()).includes(app.url + path), path);
+    }
+  });
+});
+
+describe("output feeds with PUBLIC_URL", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp(Object.assign(lineup(fixtures), { PUBLIC_URL: "https://tv.example.com" }));
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("lets shared caches keep feeds linked to PUBLIC_URL", async () => {
+    for (const path of PATHS) {
+      const res = await app.request(path);
+      assert.equal(res.status, 200, path);
+      assert.equal(res.headers.get("cache-control"), "public, max-age=300", path);
+      assert.doesNotMatch(res.headers.get("vary") || "", /Host/, path);
+      const body = await res.text();
+      assert.ok(body.includes("https://tv.example.com" + path), path);
+      assert.ok(!body.includes(app.url), path);
+    }
+  });
+});
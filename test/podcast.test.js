@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Parser = require("rss-parser");
+const { ITEM_FIELDS, FEED_FIELDS, pickPodcastFields } = require("../lib/podcast");
+const { startFixtureServer, startApp, FIXTURES } = require("./helpers/server");
+
+const EXPECTED = [
+  {
+    season: 2,
+    seasonName: "Race to the Moon",
+    episodeNumber: 3,
+    episodeLabel: "Ch. 3",
+    episodeType: "full",
+    persons: [{ name: "Bob", role: "guest", group: "cast", img: "", href: "https://pod.example.com/bob" }],
+    chapters: { url: "https://pod.example.com/pod-1/chapters.json", type: "application/json+chapters" },
+    transcripts: [
+      { url: "https://pod.example.com/pod-1.vtt", type: "text/vtt", language: "en", rel: "captions" },
+      { url: "https://pod.example.com/pod-1.html", type: "text/html", language: "", rel: "" },
+    ],
+  },
+  {
+    season: 2,
+    seasonName: "",
+    episodeNumber: 2.5,
+    episodeLabel: "",
+    episodeType: "full",
+    // No persons of its own: the channel's.
+    persons: [
+      { name: "Alice", role: "host", group: "cast", img: "https://img.example.com/alice.jpg", href: "https://pod.example.com/alice" },
+    ],
+    chapters: null,
+    transcripts: [],
+  },
+  {
+    season: 1,
+    seasonName: "",
+    episodeNumber: 1,
+    episodeLabel: "",
+    episodeType: "trailer",
+    persons: [
+      { name: "Alice", role: "host", group: "cast", img: "https://img.example.com/alice.jpg", href: "https://pod.example.com/alice" },
+    ],
+    chapters: null,
+    transcripts: [],
+  },
+];
+
+describe("pickPodcastFields", () => {
+  it("reads Podcasting 2.0 and iTunes episode metadata from a feed", async () => {
+    const parser = new Parser({ customFields: { feed: [...FEED_FIELDS], item: [...ITEM_FIELDS] } });
+    const feed = await parser.parseString(fs.readFileSync(path.join(FIXTURES, "podcast.xml"), "utf8"));
+    assert.deepEqual(
+      feed.items.map((item) => pickPodcastFields(item, feed)),
+      EXPECTED
+    );
+  });
+
+  it("still reads items cached before season and episode were kept as arrays", () => {
+    const item = { podcastSeason: { _: "4", $: { name: "Four" } }, podcastEpisode: "7" };
+    const fields = pickPodcastFields(item, {});
+    assert.equal(fields.season, 4);
+    assert.equal(fields.seasonName, "Four");
+    assert.equal(fields.episodeNumber, 7);
+  });
+});
+
+describe("podcast fields in /api/episodes.json", () => {
+  let fixtures;
+  let app;
+  before(async () => {
+    fixtures = await startFixtureServer();
+    app = await startApp({ RSS_URL: `${fixtures.url}/podcast.xml` });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    if (fixtures) await fixtures.close();
+  });
+
+  it("passes season names and episode labels through", async () => {
+    const { status, body } = await app.get("/api/episodes.json");
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.episodes.map((e) => [e.season, e.seasonName, e.episodeNumber, e.episodeLabel, e.hasCaptions]),
+      [
+        [2, "Race to the Moon", 3, "Ch. 3", true],
+        [2, "", 2.5, "", false],
+        [1, "", 1, "", false],
+      ]
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLogger } = require("../lib/logger");
+const { createProgressStore } = require("../lib/progress");
+const { startApp } = require("./helpers/server");
+
+const log = createLogger({ level: "silent" });
+
+describe("progress store", () => {
+  it("drops the viewer whose last update is the oldest once over maxViewers", () => {
+    const store = createProgressStore({ maxViewers: 2, log });
+    store.put("alice", "ep1", { position: 10 });
+    store.put("bob", "ep1", { position: 20 });
+    store.put("alice", "ep2", { position: 30 });
+    store.put("carol", "ep1", { position: 40 });
+
+    assert.deepEqual(Object.keys(store.get("bob")), []);
+    assert.deepEqual(Object.keys(store.get("alice")), ["ep1", "ep2"]);
+    assert.equal(store.get("carol").ep1.position, 40);
+  });
+
+  it("applies the cap to a saved file by last update", () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "progress-")), "progress.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        recent: { ep1: { position: 1, duration: 0, watched: false, at: 3000 } },
+        oldest: { ep1: { position: 1, duration: 0, watched: false, at: 1000 } },
+        middle: { ep1: { position: 1, duration: 0, watched: false, at: 500 }, ep2: { position: 1, duration: 0, watched: false, at: 2000 } },
+      })
+    );
+    const store = createProgressStore({ file, maxViewers: 2, log });
+    assert.deepEqual(Object.keys(store.get("oldest")), []);
+    assert.deepEqual(Object.keys(store.get("middle")), ["ep1", "ep2"]);
+    assert.deepEqual(Object.keys(store.get("recent")), ["ep1"]);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+});
+
+describe("POST /api/progress", () => {
+  let app;
+  before(async () => {
+    app = await startApp({
+      RSS_URL: "https://feeds.example.com/main.xml",
+      PROGRESS_SYNC: "1",
+      RATE_LIMIT_PROGRESS_MAX: "2",
+    });
+  });
+  after(() => app && app.stop());
+
+  const save = (position) =>
+    app.request("/api/progress", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ viewer: "alice", episodeId: "0123456789abcdef01234567", position, duration: 100 }),
+    });
+
+  it("is rate-limited per client IP", async () => {
+    assert.equal((await save(1)).status, 200);
+    assert.equal((await save(2)).status, 200);
+    const res = await save(3);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) >= 1);
+
+    const { body } = await app.get("/api/progress?viewer=alice");
+    assert.equal(body.progress["0123456789abcdef01234567"].position, 2);
+  });
+});
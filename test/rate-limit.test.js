@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/server");
+
+describe("per-feed limit on ?rss= requests", () => {
+  let app;
+  before(async () => {
+    app = await startApp({
+      RSS_URL: "https://feeds.example.com/main.xml",
+      ALLOW_QUERY_RSS: "1",
+      RATE_LIMIT_IP_MAX: "100",
+      RATE_LIMIT_FEED_MAX: "2",
+    });
+  });
+  after(() => app && app.stop());
+
+  const episodes = (rss) => app.get("/api/episodes.json?rss=" + encodeURIComponent(rss));
+
+  it("counts spellings of the same feed URL against one budget", async () => {
+    assert.notEqual((await episodes("https://feeds.example.com/show.xml")).status, 429);
+    assert.notEqual((await episodes("https://FEEDS.Example.com:443/show.xml#")).status, 429);
+    const res = await episodes("HTTPS://feeds.example.COM/show.xml#top");
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) >= 1);
+  });
+
+  it("keeps other feeds' budgets apart", async () => {
+    assert.notEqual((await episodes("https://feeds.example.com/other.xml")).status, 429);
+  });
+});
+
+describe("per-IP limit on playback beacons", () => {
+  let app;
+  before(async () => {
+    app = await startApp({ RSS_URL: "https://feeds.example.com/main.xml", TELEMETRY: "1", RATE_LIMIT_EVENTS_MAX: "2" });
+  });
+  after(() => app && app.stop());
+
+  const post = (path, body) =>
+    app.request(path, { method: "POST", headers: { "content-type": "text/plain" }, body: JSON.stringify(body) });
+
+  for (const [path, body] of [
+    ["/api/events", { type: "play", episodeId: "0123456789abcdef01234567", host: "media.example.com" }],
+    ["/api/playback-errors", { code: "network", host: "media.example.com" }],
+  ]) {
+    it(`limits ${path}`, async () => {
+      assert.equal((await post(path, body)).status, 204);
+      assert.equal((await post(path, body)).status, 204);
+      const res = await post(path, body);
+      assert.equal(res.status, 429);
+      assert.ok(Number(res.headers.get("retry-after")) >= 1);
+    });
+  }
+
+  it("only counts accepted beacons in the report", async () => {
+    const { body } = await app.get("/api/stats.json");
+    assert.equal(body.episodes[0].plays, 2);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRemoteHub } = require("../lib/remote");
+const { startApp } = require("./helpers/server");
+
+const client = () => ({ sent: [], send(event, data) { this.sent.push([event, data]); } });
+
+describe("remote hub", () => {
+  it("refuses new screen names once every screen has a connection", () => {
+    const hub = createRemoteHub({ maxScreens: 2 });
+    assert.ok(hub.subscribe("a", client()));
+    assert.ok(hub.subscribe("b", client()));
+    assert.equal(hub.canSubscribe("c"), false);
+    assert.equal(hub.subscribe("c", client()), null);
+    assert.deepEqual(hub.list().map((s) => s.name).sort(), ["a", "b"]);
+  });
+
+  it("makes room by dropping screens without a connection", () => {
+    const hub = createRemoteHub({ maxScreens: 2 });
+    const leaveA = hub.subscribe("a", client());
+    hub.subscribe("b", client());
+    leaveA();
+    assert.ok(hub.subscribe("c", client()));
+    assert.deepEqual(hub.list().map((s) => s.name).sort(), ["b", "c"]);
+  });
+
+  it("caps the connections per screen", () => {
+    const hub = createRemoteHub({ maxClients: 2 });
+    const first = client();
+    const leave = hub.subscribe("lobby", first);
+    hub.subscribe("lobby", client());
+    assert.equal(hub.subscribe("lobby", client()), null);
+    leave();
+    assert.ok(hub.subscribe("lobby", client()));
+    assert.equal(hub.send("lobby", { command: "play" }), 2);
+    assert.deepEqual(first.sent, []);
+  });
+
+  it("only takes state from screens that subscribed", () => {
+    const hub = createRemoteHub();
+    assert.equal(hub.setState("ghost", { title: "x" }), false);
+    assert.deepEqual(hub.list(), []);
+    hub.subscribe("lobby", client());
+    assert.equal(hub.setState("lobby", { title: "x" }), true);
+    assert.deepEqual(hub.list()[0].state, { title: "x" });
+  });
+});
+
+describe("remote API", () => {
+  let app;
+  before(async () => {
+    app = await startApp({ RSS_URL: "https://feeds.example.com/main.xml", REMOTE_CONTROL: "1", REMOTE_TOKEN: "remote-secret" });
+  });
+  after(() => app && app.stop());
+
+  it("wants the token to subscribe a screen", async () => {
+    assert.equal((await app.request("/api/remote/events?screen=lobby")).status, 401);
+    assert.equal((await app.request("/api/remote/events?screen=lobby&token=nope")).status, 401);
+
+    const controller = new AbortController();
+    const res = await app.request("/api/remote/events?screen=lobby&token=remote-secret", { signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/event-stream/);
+
+    const screens = await app.get("/api/remote/screens", { headers: { authorization: "Bearer remote-secret" } });
+    assert.deepEqual(screens.body.screens.map((s) => [s.name, s.connections]), [["lobby", 1]]);
+    controller.abort();
+  });
+
+  it("wants the token to report state", async () => {
+    const post = (query) =>
+      app.request("/api/remote/state" + query, { method: "POST", body: JSON.stringify({ screen: "lobby", title: "x" }) });
+    assert.equal((await post("")).status, 401);
+    assert.equal((await post("?token=remote-secret")).status, 204);
+  });
+});
+
+describe("remote control without REMOTE_TOKEN", () => {
+  it("refuses to start", async () => {
+    await assert.rejects(
+      startApp({ RSS_URL: "https://feeds.example.com/main.xml", REMOTE_CONTROL: "1" }),
+      /REMOTE_CONTROL=1 needs a REMOTE_TOKEN/
+    );
+  });
+});
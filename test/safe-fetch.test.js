@@ -0,0 +1,211 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const dns = require("dns");
+const net = require("net");
+const zlib = require("zlib");
+const { safeFetch, FetchError, isPrivateAddress } = require("../lib/safe-fetch");
+
+// A local stub server; `handler` answers every request. Resolves { url, hits, close }.
+function startStub(handler) {
+  return new Promise((resolve) => {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+      hits.push(req.url);
+      handler(req, res);
+    });
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        hits,
+        close: () => new Promise((done) => server.closeAllConnections() || server.close(done)),
+      });
+    });
+  });
+}
+
+// Makes `hostname` resolve to `address` for the lookups safeFetch does.
+function fakeDns(records) {
+  const lookup = dns.lookup;
+  mock.method(dns, "lookup", (hostname, options, callback) => {
+    const address = records[hostname];
+    if (!address) return lookup(hostname, options, callback);
+    callback(null, [{ address, family: net.isIP(address) }]);
+  });
+}
+
+async function rejectsWith(promise, code) {
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof FetchError, `expected a FetchError, got ${err}`);
+    assert.equal(err.code, code, err.message);
+    return true;
+  });
+}
+
+const RSS = '<?xml version="1.0"?><rss version="2.0"><channel><title>Stub</title></channel></rss>';
+
+afterEach(() => mock.restoreAll());
+
+describe("isPrivateAddress", () => {
+  it("blocks private, loopback and link-local addresses", () => {
+    for (const ip of ["10.1.2.3", "127.0.0.1", "169.254.169.254", "192.168.1.1", "100.64.0.1", "::1", "fd00::1", "fe80::1"]) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    assert.equal(isPrivateAddress("[::1]"), true);
+  });
+
+  it("checks IPv4-mapped IPv6 against the IPv4 ranges", () => {
+    assert.equal(isPrivateAddress("::ffff:127.0.0.1"), true);
+    assert.equal(isPrivateAddress("::ffff:10.0.0.1"), true);
+    assert.equal(isPrivateAddress("[::ffff:192.168.0.1]"), true);
+    assert.equal(isPrivateAddress("::ffff:8.8.8.8"), false);
+  });
+
+  it("lets public addresses and hostnames through", () => {
+    assert.equal(isPrivateAddress("8.8.8.8"), false);
+    assert.equal(isPrivateAddress("2606:4700::1111"), false);
+    assert.equal(isPrivateAddress("example.com"), false);
+  });
+});
+
+describe("safeFetch address checks", () => {
+  it("refuses a hostname whose DNS answer is private", async () => {
+    fakeDns({ "intranet.test": "10.0.0.7" });
+    await rejectsWith(safeFetch("http://intranet.test/feed.xml"), "BLOCKED_ADDRESS");
+  });
+
+  it("refuses a hostname whose DNS answer is loopback", async () => {
+    fakeDns({ "rebind.test": "127.0.0.1" });
+    await rejectsWith(safeFetch("http://rebind.test/feed.xml"), "BLOCKED_ADDRESS");
+  });
+
+  it("refuses a DNS answer that is IPv4-mapped IPv6", async () => {
+    fakeDns({ "mapped.test": "::ffff:192.168.0.10" });
+    await rejectsWith(safeFetch("http://mapped.test/feed.xml"), "BLOCKED_ADDRESS");
+  });
+
+  it("refuses IPv4-mapped IPv6 literals", async () => {
+    await rejectsWith(safeFetch("http://[::ffff:127.0.0.1]/feed.xml"), "BLOCKED_ADDRESS");
+    await rejectsWith(safeFetch("http://[::ffff:7f00:1]/feed.xml"), "BLOCKED_ADDRESS");
+  });
+});
+
+describe("safeFetch redirects", () => {
+  let stub;
+  let privateHost;
+
+  before(async () => {
+    privateHost = await startStub((req, res) => res.end(RSS));
+    stub = await startStub((req, res) => {
+      const to = {
+        "/to-literal": "/hop?next=" + encodeURIComponent("http://10.0.0.1/feed.xml"),
+        "/to-name": "/hop?next=" + encodeURIComponent(`http://internal.test:${new URL(privateHost.url).port}/feed.xml`),
+      }[req.url];
+      if (to) {
+        res.writeHead(302, { location: to });
+        return res.end();
+      }
+      const next = new URL(req.url, stub.url).searchParams.get("next");
+      res.writeHead(302, { location: next });
+      res.end();
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+    await privateHost.close();
+  });
+
+  // The stubs listen on 127.0.0.1, which safeFetch refuses; these tests treat that one address
+  // as public so the first hops go through and the private target is what gets refused.
+  function stubIsPublic() {
+    const check = net.BlockList.prototype.check;
+    mock.method(net.BlockList.prototype, "check", function (ip, type) {
+      return ip === "127.0.0.1" ? false : check.call(this, ip, type);
+    });
+  }
+
+  it("checks every hop against private IP literals", async () => {
+    stubIsPublic();
+    await rejectsWith(safeFetch(stub.url + "/to-literal"), "BLOCKED_ADDRESS");
+    assert.deepEqual(stub.hits.slice(-2), ["/to-literal", "/hop?next=" + encodeURIComponent("http://10.0.0.1/feed.xml")]);
+  });
+
+  it("checks every hop against hostnames that resolve privately", async () => {
+    stubIsPublic();
+    fakeDns({ "internal.test": "127.0.0.2" });
+    await rejectsWith(safeFetch(stub.url + "/to-name"), "BLOCKED_ADDRESS");
+    assert.equal(privateHost.hits.length, 0);
+  });
+
+  it("runs validateUrl on every hop", async () => {
+    const seen = [];
+    const validateUrl = (url) => {
+      seen.push(url);
+      return new URL(url).hostname === "10.0.0.1" ? { ok: false, reason: "nope" } : { ok: true };
+    };
+    await rejectsWith(safeFetch(stub.url + "/to-literal", { allowPrivate: true, validateUrl }), "BLOCKED_URL");
+    assert.equal(seen.length, 3);
+  });
+});
+
+describe("safeFetch limits", () => {
+  let stub;
+  before(async () => {
+    stub = await startStub((req, res) => {
+      switch (req.url) {
+        case "/big":
+          res.writeHead(200, { "content-type": "application/rss+xml" });
+          return res.end("x".repeat(5000));
+        case "/big-chunked":
+          res.writeHead(200, { "content-type": "application/rss+xml", "transfer-encoding": "chunked" });
+          res.write("x".repeat(600));
+          return res.end("x".repeat(600));
+        case "/big-gzip":
+          // Small on the wire, over the cap once decompressed.
+          res.writeHead(200, { "content-type": "application/rss+xml", "content-encoding": "gzip" });
+          return res.end(zlib.gzipSync("x".repeat(50000)));
+        case "/slow":
+          res.writeHead(200, { "content-type": "application/rss+xml" });
+          res.write("<rss>");
+          return; // never ends
+        case "/html":
+          res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+          return res.end("<html></html>");
+        default:
+          res.writeHead(200, { "content-type": "application/rss+xml; charset=utf-8" });
+          return res.end(RSS);
+      }
+    });
+  });
+  after(() => stub.close());
+
+  const opts = (extra) => Object.assign({ allowPrivate: true, maxBytes: 1000, timeoutMs: 2000 }, extra);
+
+  it("fetches a feed within the limits", async () => {
+    const res = await safeFetch(stub.url + "/feed.xml", opts());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.toString(), RSS);
+  });
+
+  it("refuses a body over the size cap", async () => {
+    await rejectsWith(safeFetch(stub.url + "/big", opts()), "TOO_LARGE");
+    await rejectsWith(safeFetch(stub.url + "/big-chunked", opts()), "TOO_LARGE");
+  });
+
+  it("applies the size cap after decompression", async () => {
+    await rejectsWith(safeFetch(stub.url + "/big-gzip", opts()), "TOO_LARGE");
+  });
+
+  it("gives up on a slow server after the total timeout", async () => {
+    const started = Date.now();
+    await rejectsWith(safeFetch(stub.url + "/slow", opts({ timeoutMs: 200 })), "TIMEOUT");
+    assert.ok(Date.now() - started < 1500);
+  });
+
+  it("refuses a content type that is not XML", async () => {
+    await rejectsWith(safeFetch(stub.url + "/html", opts()), "BAD_CONTENT_TYPE");
+    const res = await safeFetch(stub.url + "/html", opts({ accept: null }));
+    assert.equal(res.status, 200);
+  });
+});